@@ -5,9 +5,34 @@
  * Features:
  * - SVG-based drawing for resolution independence
  * - Drawing on target div with support for zoom and pan
+ * - Zoomable, pannable view (Ctrl+wheel, pinch, space-drag) with ink kept in drawing coordinates
+ * - Optional viewBox coordinates that keep the ink pinned to the content when the drawing area resizes
+ * - Annotating scrollable content, with auto-scroll while drawing near the edges
+ * - Keyboard shortcuts with a configurable keymap, scoped to the PenTool in use
+ * - Localized toolbar (English and Turkish bundled) with right-to-left layout
+ * - Accessible toolbar: keyboard navigation, ARIA states and screen reader announcements
+ * - Configurable toolbar: choose and order the buttons, add separators and custom buttons
+ * - Tool plugins: PenTool.registerTool() adds drawing tools next to the built-in ones
+ * - Remembered preferences (tool, color, width, theme, toolbar position) with a pluggable storage
  * - Eraser functionality with temporal hierarchy
  * - Hand tool for touch gestures (pinch zoom, pan) without drawing
  * - Clean all option
+ * - Undo/redo history for strokes and clear all
+ * - Save and restore drawings as versioned JSON documents
+ * - Export as standalone SVG, PNG or data URL
+ * - Event API (on/off/once) for stroke, tool and theme lifecycle
+ * - Pointer Events input with stylus pressure and coalesced samples
+ * - Optional pressure-sensitive, variable-width strokes
+ * - Stroke smoothing (quadratic / Catmull-Rom) and point simplification
+ * - Incremental rendering with a spatial index for fast erasing on large drawings
+ * - Stroke eraser mode that removes whole strokes
+ * - Optional geometric erasing that cuts strokes into the visible pieces
+ * - Toolbar color palette, opacity and width popovers
+ * - Highlighter with translucent ink that doesn't darken where it overlaps
+ * - Shape tools: line, arrow, rectangle and ellipse
+ * - Optional smart ink that snaps freehand lines, arrows, circles, ellipses, triangles and rectangles to clean shapes
+ * - Text annotations with font size, color and bold, editable after placing
+ * - Rectangle and lasso selection to move, scale, rotate, restyle, duplicate, copy and delete strokes
  * - Simple tool buttons with icons
  * - Developer customization options
  */
@@ -16,972 +41,8059 @@
 (function(window) {
   'use strict';
 
-  function PenTool(options) {
-    // Instance properties
-    this.targetElement = null;
-    this.svg = null;
-    this.drawingContainer = null;
-    this.isDrawing = false;
-    this.currentPath = null;
-    this.currentPathData = '';
-    this.toolbar = null;
-    this.eraserIndicator = null;
-    this.strokes = [];
-    this.temporaryEraserStroke = null;
-    
-    // Drag functionality properties
-    this.isDraggingToolbar = false;
-    this.dragOffset = { x: 0, y: 0 };
-    
-    // Configuration options
-    this.lineWidth = null;
-    this.lineColor = null;
-    this.toolPosition = null;
-    this.zIndex = null;
-    this.currentTool = 'pen';
-    this.eraserWidth = null;
-    this.themeToggle = null;
-    this.themeSetting = null;
-    this.isDarkMode = false;
-    this.isEnabled = true; // Track whether the pen tool is enabled
-    this.toolbarVisibleBeforeDisable = null; // Track toolbar visibility before disable
+  // Incremented for every export so inlined mask ids never collide
+  var exportCounter = 0;
 
-    // Bound function references for proper event listener cleanup
-    this.boundHandleDrawStart = null;
-    this.boundHandleDrawMove = null;
-    this.boundHandleMouseLeave = null;
-    this.boundHandleDrawEnd = null;
-    this.boundHandleTouchStart = null;
-    this.boundHandleTouchMove = null;
-    this.boundHandleTouchEnd = null;
-    this.boundSystemThemeChange = null;
-    this.systemThemeMediaQuery = null;
+  // The PenTool used last; it gets the keyboard shortcuts while nothing else has the focus
+  var shortcutInstance = null;
 
-    // Bound functions for toolbar dragging
-    this.boundHandleToolbarDragStart = null;
-    this.boundHandleToolbarDragMove = null;
-    this.boundHandleToolbarDragEnd = null;
+  // Colors offered in the toolbar color popover unless the palette option is set
+  var DEFAULT_PALETTE = ['#000000', '#ffffff', '#6c757d', '#dc3545', '#fd7e14', '#ffc107', '#28a745', '#20c997', '#007bff', '#6f42c1'];
 
-    // Initialize with default values or provided options
-    this.targetElement = options.targetElement;
-    this.lineWidth = options.lineWidth || 3;
-    this.lineColor = options.lineColor || '#000000';
-    this.toolPosition = options.toolPosition || 'top';
-    this.zIndex = options.zIndex || 10;
-    this.eraserWidth = options.eraserWidth || 15;
-    this.themeToggle = options.themeToggle !== undefined ? options.themeToggle : false;
-    this.themeSetting = options.themeSetting || 'system';
-    this.handTool = options.handTool !== undefined ? options.handTool : 'touch-only'; // 'show', 'hide', 'touch-only'
-    this.showToolbar = options.showToolbar !== undefined ? options.showToolbar : true;
-    
-    // Set initial dark mode state based on themeSetting
-    if (this.themeSetting === 'dark') {
-      this.isDarkMode = true;
-    } else if (this.themeSetting === 'light') {
-      this.isDarkMode = false;
-    } else if (this.themeSetting === 'system') {
-      // Check system preference
-      this.isDarkMode = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+  // Number of colors kept in the recent colors row
+  var RECENT_COLORS_LIMIT = 8;
+
+  // Slider ranges of the toolbar width popover
+  var LINE_WIDTH_RANGE = { min: 1, max: 40 };
+  var ERASER_WIDTH_RANGE = { min: 5, max: 100 };
+  var FONT_SIZE_RANGE = { min: 8, max: 96 };
+
+  // Text annotations: font, line height and the average character width used
+  // to estimate their extent, both in multiples of the font size
+  var TEXT_FONT_FAMILY = 'sans-serif';
+  var TEXT_LINE_HEIGHT = 1.25;
+  var TEXT_CHARACTER_WIDTH = 0.6;
+
+  // Shapes offered by the shape tool
+  var SHAPE_TYPES = ['line', 'arrow', 'rectangle', 'ellipse'];
+
+  // Where arrows get heads
+  var ARROW_HEADS = ['none', 'start', 'end', 'both'];
+
+  // Shapes a stroke can have; polygons are only produced by smart ink
+  var STROKE_SHAPES = SHAPE_TYPES.concat(['polygon']);
+
+  // Stroke types drawn by the core; registered tools with a render hook add their own
+  var STROKE_TYPES = ['pen', 'highlighter', 'shape', 'text', 'eraser'];
+
+  // Number of segments approximating an ellipse for hit testing and geometric erasing
+  var ELLIPSE_SEGMENTS = 72;
+
+  // What smart ink reports in stroke.recognized.shape
+  var RECOGNIZED_SHAPES = ['line', 'arrow', 'circle', 'ellipse', 'triangle', 'rectangle'];
+
+  // Smart ink leaves strokes smaller than this (bounding box diagonal, in pixels) alone
+  var SMART_INK_MIN_SIZE = 20;
+
+  // Largest average distance between a stroke and its recognized shape, as a fraction of the stroke size
+  var SMART_INK_TOLERANCE = 0.04;
+
+  // Pointer movement in pixels that still counts as holding still
+  var SMART_INK_HOLD_SLOP = 4;
+
+  // Transformation matrix [a, b, c, d, e, f] that leaves points where they are, as in SVG's matrix()
+  var IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+  // Selection tool: size of the box handles, distance of the rotation handle
+  // above the box and how far pasted copies are offset, in pixels
+  var SELECTION_HANDLE_SIZE = 8;
+  var SELECTION_ROTATE_OFFSET = 24;
+  var PASTE_OFFSET = 20;
+
+  // How strokes are picked with the selection tool
+  var SELECTION_MODES = ['rectangle', 'lasso'];
+
+  // Selection gestures that move less than this many pixels are taps
+  var SELECTION_TAP_SLOP = 4;
+
+  // Zoom limits of the view, how fast Ctrl+wheel zooms and the factor of the zoom buttons
+  var ZOOM_RANGE = { min: 0.1, max: 10 };
+  var WHEEL_ZOOM_SPEED = 0.002;
+  var ZOOM_STEP = 1.25;
+
+  // Margin kept around the drawing by zoomToFit(), in screen pixels
+  var ZOOM_FIT_PADDING = 20;
+
+  // Drawing this close to the edge of a scrolling drawing area scrolls it, in pixels,
+  // up to the given number of pixels per frame right at the edge
+  var AUTO_SCROLL_EDGE = 40;
+  var AUTO_SCROLL_SPEED = 20;
+
+  // Keyboard shortcuts by action, overridden through the keymap option.
+  // "Mod" is Ctrl, or Cmd on a Mac; Shift is implied for symbols such as "+".
+  var DEFAULT_KEYMAP = {
+    pen: 'P',
+    highlighter: 'M',
+    eraser: 'E',
+    strokeEraser: 'Shift+E',
+    hand: 'H',
+    select: 'V',
+    shape: 'S',
+    text: 'T',
+    undo: 'Mod+Z',
+    redo: ['Mod+Shift+Z', 'Mod+Y'],
+    selectAll: 'Mod+A',
+    clearSelection: 'Escape',
+    deleteSelection: ['Delete', 'Backspace'],
+    copySelection: 'Mod+C',
+    paste: 'Mod+V',
+    duplicateSelection: 'Mod+D',
+    decreaseSize: '[',
+    increaseSize: ']',
+    zoomIn: ['+', '='],
+    zoomOut: '-',
+    resetView: '0',
+    zoomToFit: '1',
+    clearAll: null
+  };
+
+  // How much the decreaseSize and increaseSize shortcuts change the line width, eraser width and font size
+  var SIZE_STEPS = { line: 1, eraser: 5, font: 2 };
+
+  // Languages written right to left; the toolbar is mirrored for them
+  var RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+  
+  // Tools that come with PenTool; PenTool.registerTool() can't replace them
+  var BUILT_IN_TOOLS = ['pen', 'highlighter', 'eraser', 'hand', 'select', 'shape', 'text'];
+  
+  // Built-in toolbar items in their default order; tools added with PenTool.registerTool() go after 'text'
+  // 'hand' shows up only when the handTool option allows it and 'theme' only with themeToggle.
+  var TOOLBAR_ITEMS = ['pen', 'highlighter', 'eraser', 'stroke-eraser', 'hand', 'select', 'shape', 'text', 'zoom', 'color', 'width', 'undo', 'redo', 'clear', 'theme'];
+  
+  // Pixels the arrow keys move the toolbar by while it is being moved from the keyboard, and with Shift
+  var TOOLBAR_MOVE_STEP = 10;
+  var TOOLBAR_MOVE_STEP_LARGE = 50;
+  
+  // A toolbar dropped this many pixels or closer to a side of the drawing area docks to it
+  var TOOLBAR_SNAP_DISTANCE = 24;
+  var TOOLBAR_POSITIONS = ['top', 'bottom', 'left', 'right'];
+  
+  // Saved preferences are stored under this prefix followed by the id option
+  var PREFERENCES_KEY_PREFIX = 'pen-tool:';
+
+  // Default settings for pressure-sensitive (variable width) strokes
+  var VARIABLE_WIDTH_DEFAULTS = {
+    thinning: 0.5,         // How much pressure affects the width (0 = constant width, 1 = maximum effect)
+    streamline: 0.5,       // How much the input is smoothed before the outline is built (0-1)
+    taperStart: 0,         // Length in pixels over which the start of the stroke narrows to a point
+    taperEnd: 0,           // Length in pixels over which the end of the stroke narrows to a point
+    simulatePressure: true // Derive pressure from pointer velocity when the device reports none
+  };
+
+  /**
+   * Get localStorage, or null where it is missing or blocked (e.g. disabled cookies, sandboxed frames)
+   * @returns {Storage|null}
+   */
+  function getDefaultStorage() {
+    try {
+      return window.localStorage || null;
+    } catch (e) {
+      return null;
     }
+  }
 
-    // Don't auto-initialize anymore - user must call init() manually
+  /**
+   * Check whether a theme setting shows the dark theme
+   * @param {string} setting - 'dark', 'light' or 'system' (follows the system preference)
+   * @returns {boolean}
+   */
+  function isDarkThemeSetting(setting) {
+    if (setting === 'system') {
+      return !!window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    }
+    return setting === 'dark';
   }
 
   /**
-   * Initialize the pen tool with SVG canvas and toolbar
-   * This method must be called manually after creating the PenTool instance
+   * Check whether a value is a CSS color the browser understands
+   * @param {*} value
+   * @returns {boolean}
    */
-  PenTool.prototype.init = function() {
-    if (this.svg || this.toolbar) {
-      console.warn('PenTool is already initialized. Call destroy() first if you want to reinitialize.');
-      return;
+  function isCssColor(value) {
+    if (typeof value !== 'string' || value === '') {
+      return false;
     }
+    if (window.CSS && window.CSS.supports) {
+      return window.CSS.supports('color', value);
+    }
+    var probe = document.createElement('span');
+    probe.style.color = value;
+    return probe.style.color !== '';
+  }
 
-    // Inject required CSS styles
-    this.injectCSS();
+  /**
+   * Round a coordinate to two decimals to keep path data compact
+   * @param {number} value
+   * @returns {number}
+   */
+  function formatCoordinate(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Quadratic Bézier segment from point i towards the midpoint of points i and i + 1
+   * Chaining these segments passes smoothly through the midpoints of the input.
+   * @param {Array} points - Stroke points
+   * @param {number} i - Index of the control point
+   * @returns {string} Path data for the segment
+   */
+  function quadraticSegment(points, i) {
+    var midX = formatCoordinate((points[i][0] + points[i + 1][0]) / 2);
+    var midY = formatCoordinate((points[i][1] + points[i + 1][1]) / 2);
+    return ' Q ' + points[i][0] + ' ' + points[i][1] + ' ' + midX + ' ' + midY;
+  }
+
+  /**
+   * Cubic Bézier segment from point i to point i + 1 following a Catmull-Rom spline
+   * The curve passes through every input point.
+   * @param {Array} points - Stroke points
+   * @param {number} i - Index of the segment start point
+   * @returns {string} Path data for the segment
+   */
+  function catmullRomSegment(points, i) {
+    var p0 = points[Math.max(0, i - 1)];
+    var p1 = points[i];
+    var p2 = points[i + 1];
+    var p3 = points[Math.min(points.length - 1, i + 2)];
     
-    // Set position relative on target if not already
-    var computedStyle = window.getComputedStyle(this.targetElement);
-    if (computedStyle.position === 'static') {
-      this.targetElement.style.position = 'relative';
-    }
+    return ' C ' +
+      formatCoordinate(p1[0] + (p2[0] - p0[0]) / 6) + ' ' + formatCoordinate(p1[1] + (p2[1] - p0[1]) / 6) + ' ' +
+      formatCoordinate(p2[0] - (p3[0] - p1[0]) / 6) + ' ' + formatCoordinate(p2[1] - (p3[1] - p1[1]) / 6) + ' ' +
+      p2[0] + ' ' + p2[1];
+  }
+
+  /**
+   * Distance from a point to a line segment
+   * @param {Array} point - [x, y]
+   * @param {Array} start - Segment start [x, y]
+   * @param {Array} end - Segment end [x, y]
+   * @returns {number}
+   */
+  function distanceToSegment(point, start, end) {
+    var dx = end[0] - start[0];
+    var dy = end[1] - start[1];
+    var lengthSquared = dx * dx + dy * dy;
+    var t = lengthSquared === 0 ? 0 : ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
     
-    // Add touch-specific CSS to prevent interference while allowing multi-touch gestures
-    this.targetElement.style.touchAction = 'pan-x pan-y pinch-zoom';
-    this.targetElement.style.userSelect = 'none';
-    this.targetElement.style.webkitUserSelect = 'none';
+    var closestX = start[0] + t * dx;
+    var closestY = start[1] + t * dy;
+    return Math.sqrt(Math.pow(point[0] - closestX, 2) + Math.pow(point[1] - closestY, 2));
+  }
+
+  /**
+   * Check whether two line segments cross or touch
+   * @param {Array} a - First segment start [x, y]
+   * @param {Array} b - First segment end [x, y]
+   * @param {Array} c - Second segment start [x, y]
+   * @param {Array} d - Second segment end [x, y]
+   * @returns {boolean}
+   */
+  function segmentsIntersect(a, b, c, d) {
+    var d1 = (d[0] - c[0]) * (a[1] - c[1]) - (d[1] - c[1]) * (a[0] - c[0]);
+    var d2 = (d[0] - c[0]) * (b[1] - c[1]) - (d[1] - c[1]) * (b[0] - c[0]);
+    var d3 = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    var d4 = (b[0] - a[0]) * (d[1] - a[1]) - (b[1] - a[1]) * (d[0] - a[0]);
     
-    // Add system theme change listener if themeSetting is 'system'
-    var self = this;
-    if (this.themeSetting === 'system' && window.matchMedia) {
-      this.boundSystemThemeChange = function(e) {
-        if (self.themeSetting === 'system') { // Only respond if still using system setting
-          self.isDarkMode = e.matches;
-          self.applyTheme();
-          
-          // Update theme toggle button icon if it exists
-          if (self.themeToggle) {
-            var themeButton = self.toolbar.querySelector('[data-tool="theme"]');
-            if (themeButton) {
-              themeButton.innerHTML = self.getThemeToggleIcon();
-              themeButton.title = self.isDarkMode ? 'Açık Tema' : 'Koyu Tema';
-            }
-          }
-        }
-      };
-      
-      this.systemThemeMediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-      this.systemThemeMediaQuery.addEventListener('change', this.boundSystemThemeChange);
+    // Collinear or touching segments are covered by the distance checks in distanceBetweenSegments
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+  }
+
+  /**
+   * Shortest distance between two line segments
+   * @param {Array} a - First segment start [x, y]
+   * @param {Array} b - First segment end [x, y]
+   * @param {Array} c - Second segment start [x, y]
+   * @param {Array} d - Second segment end [x, y]
+   * @returns {number}
+   */
+  function distanceBetweenSegments(a, b, c, d) {
+    if (segmentsIntersect(a, b, c, d)) {
+      return 0;
     }
+    return Math.min(
+      distanceToSegment(a, c, d),
+      distanceToSegment(b, c, d),
+      distanceToSegment(c, a, b),
+      distanceToSegment(d, a, b)
+    );
+  }
 
-    // Create SVG element that will contain all drawings
-    this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    this.svg.setAttribute('width', '100%');
-    this.svg.setAttribute('height', '100%');
-    this.svg.style.position = 'absolute';
-    this.svg.style.top = '0';
-    this.svg.style.left = '0';
-    this.svg.style.pointerEvents = 'none'; // Allow clicks to pass through when not drawing
-    this.svg.style.zIndex = this.zIndex.toString();
+  /**
+   * Distance from a point to a polyline
+   * @param {Array} point - [x, y]
+   * @param {Array} polyline - List of [x, y] points
+   * @returns {number}
+   */
+  function distanceToPolyline(point, polyline) {
+    var distance = distanceToSegment(point, polyline[0], polyline[0]);
+    for (var i = 1; i < polyline.length; i++) {
+      distance = Math.min(distance, distanceToSegment(point, polyline[i - 1], polyline[i]));
+    }
+    return distance;
+  }
+
+  /**
+   * Point at a fraction of the way between two stroke points
+   * Pressure is interpolated too when both points have it.
+   * @param {Array} start - [x, y(, pressure)]
+   * @param {Array} end - [x, y(, pressure)]
+   * @param {number} t - Fraction between 0 and 1
+   * @returns {Array}
+   */
+  function interpolatePoint(start, end, t) {
+    var point = [
+      formatCoordinate(start[0] + (end[0] - start[0]) * t),
+      formatCoordinate(start[1] + (end[1] - start[1]) * t)
+    ];
+    if (start.length > 2 && end.length > 2) {
+      point.push(Math.round((start[2] + (end[2] - start[2]) * t) * 1000) / 1000);
+    }
+    return point;
+  }
+
+  /**
+   * Cut the parts of a stroke's points that lie under an eraser path
+   * Segments near the eraser are sampled densely so the cuts land close to the
+   * eraser edge; the extra samples are only kept where a piece starts or ends.
+   * @param {Array} points - Pen stroke points
+   * @param {Array} eraserPoints - Eraser stroke points
+   * @param {number} radius - Eraser radius in pixels
+   * @param {Object} eraserBounds - Bounds of the eraser stroke, radius included
+   * @returns {Array|null} Point lists of the remaining pieces, or null if nothing was erased
+   */
+  function splitPointsByEraser(points, eraserPoints, radius, eraserBounds) {
+    var spacing = Math.max(1, radius / 8);
+    var pieces = [];
+    var piece = [];
+    var erased = false;
     
-    // Add touch-specific CSS properties
-    this.svg.style.touchAction = 'none'; // Prevent default touch behaviors
-    this.svg.style.userSelect = 'none'; // Prevent text selection
-    this.svg.style.webkitUserSelect = 'none';
-    this.svg.style.mozUserSelect = 'none';
-    this.svg.style.msUserSelect = 'none';
+    function visit(point, inserted) {
+      var outside = point[0] < eraserBounds.minX || point[0] > eraserBounds.maxX ||
+        point[1] < eraserBounds.minY || point[1] > eraserBounds.maxY;
+      if (!outside && distanceToPolyline(point, eraserPoints) <= radius) {
+        erased = true;
+        if (piece.length > 0) {
+          pieces.push(piece);
+          piece = [];
+        }
+        return;
+      }
+      piece.push({ point: point, inserted: inserted });
+    }
     
-    // Create a container group for all drawings and erasers
-    this.drawingContainer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    this.svg.appendChild(this.drawingContainer);
+    visit(points[0], false);
+    for (var i = 1; i < points.length; i++) {
+      var start = points[i - 1];
+      var end = points[i];
+      if (boundsIntersect(extendBounds(extendBounds(null, start, 0), end, 0), eraserBounds)) {
+        var length = Math.sqrt(Math.pow(end[0] - start[0], 2) + Math.pow(end[1] - start[1], 2));
+        var steps = Math.ceil(length / spacing);
+        for (var k = 1; k < steps; k++) {
+          visit(interpolatePoint(start, end, k / steps), true);
+        }
+      }
+      visit(end, false);
+    }
+    if (piece.length > 0) {
+      pieces.push(piece);
+    }
     
-    // Create toolbar only if showToolbar is true
-    if (this.showToolbar) {
-      this.toolbar = document.createElement('div');
-      this.toolbar.className = 'pen-tool-toolbar';
-      this.setToolbarPosition();
-      
-      // Add tools to toolbar
-      this.createToolbar();
+    if (!erased) {
+      return null;
     }
     
-    // Validate current tool - if hand tool is selected but not available, default to pen
-    if (this.currentTool === 'hand' && !this.isHandToolAvailable()) {
-      this.currentTool = 'pen';
-      console.warn('Hand tool is not available with current settings. Defaulting to pen tool.');
+    // Single leftover points would not render, so they are dropped
+    return pieces.filter(function(entries) {
+      return entries.length > 1;
+    }).map(function(entries) {
+      var last = entries.length - 1;
+      return entries.filter(function(entry, index) {
+        return !entry.inserted || index === 0 || index === last;
+      }).map(function(entry) {
+        return entry.point;
+      });
+    });
+  }
+
+  /**
+   * Simplify a polyline with the Ramer-Douglas-Peucker algorithm
+   * Points (including any pressure entry) are kept as-is, only dropped.
+   * @param {Array} points - Stroke points
+   * @param {number} tolerance - Maximum distance in pixels a dropped point may deviate
+   * @returns {Array} The retained points, first and last always included
+   */
+  function simplifyPoints(points, tolerance) {
+    if (points.length <= 2 || tolerance <= 0) {
+      return points.slice();
     }
     
-    // Append elements to DOM
-    this.targetElement.appendChild(this.svg);
-    if (this.showToolbar && this.toolbar) {
-      this.targetElement.appendChild(this.toolbar);
+    var keep = [];
+    keep[0] = true;
+    keep[points.length - 1] = true;
+    
+    // Iterative to avoid deep recursion on very long strokes
+    var ranges = [[0, points.length - 1]];
+    while (ranges.length > 0) {
+      var range = ranges.pop();
+      var maxDistance = 0;
+      var maxIndex = -1;
+      
+      for (var i = range[0] + 1; i < range[1]; i++) {
+        var distance = distanceToSegment(points[i], points[range[0]], points[range[1]]);
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          maxIndex = i;
+        }
+      }
+      
+      if (maxDistance > tolerance) {
+        keep[maxIndex] = true;
+        ranges.push([range[0], maxIndex]);
+        ranges.push([maxIndex, range[1]]);
+      }
     }
     
-    // Add event listeners
-    this.addEventListeners();
-
-    // Enable the pen tool
-    this.isEnabled = true;
+    return points.filter(function(point, index) {
+      return keep[index] === true;
+    });
+  }
 
-    // Set pointer events to auto since pen is selected by default
-    this.svg.style.pointerEvents = 'auto';
-    
-    // Set initial active tool in toolbar if toolbar exists
-    if (this.toolbar) {
-      this.setActiveTool(this.currentTool);
+  /**
+   * Merge variable width settings with the defaults
+   * @param {boolean|Object} value - true for the defaults, or an object overriding some of them
+   * @returns {Object|null} Complete settings, or null when variable width is off
+   */
+  function normalizeVariableWidth(value) {
+    if (!value) {
+      return null;
     }
     
-    // Apply the theme based on the isDarkMode setting
-    this.applyTheme();
-  };
+    var settings = {};
+    for (var key in VARIABLE_WIDTH_DEFAULTS) {
+      settings[key] = value[key] !== undefined ? value[key] : VARIABLE_WIDTH_DEFAULTS[key];
+    }
+    return settings;
+  }
 
   /**
-   * Set toolbar position based on the toolPosition option
+   * Merge keymap overrides into the default shortcuts
+   * @param {Object|boolean} [keymap] - A shortcut or an array of shortcuts by action, null or false to unbind
+   * an action; false instead of an object unbinds every action
+   * @returns {Object} Array of shortcuts by action
    */
-  PenTool.prototype.setToolbarPosition = function() {
-    if (!this.toolbar) {
-      return; // Exit if toolbar doesn't exist
+  function resolveKeymap(keymap) {
+    var resolved = {};
+    var action;
+    for (action in DEFAULT_KEYMAP) {
+      resolved[action] = keymap === false ? null : DEFAULT_KEYMAP[action];
     }
     
-    // Reset all positioning styles first
-    this.toolbar.style.top = '';
-    this.toolbar.style.right = '';
-    this.toolbar.style.bottom = '';
-    this.toolbar.style.left = '';
-    this.toolbar.style.transform = '';
-    this.toolbar.style.display = 'flex';
-    this.toolbar.style.flexDirection = 'row'; // Default to row
+    if (keymap) {
+      for (action in keymap) {
+        if (!DEFAULT_KEYMAP.hasOwnProperty(action)) {
+          console.warn('Unknown keymap action: ' + action + '. Valid actions are: ' + Object.keys(DEFAULT_KEYMAP).join(', '));
+          continue;
+        }
+        resolved[action] = keymap[action];
+      }
+    }
     
-    // Set common styles
-    this.toolbar.style.position = 'absolute';
-    this.toolbar.style.zIndex = (this.zIndex + 1).toString();
-    this.toolbar.style.backgroundColor = 'rgba(255, 255, 255, 0.8)';
-    this.toolbar.style.borderRadius = '5px';
-    this.toolbar.style.padding = '5px';
-    this.toolbar.style.boxShadow = '0 2px 5px rgba(0, 0, 0, 0.2)';
+    for (action in resolved) {
+      var shortcuts = resolved[action];
+      resolved[action] = !shortcuts ? [] : (Array.isArray(shortcuts) ? shortcuts.slice() : [shortcuts]);
+    }
+    return resolved;
+  }
+
+  /**
+   * Check the toolbar items option, dropping invalid and repeated items
+   * @param {Array} items - Built-in item names, '|' for separators and custom buttons
+   *   ({ name, icon, title, onClick, isActive })
+   * @returns {Array} The valid items, in order
+   */
+  function resolveToolbarItems(items) {
+    if (!Array.isArray(items)) {
+      console.error('Invalid toolbar items: ' + items + '. They must be an array.');
+      return getDefaultToolbarItems();
+    }
     
-    // Apply position-specific styles
-    switch (this.toolPosition) {
-      case 'top':
-        this.toolbar.style.top = '10px';
-        this.toolbar.style.left = '50%';
-        this.toolbar.style.transform = 'translateX(-50%)';
-        break;
-      case 'bottom':
-        this.toolbar.style.bottom = '10px';
-        this.toolbar.style.left = '50%';
-        this.toolbar.style.transform = 'translateX(-50%)';
-        break;
-      case 'left':
-        this.toolbar.style.left = '10px';
-        this.toolbar.style.top = '50%';
-        this.toolbar.style.transform = 'translateY(-50%)';
-        this.toolbar.style.flexDirection = 'column';
+    var names = [];
+    return items.filter(function(item) {
+      if (!isValidToolbarItem(item)) {
+        return false;
+      }
+      
+      var name = getToolbarItemName(item);
+      if (name !== '|' && names.indexOf(name) !== -1) {
+        console.warn('Toolbar item ' + name + ' is listed more than once. Only the first one is used.');
+        return false;
+      }
+      names.push(name);
+      return true;
+    });
+  }
+
+  /**
+   * Get the default toolbar items: the built-in ones with the registered tools after the text tool
+   * @returns {Array}
+   */
+  function getDefaultToolbarItems() {
+    var items = TOOLBAR_ITEMS.slice();
+    var registered = Object.keys(PenTool.tools).filter(function(name) {
+      return TOOLBAR_ITEMS.indexOf(name) === -1;
+    });
+    items.splice.apply(items, [items.indexOf('text') + 1, 0].concat(registered));
+    return items;
+  }
+
+  /**
+   * Check a toolbar item: the name of a built-in item or registered tool, '|' for a separator, or a custom button
+   * @param {string|Object} item
+   * @returns {boolean}
+   */
+  function isValidToolbarItem(item) {
+    if (typeof item === 'string') {
+      if (item === '|' || getDefaultToolbarItems().indexOf(item) !== -1) {
+        return true;
+      }
+      console.error('Unknown toolbar item: ' + item + '. Built-in items and tools are: ' + getDefaultToolbarItems().join(', ') + ', and \'|\' for a separator');
+      return false;
+    }
+    
+    if (!item || typeof item.name !== 'string' || item.name === '' || item.name === '|' || typeof item.onClick !== 'function') {
+      console.error('Invalid toolbar item. Custom buttons need a name and an onClick function.');
+      return false;
+    }
+    if (getDefaultToolbarItems().indexOf(item.name) !== -1) {
+      console.error('Invalid toolbar item name: ' + item.name + '. It is the name of a built-in item or tool.');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get the name of a toolbar item
+   * @param {string|Object} item - Built-in item name, '|' or custom button
+   * @returns {string}
+   */
+  function getToolbarItemName(item) {
+    return typeof item === 'string' ? item : item.name;
+  }
+
+  /**
+   * Split a shortcut such as "Mod+Shift+Z" into its key and modifiers
+   * @param {string} shortcut
+   * @returns {Object} { key, mod, shift, alt } with single-character keys in upper case
+   */
+  function parseShortcut(shortcut) {
+    var parts = shortcut.split('+');
+    var key = parts.pop();
+    if (key === '') {
+      // The plus key itself, as in "+" or "Mod++"
+      key = '+';
+      parts.pop();
+    }
+    
+    var modifiers = parts.map(function(part) {
+      return part.toLowerCase();
+    });
+    var hasModifier = function(names) {
+      return modifiers.some(function(modifier) {
+        return names.indexOf(modifier) !== -1;
+      });
+    };
+    
+    return {
+      key: key.length === 1 ? key.toUpperCase() : key,
+      mod: hasModifier(['mod', 'ctrl', 'control', 'cmd', 'meta']),
+      shift: hasModifier(['shift']),
+      alt: hasModifier(['alt', 'option'])
+    };
+  }
+
+  /**
+   * Check whether a key press matches a shortcut
+   * @param {KeyboardEvent} event
+   * @param {string} shortcut
+   * @returns {boolean}
+   */
+  function matchesShortcut(event, shortcut) {
+    var parsed = parseShortcut(shortcut);
+    var key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    if (key !== parsed.key || (event.ctrlKey || event.metaKey) !== parsed.mod || event.altKey !== parsed.alt) {
+      return false;
+    }
+    
+    // Symbols are typed with or without Shift depending on the keyboard layout
+    var isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+    return isSymbol || event.shiftKey === parsed.shift;
+  }
+
+  /**
+   * Format a shortcut for a tooltip, e.g. "Ctrl+Shift+Z" or "⌘+Shift+Z" on a Mac
+   * @param {string} shortcut
+   * @returns {string}
+   */
+  function formatShortcut(shortcut) {
+    var parsed = parseShortcut(shortcut);
+    var isMac = /Mac|iPhone|iPad|iPod/.test(navigator.platform);
+    var parts = [];
+    if (parsed.mod) {
+      parts.push(isMac ? '⌘' : 'Ctrl');
+    }
+    if (parsed.alt) {
+      parts.push(isMac ? '⌥' : 'Alt');
+    }
+    if (parsed.shift) {
+      parts.push('Shift');
+    }
+    parts.push(parsed.key);
+    return parts.join('+');
+  }
+
+  /**
+   * Format a shortcut for the aria-keyshortcuts attribute, e.g. "Control+Shift+Z" or "Meta+Shift+Z" on a Mac
+   * @param {string} shortcut
+   * @returns {string}
+   */
+  function formatAriaShortcut(shortcut) {
+    var parsed = parseShortcut(shortcut);
+    var isMac = /Mac|iPhone|iPad|iPod/.test(navigator.platform);
+    var parts = [];
+    if (parsed.mod) {
+      parts.push(isMac ? 'Meta' : 'Control');
+    }
+    if (parsed.alt) {
+      parts.push('Alt');
+    }
+    if (parsed.shift) {
+      parts.push('Shift');
+    }
+    parts.push(parsed.key === '+' ? 'Plus' : (parsed.key === ' ' ? 'Space' : parsed.key));
+    return parts.join('+');
+  }
+
+  /**
+   * Build the filled outline of a pressure-sensitive stroke
+   * The stroke centerline is streamlined, a radius is computed per point from the
+   * (real or simulated) pressure and the start/end tapers, and both sides are
+   * joined with round caps.
+   * @param {Array} points - Stroke points as [x, y] or [x, y, pressure]
+   * @param {number} width - Nominal stroke width (the width at half pressure)
+   * @param {Object} settings - Normalized variable width settings
+   * @returns {string} Path data for a filled outline
+   */
+  function buildOutlinePathData(points, width, settings) {
+    var hasPressure = false;
+    for (var p = 0; p < points.length; p++) {
+      if (points[p].length > 2) {
+        hasPressure = true;
         break;
-      case 'right':
-        this.toolbar.style.right = '10px';
-        this.toolbar.style.top = '50%';
-        this.toolbar.style.transform = 'translateY(-50%)';
-        this.toolbar.style.flexDirection = 'column';
+      }
+    }
+    
+    // Streamline: each point only moves part of the way towards the next input point
+    var follow = 0.15 + (1 - settings.streamline) * 0.85;
+    var centerline = [];
+    for (var i = 0; i < points.length; i++) {
+      var input = points[i];
+      var inputPressure = input.length > 2 ? input[2] : 0.5;
+      if (i === 0) {
+        centerline.push({ x: input[0], y: input[1], pressure: inputPressure });
+      } else {
+        var previous = centerline[centerline.length - 1];
+        var isLast = i === points.length - 1;
+        var x = isLast ? input[0] : previous.x + (input[0] - previous.x) * follow;
+        var y = isLast ? input[1] : previous.y + (input[1] - previous.y) * follow;
+        
+        // Skip samples that do not move the pen; they would break the side normals
+        if (Math.abs(x - previous.x) < 0.01 && Math.abs(y - previous.y) < 0.01) {
+          continue;
+        }
+        centerline.push({ x: x, y: y, pressure: inputPressure });
+      }
+    }
+    
+    // Distance along the stroke, used for tapering and simulated pressure
+    var totalLength = 0;
+    centerline[0].distance = 0;
+    for (var d = 1; d < centerline.length; d++) {
+      totalLength += Math.sqrt(
+        Math.pow(centerline[d].x - centerline[d - 1].x, 2) +
+        Math.pow(centerline[d].y - centerline[d - 1].y, 2)
+      );
+      centerline[d].distance = totalLength;
+    }
+    
+    // Radius per point
+    var simulatedPressure = 0.25;
+    for (var r = 0; r < centerline.length; r++) {
+      var point = centerline[r];
+      var pressure;
+      
+      if (hasPressure) {
+        pressure = point.pressure;
+      } else if (settings.simulatePressure) {
+        // Fast movement thins the line, slow movement thickens it
+        var step = r === 0 ? 0 : point.distance - centerline[r - 1].distance;
+        var speed = Math.min(1, step / width);
+        var targetPressure = Math.min(1, 1 - speed);
+        simulatedPressure = Math.min(1, simulatedPressure + (targetPressure - simulatedPressure) * (speed * 0.275 + 0.05));
+        pressure = simulatedPressure;
+      } else {
+        pressure = 0.5;
+      }
+      
+      var radius = width * (0.5 - settings.thinning * (0.5 - pressure));
+      
+      if (settings.taperStart > 0 && point.distance < settings.taperStart) {
+        var startProgress = point.distance / settings.taperStart;
+        radius *= startProgress * (2 - startProgress);
+      }
+      if (settings.taperEnd > 0 && totalLength - point.distance < settings.taperEnd) {
+        var endProgress = (totalLength - point.distance) / settings.taperEnd;
+        radius *= endProgress * (2 - endProgress);
+      }
+      
+      point.radius = Math.max(0.01, radius);
+    }
+    
+    var format = formatCoordinate;
+    
+    // A single point becomes a dot
+    if (centerline.length === 1) {
+      var dot = centerline[0];
+      var dotRadius = format(Math.max(dot.radius, width * 0.5 * (1 - settings.thinning * 0.5)));
+      return 'M ' + format(dot.x - dotRadius) + ' ' + format(dot.y) +
+        ' A ' + dotRadius + ' ' + dotRadius + ' 0 1 0 ' + format(dot.x + dotRadius) + ' ' + format(dot.y) +
+        ' A ' + dotRadius + ' ' + dotRadius + ' 0 1 0 ' + format(dot.x - dotRadius) + ' ' + format(dot.y) + ' Z';
+    }
+    
+    // Offset both sides along the normal of the local direction
+    var leftSide = [];
+    var rightSide = [];
+    for (var n = 0; n < centerline.length; n++) {
+      var before = centerline[Math.max(0, n - 1)];
+      var after = centerline[Math.min(centerline.length - 1, n + 1)];
+      var dx = after.x - before.x;
+      var dy = after.y - before.y;
+      var length = Math.sqrt(dx * dx + dy * dy) || 1;
+      var normalX = -dy / length * centerline[n].radius;
+      var normalY = dx / length * centerline[n].radius;
+      leftSide.push([centerline[n].x + normalX, centerline[n].y + normalY]);
+      rightSide.push([centerline[n].x - normalX, centerline[n].y - normalY]);
+    }
+    
+    var last = centerline.length - 1;
+    var endRadius = format(centerline[last].radius);
+    var startRadius = format(centerline[0].radius);
+    var pathData = 'M ' + format(leftSide[0][0]) + ' ' + format(leftSide[0][1]);
+    for (var l = 1; l <= last; l++) {
+      pathData += ' L ' + format(leftSide[l][0]) + ' ' + format(leftSide[l][1]);
+    }
+    pathData += ' A ' + endRadius + ' ' + endRadius + ' 0 0 0 ' + format(rightSide[last][0]) + ' ' + format(rightSide[last][1]);
+    for (var b = last - 1; b >= 0; b--) {
+      pathData += ' L ' + format(rightSide[b][0]) + ' ' + format(rightSide[b][1]);
+    }
+    pathData += ' A ' + startRadius + ' ' + startRadius + ' 0 0 0 ' + format(leftSide[0][0]) + ' ' + format(leftSide[0][1]) + ' Z';
+    
+    return pathData;
+  }
+
+  // Incremented for every stroke so strokes can be referenced by id in the DOM and the spatial index
+  var strokeIdCounter = 0;
+
+  /**
+   * Get a new unique stroke id
+   * @returns {number}
+   */
+  function nextStrokeId() {
+    return ++strokeIdCounter;
+  }
+
+  /**
+   * Grow bounds to include a point and the given radius around it
+   * @param {Object|null} bounds - { minX, minY, maxX, maxY } or null to start new bounds
+   * @param {Array} point - [x, y]
+   * @param {number} radius
+   * @returns {Object} Updated bounds
+   */
+  function extendBounds(bounds, point, radius) {
+    if (!bounds) {
+      return { minX: point[0] - radius, minY: point[1] - radius, maxX: point[0] + radius, maxY: point[1] + radius };
+    }
+    bounds.minX = Math.min(bounds.minX, point[0] - radius);
+    bounds.minY = Math.min(bounds.minY, point[1] - radius);
+    bounds.maxX = Math.max(bounds.maxX, point[0] + radius);
+    bounds.maxY = Math.max(bounds.maxY, point[1] + radius);
+    return bounds;
+  }
+
+  /**
+   * Check whether two bounds overlap
+   * @param {Object} a - { minX, minY, maxX, maxY }
+   * @param {Object} b - { minX, minY, maxX, maxY }
+   * @returns {boolean}
+   */
+  function boundsIntersect(a, b) {
+    return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+  }
+
+  /**
+   * Get the area covered by a stroke, including its width
+   * Finished strokes never change, so the result is cached on the stroke.
+   * The live eraser keeps growing and is measured every time.
+   * @param {Object} stroke
+   * @returns {Object} { minX, minY, maxX, maxY }
+   */
+  function getStrokeBounds(stroke) {
+    if (stroke.bounds && !stroke.isTemporary) {
+      return stroke.bounds;
+    }
+    
+    var bounds = measureStrokeBounds(stroke, getStrokeMatrix(stroke));
+    if (!stroke.isTemporary) {
+      stroke.bounds = bounds;
+    }
+    return bounds;
+  }
+
+  /**
+   * Get the area a stroke covered at some time, before the moves made since
+   * @param {Object} stroke
+   * @param {number} timestamp
+   * @returns {Object} { minX, minY, maxX, maxY }
+   */
+  function getStrokeBoundsAt(stroke, timestamp) {
+    if (!stroke.transforms) {
+      return getStrokeBounds(stroke);
+    }
+    return measureStrokeBounds(stroke, getStrokeMatrix(stroke, timestamp));
+  }
+
+  /**
+   * Get the area a stroke has covered at any time
+   * The spatial index uses this so erasers drawn before a move still find the stroke.
+   * @param {Object} stroke
+   * @returns {Object} { minX, minY, maxX, maxY }
+   */
+  function getStrokeIndexBounds(stroke) {
+    var bounds = getStrokeBounds(stroke);
+    var transforms = stroke.transforms || [];
+    for (var i = 0; i < transforms.length; i++) {
+      var earlier = getStrokeBoundsAt(stroke, transforms[i].timestamp);
+      bounds = {
+        minX: Math.min(bounds.minX, earlier.minX),
+        minY: Math.min(bounds.minY, earlier.minY),
+        maxX: Math.max(bounds.maxX, earlier.maxX),
+        maxY: Math.max(bounds.maxY, earlier.maxY)
+      };
+    }
+    return bounds;
+  }
+
+  /**
+   * Measure the area covered by a stroke placed with a matrix
+   * @param {Object} stroke
+   * @param {Array} matrix
+   * @returns {Object} { minX, minY, maxX, maxY }
+   */
+  function measureStrokeBounds(stroke, matrix) {
+    var radius;
+    if (stroke.type === 'eraser') {
+      radius = stroke.eraserWidth / 2;
+    } else if (stroke.type === 'text') {
+      radius = 0; // The text box already covers the glyphs
+    } else if (stroke.variableWidth) {
+      radius = stroke.width; // Simulated pressure can widen the outline past the nominal width
+    } else {
+      radius = (stroke.width || 0) / 2; // Custom stroke types may have no width
+    }
+    
+    var bounds = null;
+    var polylines = stroke.points ? getLocalPolylines(stroke) : [];
+    var transformed = !isIdentityMatrix(matrix);
+    for (var i = 0; i < polylines.length; i++) {
+      for (var j = 0; j < polylines[i].length; j++) {
+        bounds = extendBounds(bounds, transformed ? transformPoint(matrix, polylines[i][j]) : polylines[i][j], radius);
+      }
+    }
+    
+    return bounds || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  }
+
+  /**
+   * Make an eraser mask and its white background cover a stroke where it was drawn
+   * By default a mask covers the stroke's bounding box, which leaves out the
+   * line width and is empty for a straight horizontal or vertical line.
+   * @param {SVGMaskElement} mask
+   * @param {SVGRectElement} background - White rect that keeps the stroke visible
+   * @param {Object} stroke - Ink stroke
+   */
+  function fitMaskToStroke(mask, background, stroke) {
+    var bounds = measureStrokeBounds(stroke, IDENTITY_MATRIX);
+    var region = {
+      x: bounds.minX - 1,
+      y: bounds.minY - 1,
+      width: bounds.maxX - bounds.minX + 2,
+      height: bounds.maxY - bounds.minY + 2
+    };
+    mask.setAttribute('maskUnits', 'userSpaceOnUse');
+    for (var key in region) {
+      mask.setAttribute(key, formatCoordinate(region[key]).toString());
+      background.setAttribute(key, formatCoordinate(region[key]).toString());
+    }
+  }
+
+  /**
+   * Estimate the box covered by a text annotation
+   * SVG text can only be measured once it is rendered, so the width is
+   * estimated from the longest line.
+   * @param {Object} stroke - Stroke with type 'text'
+   * @returns {Object} { minX, minY, maxX, maxY }
+   */
+  function getTextBox(stroke) {
+    var lines = stroke.text.split('\n');
+    var longest = 0;
+    for (var i = 0; i < lines.length; i++) {
+      longest = Math.max(longest, lines[i].length);
+    }
+    
+    var x = stroke.points[0][0];
+    var y = stroke.points[0][1];
+    return {
+      minX: x,
+      minY: y,
+      maxX: x + longest * stroke.fontSize * TEXT_CHARACTER_WIDTH,
+      maxY: y + lines.length * stroke.fontSize * TEXT_LINE_HEIGHT
+    };
+  }
+
+  /**
+   * End points of the two barbs of an arrow head
+   * @param {Array} from - Point the arrow comes from [x, y]
+   * @param {Array} tip - Arrow tip [x, y]
+   * @param {number} width - Stroke width; heads grow with it
+   * @returns {Array|null} [barb, tip, barb] polyline, or null for a zero-length arrow
+   */
+  function getArrowHead(from, tip, width) {
+    var dx = tip[0] - from[0];
+    var dy = tip[1] - from[1];
+    if (dx === 0 && dy === 0) {
+      return null;
+    }
+    
+    var angle = Math.atan2(dy, dx);
+    var length = Math.max(10, width * 3);
+    var spread = Math.PI / 6;
+    return [
+      [formatCoordinate(tip[0] - length * Math.cos(angle - spread)), formatCoordinate(tip[1] - length * Math.sin(angle - spread))],
+      tip,
+      [formatCoordinate(tip[0] - length * Math.cos(angle + spread)), formatCoordinate(tip[1] - length * Math.sin(angle + spread))]
+    ];
+  }
+
+  /**
+   * Polylines that trace the outline of a stroke where it is in the drawing
+   * @param {Object} stroke
+   * @returns {Array} List of polylines ([[x, y], ...])
+   */
+  function getStrokePolylines(stroke) {
+    var polylines = getLocalPolylines(stroke);
+    if (!stroke.transforms) {
+      return polylines;
+    }
+    
+    var matrix = getStrokeMatrix(stroke);
+    return polylines.map(function(polyline) {
+      return polyline.map(function(point) {
+        return transformPoint(matrix, point);
+      });
+    });
+  }
+
+  /**
+   * Polylines that trace the outline of a stroke in its own coordinates, before any moves
+   * Freehand strokes are a single polyline through their points; shapes are
+   * expanded from their two defining points (polygons from their corners) and
+   * text is outlined by its box.
+   * @param {Object} stroke
+   * @returns {Array} List of polylines ([[x, y], ...])
+   */
+  function getLocalPolylines(stroke) {
+    if (stroke.type === 'text') {
+      var box = getTextBox(stroke);
+      return [[[box.minX, box.minY], [box.maxX, box.minY], [box.maxX, box.maxY], [box.minX, box.maxY], [box.minX, box.minY]]];
+    }
+    if (stroke.type !== 'shape') {
+      return [stroke.points];
+    }
+    
+    var start = stroke.points[0];
+    var end = stroke.points[1];
+    
+    switch (stroke.shape) {
+      case 'rectangle':
+        return [[start, [end[0], start[1]], end, [start[0], end[1]], start]];
+      case 'polygon':
+        return [stroke.points.concat([start])];
+      case 'ellipse':
+        var centerX = (start[0] + end[0]) / 2;
+        var centerY = (start[1] + end[1]) / 2;
+        var radiusX = Math.abs(end[0] - start[0]) / 2;
+        var radiusY = Math.abs(end[1] - start[1]) / 2;
+        var outline = [];
+        for (var i = 0; i <= ELLIPSE_SEGMENTS; i++) {
+          var angle = Math.PI + i / ELLIPSE_SEGMENTS * Math.PI * 2;
+          outline.push([formatCoordinate(centerX + radiusX * Math.cos(angle)), formatCoordinate(centerY + radiusY * Math.sin(angle))]);
+        }
+        return [outline];
+      case 'arrow':
+        var polylines = [[start, end]];
+        var heads = stroke.arrowHeads || 'end';
+        if (heads === 'end' || heads === 'both') {
+          polylines.push(getArrowHead(start, end, stroke.width));
+        }
+        if (heads === 'start' || heads === 'both') {
+          polylines.push(getArrowHead(end, start, stroke.width));
+        }
+        return polylines.filter(Boolean);
+      default:
+        return [[start, end]];
+    }
+  }
+
+  /**
+   * Build SVG path data for a shape stroke
+   * @param {Object} stroke - Stroke with type 'shape'
+   * @returns {string} Path data for the "d" attribute
+   */
+  function buildShapePathData(stroke) {
+    if (stroke.shape === 'ellipse') {
+      // Two arcs draw an exact ellipse instead of the polygon used for hit testing
+      var start = stroke.points[0];
+      var end = stroke.points[1];
+      var radiusX = formatCoordinate(Math.abs(end[0] - start[0]) / 2);
+      var radiusY = formatCoordinate(Math.abs(end[1] - start[1]) / 2);
+      var left = formatCoordinate(Math.min(start[0], end[0]));
+      var right = formatCoordinate(Math.max(start[0], end[0]));
+      var centerY = formatCoordinate((start[1] + end[1]) / 2);
+      return 'M ' + left + ' ' + centerY +
+        ' A ' + radiusX + ' ' + radiusY + ' 0 1 0 ' + right + ' ' + centerY +
+        ' A ' + radiusX + ' ' + radiusY + ' 0 1 0 ' + left + ' ' + centerY + ' Z';
+    }
+    
+    return getLocalPolylines(stroke).map(function(polyline) {
+      var pathData = 'M ' + polyline[0][0] + ' ' + polyline[0][1];
+      for (var i = 1; i < polyline.length; i++) {
+        pathData += ' L ' + polyline[i][0] + ' ' + polyline[i][1];
+      }
+      return stroke.shape === 'rectangle' || stroke.shape === 'polygon' ? pathData + ' Z' : pathData;
+    }).join(' ');
+  }
+
+  /**
+   * Constrain the dragged corner of a shape, as when Shift is held
+   * Lines and arrows snap to 45° steps; rectangles and ellipses become squares and circles.
+   * @param {string} shape - Shape type
+   * @param {Array} start - Fixed point [x, y]
+   * @param {Array} point - Dragged point [x, y]
+   * @returns {Array} Constrained point [x, y]
+   */
+  function constrainShapePoint(shape, start, point) {
+    var dx = point[0] - start[0];
+    var dy = point[1] - start[1];
+    
+    if (shape === 'line' || shape === 'arrow') {
+      var length = Math.sqrt(dx * dx + dy * dy);
+      var angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+      return [formatCoordinate(start[0] + length * Math.cos(angle)), formatCoordinate(start[1] + length * Math.sin(angle))];
+    }
+    
+    var size = Math.max(Math.abs(dx), Math.abs(dy));
+    return [start[0] + (dx < 0 ? -size : size), start[1] + (dy < 0 ? -size : size)];
+  }
+
+  /**
+   * Distance between two points
+   * @param {Array} a - [x, y]
+   * @param {Array} b - [x, y]
+   * @returns {number}
+   */
+  function getDistance(a, b) {
+    return Math.sqrt(Math.pow(b[0] - a[0], 2) + Math.pow(b[1] - a[1], 2));
+  }
+
+  /**
+   * Combine two transformation matrices
+   * @param {Array} outer - Matrix applied second
+   * @param {Array} inner - Matrix applied first
+   * @returns {Array} Matrix applying inner, then outer
+   */
+  function multiplyMatrices(outer, inner) {
+    return [
+      outer[0] * inner[0] + outer[2] * inner[1],
+      outer[1] * inner[0] + outer[3] * inner[1],
+      outer[0] * inner[2] + outer[2] * inner[3],
+      outer[1] * inner[2] + outer[3] * inner[3],
+      outer[0] * inner[4] + outer[2] * inner[5] + outer[4],
+      outer[1] * inner[4] + outer[3] * inner[5] + outer[5]
+    ];
+  }
+
+  /**
+   * Invert a transformation matrix
+   * @param {Array} matrix - Invertible matrix
+   * @returns {Array}
+   */
+  function invertMatrix(matrix) {
+    var determinant = matrix[0] * matrix[3] - matrix[1] * matrix[2];
+    return [
+      matrix[3] / determinant,
+      -matrix[1] / determinant,
+      -matrix[2] / determinant,
+      matrix[0] / determinant,
+      (matrix[2] * matrix[5] - matrix[3] * matrix[4]) / determinant,
+      (matrix[1] * matrix[4] - matrix[0] * matrix[5]) / determinant
+    ];
+  }
+
+  /**
+   * Round a matrix for storage: six decimals for the linear part, two for the translation
+   * @param {Array} matrix
+   * @returns {Array}
+   */
+  function roundMatrix(matrix) {
+    return matrix.map(function(value, index) {
+      return index < 4 ? Math.round(value * 1000000) / 1000000 : formatCoordinate(value);
+    });
+  }
+
+  /**
+   * Check that a matrix is six finite numbers and can be undone
+   * The determinant is checked after rounding, as the matrix is stored rounded.
+   * @param {*} matrix
+   * @returns {boolean}
+   */
+  function isInvertibleMatrix(matrix) {
+    if (!Array.isArray(matrix) || matrix.length !== 6 || !matrix.every(function(value) {
+      return typeof value === 'number' && isFinite(value);
+    })) {
+      return false;
+    }
+    var rounded = roundMatrix(matrix);
+    return rounded[0] * rounded[3] - rounded[1] * rounded[2] !== 0;
+  }
+
+  /**
+   * Check whether a matrix leaves points where they are
+   * @param {Array} matrix
+   * @returns {boolean}
+   */
+  function isIdentityMatrix(matrix) {
+    return matrix.every(function(value, index) {
+      return Math.abs(value - IDENTITY_MATRIX[index]) < 1e-9;
+    });
+  }
+
+  /**
+   * Format a matrix as an SVG transform attribute value
+   * @param {Array} matrix
+   * @returns {string}
+   */
+  function formatMatrix(matrix) {
+    return 'matrix(' + roundMatrix(matrix).join(' ') + ')';
+  }
+
+  /**
+   * Apply a transformation matrix to a point
+   * @param {Array} matrix
+   * @param {Array} point - [x, y(, pressure)]; the pressure is kept
+   * @returns {Array}
+   */
+  function transformPoint(matrix, point) {
+    var transformed = point.slice();
+    transformed[0] = formatCoordinate(matrix[0] * point[0] + matrix[2] * point[1] + matrix[4]);
+    transformed[1] = formatCoordinate(matrix[1] * point[0] + matrix[3] * point[1] + matrix[5]);
+    return transformed;
+  }
+
+  /**
+   * Matrix placing a stroke in the drawing, combining the moves it went through
+   * @param {Object} stroke - Stroke with optional transforms ([{ matrix, timestamp }], oldest first)
+   * @param {number} [before] - Only combine the moves made before this time
+   * @returns {Array}
+   */
+  function getStrokeMatrix(stroke, before) {
+    var matrix = IDENTITY_MATRIX;
+    var transforms = stroke.transforms || [];
+    for (var i = 0; i < transforms.length; i++) {
+      if (before !== undefined && transforms[i].timestamp >= before) {
         break;
+      }
+      matrix = multiplyMatrices(transforms[i].matrix, matrix);
+    }
+    return matrix;
+  }
+
+  /**
+   * Add a move to serialized stroke data
+   * Moves in a row are combined, unless an eraser stroke was drawn since the
+   * last one: that eraser has to stay where the stroke was when it was drawn.
+   * @param {Object} strokeData - Serialized ink stroke, changed in place
+   * @param {Array} matrix - Move to add
+   * @param {number} latestEraser - Timestamp of the newest eraser stroke, 0 if there is none
+   */
+  function appendTransform(strokeData, matrix, latestEraser) {
+    var transforms = strokeData.transforms || [];
+    var last = transforms[transforms.length - 1];
+    if (last && last.timestamp > latestEraser) {
+      last.matrix = roundMatrix(multiplyMatrices(matrix, last.matrix));
+    } else {
+      transforms.push({
+        matrix: roundMatrix(matrix),
+        timestamp: Math.max(Date.now(), latestEraser + 1, strokeData.timestamp)
+      });
+    }
+    strokeData.transforms = transforms;
+  }
+
+  /**
+   * Check whether a polyline touches the inside of bounds
+   * @param {Array} polyline - List of [x, y] points
+   * @param {Object} bounds - { minX, minY, maxX, maxY }
+   * @returns {boolean}
+   */
+  function polylineIntersectsBounds(polyline, bounds) {
+    var corners = [[bounds.minX, bounds.minY], [bounds.maxX, bounds.minY], [bounds.maxX, bounds.maxY], [bounds.minX, bounds.maxY]];
+    for (var i = 0; i < polyline.length; i++) {
+      var point = polyline[i];
+      if (point[0] >= bounds.minX && point[0] <= bounds.maxX && point[1] >= bounds.minY && point[1] <= bounds.maxY) {
+        return true;
+      }
+      // Segments can also cross the bounds without a point inside
+      for (var j = 0; i > 0 && j < 4; j++) {
+        if (segmentsIntersect(polyline[i - 1], point, corners[j], corners[(j + 1) % 4])) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check whether a point lies inside a polygon (even-odd rule)
+   * @param {Array} point - [x, y]
+   * @param {Array} polygon - List of [x, y] corners; the closing edge is implied
+   * @returns {boolean}
+   */
+  function isPointInPolygon(point, polygon) {
+    var inside = false;
+    for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      var a = polygon[i];
+      var b = polygon[j];
+      if ((a[1] > point[1]) !== (b[1] > point[1]) &&
+          point[0] < (b[0] - a[0]) * (point[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Average distance from a set of points to the nearest of some polylines
+   * @param {Array} points - List of [x, y] points
+   * @param {Array} polylines - List of polylines ([[x, y], ...])
+   * @returns {number}
+   */
+  function meanDistanceToPolylines(points, polylines) {
+    var total = 0;
+    for (var i = 0; i < points.length; i++) {
+      var distance = Infinity;
+      for (var j = 0; j < polylines.length; j++) {
+        distance = Math.min(distance, distanceToPolyline(points[i], polylines[j]));
+      }
+      total += distance;
+    }
+    return total / points.length;
+  }
+
+  /**
+   * Angle in radians by which a path turns at a corner, 0 when it goes straight on
+   * @param {Array} previous - [x, y]
+   * @param {Array} corner - [x, y]
+   * @param {Array} next - [x, y]
+   * @returns {number} Between 0 and π
+   */
+  function getTurnAngle(previous, corner, next) {
+    var turn = Math.abs(
+      Math.atan2(next[1] - corner[1], next[0] - corner[0]) -
+      Math.atan2(corner[1] - previous[1], corner[0] - previous[0])
+    );
+    return turn > Math.PI ? Math.PI * 2 - turn : turn;
+  }
+
+  /**
+   * Find the corners of a closed freehand outline
+   * @param {Array} points - Stroke points
+   * @param {number} tolerance - Simplification tolerance in pixels
+   * @param {number} perimeter - Length of the stroke
+   * @returns {Array} Corners [x, y] in drawing order, the first one not repeated
+   */
+  function findOutlineCorners(points, tolerance, perimeter) {
+    // Split at the point farthest from the start so both halves simplify cleanly
+    var farthest = 0;
+    var farthestDistance = -1;
+    for (var i = 0; i < points.length; i++) {
+      var distance = getDistance(points[0], points[i]);
+      if (distance > farthestDistance) {
+        farthestDistance = distance;
+        farthest = i;
+      }
+    }
+    
+    // The last point closes the outline onto the first, so it is not a corner
+    var corners = simplifyPoints(points.slice(0, farthest + 1), tolerance)
+      .concat(simplifyPoints(points.slice(farthest), tolerance).slice(1, -1))
+      .map(function(point) {
+        return [point[0], point[1]];
+      });
+    
+    // Drop the weakest corner until the rest all turn sharply between
+    // reasonably long edges (removes the start and overshoot where the outline closes)
+    while (corners.length > 3) {
+      var weakest = -1;
+      var weakestTurn = Infinity;
+      for (var j = 0; j < corners.length; j++) {
+        var previous = corners[(j + corners.length - 1) % corners.length];
+        var next = corners[(j + 1) % corners.length];
+        var turn = getTurnAngle(previous, corners[j], next);
+        var shortestEdge = Math.min(
+          getDistance(previous, corners[j]),
+          getDistance(corners[j], next)
+        );
+        if ((turn < Math.PI / 5 || shortestEdge < perimeter * 0.08) && turn < weakestTurn) {
+          weakest = j;
+          weakestTurn = turn;
+        }
+      }
+      if (weakest === -1) {
+        break;
+      }
+      corners.splice(weakest, 1);
+    }
+    
+    return corners;
+  }
+
+  /**
+   * Recognize a line, arrow, circle, ellipse, triangle or rectangle in a freehand stroke
+   * @param {Array} points - Stroke points
+   * @returns {Object|null} { shape, points, arrowHeads, recognized: { shape, confidence } }
+   *   describing the shape stroke to replace it with, or null when nothing fits well enough
+   */
+  function recognizeShape(points) {
+    if (points.length < 2) {
+      return null;
+    }
+    
+    var bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    var length = 0;
+    for (var i = 0; i < points.length; i++) {
+      extendBounds(bounds, points[i], 0);
+      if (i > 0) {
+        length += getDistance(points[i - 1], points[i]);
+      }
+    }
+    var width = bounds.maxX - bounds.minX;
+    var height = bounds.maxY - bounds.minY;
+    var size = Math.sqrt(width * width + height * height);
+    if (size < SMART_INK_MIN_SIZE) {
+      return null;
+    }
+    
+    var start = [formatCoordinate(points[0][0]), formatCoordinate(points[0][1])];
+    var end = [formatCoordinate(points[points.length - 1][0]), formatCoordinate(points[points.length - 1][1])];
+    var gap = getDistance(start, end);
+    var candidates = [];
+    
+    // Line: the stroke hardly strays from the straight path between its ends
+    if (gap > length * 0.85) {
+      candidates.push({
+        shape: 'line',
+        points: [start, end],
+        error: meanDistanceToPolylines(points, [[start, end]]) / size
+      });
+    }
+    
+    // Arrow: a shaft, then one barb, back to the tip and the other barb
+    var outline = simplifyPoints(points, size * 0.08);
+    if (outline.length === 5) {
+      var tip = interpolatePoint(outline[1], outline[3], 0.5).slice(0, 2);
+      var shaft = getDistance(start, tip);
+      var shaftAngle = Math.atan2(start[1] - tip[1], start[0] - tip[0]);
+      var barbs = [outline[2], outline[4]];
+      var sides = [];
+      var isArrow = getDistance(outline[1], outline[3]) < shaft * 0.15;
+      for (var b = 0; b < barbs.length && isArrow; b++) {
+        var barbLength = getDistance(tip, barbs[b]);
+        // Barbs point back along the shaft, one on each side of it
+        var spread = Math.atan2(barbs[b][1] - tip[1], barbs[b][0] - tip[0]) - shaftAngle;
+        spread = Math.atan2(Math.sin(spread), Math.cos(spread));
+        sides.push(spread > 0);
+        isArrow = barbLength > shaft * 0.1 && barbLength < shaft * 0.6 &&
+          Math.abs(spread) > Math.PI / 18 && Math.abs(spread) < Math.PI * 5 / 12;
+      }
+      if (isArrow && sides[0] !== sides[1]) {
+        candidates.push({
+          shape: 'arrow',
+          points: [start, tip],
+          arrowHeads: 'end',
+          error: meanDistanceToPolylines(points, [[start, tip], [barbs[0], tip, barbs[1]]]) / size
+        });
+      }
+    }
+    
+    // Closed outlines: the stroke ends near where it started
+    if (gap < size * 0.25 && length > size * 1.5) {
+      var centerX = (bounds.minX + bounds.maxX) / 2;
+      var centerY = (bounds.minY + bounds.maxY) / 2;
+      var radiusX = width / 2;
+      var radiusY = height / 2;
+      if (radiusX > 0 && radiusY > 0) {
+        var deviation = 0;
+        for (var j = 0; j < points.length; j++) {
+          var normalX = (points[j][0] - centerX) / radiusX;
+          var normalY = (points[j][1] - centerY) / radiusY;
+          deviation += Math.abs(Math.sqrt(normalX * normalX + normalY * normalY) - 1);
+        }
+        var ellipseError = deviation / points.length * (radiusX + radiusY) / 2 / size;
+        
+        // Nearly round ellipses are meant to be circles
+        if (Math.min(radiusX, radiusY) / Math.max(radiusX, radiusY) > 0.85) {
+          var radius = (radiusX + radiusY) / 2;
+          candidates.push({
+            shape: 'circle',
+            points: [
+              [formatCoordinate(centerX - radius), formatCoordinate(centerY - radius)],
+              [formatCoordinate(centerX + radius), formatCoordinate(centerY + radius)]
+            ],
+            error: ellipseError
+          });
+        } else {
+          candidates.push({
+            shape: 'ellipse',
+            points: [
+              [formatCoordinate(bounds.minX), formatCoordinate(bounds.minY)],
+              [formatCoordinate(bounds.maxX), formatCoordinate(bounds.maxY)]
+            ],
+            error: ellipseError
+          });
+        }
+      }
+      
+      var corners = findOutlineCorners(points, size * 0.05, length).map(function(corner) {
+        return [formatCoordinate(corner[0]), formatCoordinate(corner[1])];
+      });
+      var polygonError = meanDistanceToPolylines(points, [corners.concat([corners[0]])]) / size;
+      if (corners.length === 3) {
+        candidates.push({ shape: 'triangle', points: corners, error: polygonError });
+      } else if (corners.length === 4) {
+        var isRectangle = corners.every(function(corner, index) {
+          var turn = getTurnAngle(corners[(index + 3) % 4], corner, corners[(index + 1) % 4]);
+          return Math.abs(turn - Math.PI / 2) < Math.PI / 9;
+        });
+        if (isRectangle) {
+          var edgeAngle = Math.atan2(corners[1][1] - corners[0][1], corners[1][0] - corners[0][0]);
+          var tilt = Math.abs(edgeAngle % (Math.PI / 2));
+          if (Math.min(tilt, Math.PI / 2 - tilt) < Math.PI / 18) {
+            // Nearly upright rectangles are straightened
+            var box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            corners.forEach(function(corner) {
+              extendBounds(box, corner, 0);
+            });
+            var rectangle = [[box.minX, box.minY], [box.maxX, box.minY], [box.maxX, box.maxY], [box.minX, box.maxY], [box.minX, box.minY]];
+            candidates.push({
+              shape: 'rectangle',
+              points: [[box.minX, box.minY], [box.maxX, box.maxY]],
+              error: meanDistanceToPolylines(points, [rectangle]) / size
+            });
+          } else {
+            candidates.push({ shape: 'rectangle', points: corners, polygon: true, error: polygonError });
+          }
+        }
+      }
+    }
+    
+    var best = null;
+    for (var k = 0; k < candidates.length; k++) {
+      if (candidates[k].error < SMART_INK_TOLERANCE && (!best || candidates[k].error < best.error)) {
+        best = candidates[k];
+      }
+    }
+    if (!best) {
+      return null;
+    }
+    
+    var strokeShapes = { line: 'line', arrow: 'arrow', circle: 'ellipse', ellipse: 'ellipse', triangle: 'polygon', rectangle: 'rectangle' };
+    return {
+      shape: best.polygon ? 'polygon' : strokeShapes[best.shape],
+      points: best.points,
+      arrowHeads: best.arrowHeads,
+      recognized: {
+        shape: best.shape,
+        confidence: formatCoordinate(1 - best.error / SMART_INK_TOLERANCE)
+      }
+    };
+  }
+
+  /**
+   * Check whether a stroke leaves ink on the drawing (as opposed to an eraser stroke)
+   * @param {Object} stroke
+   * @returns {boolean}
+   */
+  function isInkStroke(stroke) {
+    return stroke.type !== 'eraser';
+  }
+
+  /**
+   * Get the registered tool that renders strokes of a type other than the built-in ones
+   * @param {string} type - Stroke type
+   * @returns {Object|null} The tool, or null for built-in and unknown types
+   */
+  function getStrokeRenderer(type) {
+    if (STROKE_TYPES.indexOf(type) !== -1 || !PenTool.tools.hasOwnProperty(type)) {
+      return null;
+    }
+    return PenTool.tools[type].render ? PenTool.tools[type] : null;
+  }
+
+  /**
+   * Uniform grid over the drawing for finding the strokes near a point
+   * Erasing only has to look at the strokes in the cells it touches instead of
+   * every stroke in the drawing.
+   * @param {number} cellSize - Cell size in pixels
+   */
+  function SpatialGrid(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = {};
+    this.keysById = {};
+  }
+
+  /**
+   * Get the keys of the cells covered by bounds
+   * @param {Object} bounds - { minX, minY, maxX, maxY }
+   * @returns {Array} Cell keys
+   */
+  SpatialGrid.prototype.getKeys = function(bounds) {
+    var keys = [];
+    var minColumn = Math.floor(bounds.minX / this.cellSize);
+    var maxColumn = Math.floor(bounds.maxX / this.cellSize);
+    var minRow = Math.floor(bounds.minY / this.cellSize);
+    var maxRow = Math.floor(bounds.maxY / this.cellSize);
+    
+    for (var column = minColumn; column <= maxColumn; column++) {
+      for (var row = minRow; row <= maxRow; row++) {
+        keys.push(column + ':' + row);
+      }
+    }
+    return keys;
+  };
+
+  /**
+   * Add a stroke to every cell its bounds cover
+   * @param {Object} stroke - Stroke with an id
+   * @param {Object} bounds - { minX, minY, maxX, maxY }
+   */
+  SpatialGrid.prototype.insert = function(stroke, bounds) {
+    var keys = this.getKeys(bounds);
+    for (var i = 0; i < keys.length; i++) {
+      (this.cells[keys[i]] = this.cells[keys[i]] || []).push(stroke);
+    }
+    this.keysById[stroke.id] = keys;
+  };
+
+  /**
+   * Remove a stroke from the grid
+   * @param {Object} stroke - Previously inserted stroke
+   */
+  SpatialGrid.prototype.remove = function(stroke) {
+    var keys = this.keysById[stroke.id];
+    if (!keys) {
+      return;
+    }
+    
+    for (var i = 0; i < keys.length; i++) {
+      var cell = this.cells[keys[i]];
+      var index = cell ? cell.indexOf(stroke) : -1;
+      if (index !== -1) {
+        cell.splice(index, 1);
+      }
+      if (cell && cell.length === 0) {
+        delete this.cells[keys[i]];
+      }
+    }
+    delete this.keysById[stroke.id];
+  };
+
+  /**
+   * Get the strokes in the cells covered by bounds
+   * The result may include strokes that only share a cell with bounds.
+   * @param {Object} bounds - { minX, minY, maxX, maxY }
+   * @returns {Array} Unique strokes
+   */
+  SpatialGrid.prototype.query = function(bounds) {
+    var keys = this.getKeys(bounds);
+    var seen = {};
+    var result = [];
+    
+    for (var i = 0; i < keys.length; i++) {
+      var cell = this.cells[keys[i]];
+      if (!cell) {
+        continue;
+      }
+      for (var j = 0; j < cell.length; j++) {
+        if (!seen[cell[j].id]) {
+          seen[cell[j].id] = true;
+          result.push(cell[j]);
+        }
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Remove all strokes from the grid
+   */
+  SpatialGrid.prototype.clear = function() {
+    this.cells = {};
+    this.keysById = {};
+  };
+
+  function PenTool(options) {
+    // Instance properties
+    this.targetElement = null;
+    this.svg = null;
+    this.defs = null; // Eraser paths and the masks that reference them
+    this.viewport = null; // Group moved and scaled by the view; holds the ink and the selection box
+    this.view = { x: 0, y: 0, zoom: 1 }; // A drawing point [px, py] shows at [px * scale + x, py * scale + y], see getViewScale()
+    this.contentScale = 1; // Screen pixels per drawing unit at zoom 1; follows the size of the drawing area with a viewBox
+    this.viewportSize = null; // Size of the drawing area when it was last measured for a resize
+    this.resizeObserver = null;
+    this.autoScroll = null; // { event, frame } while drawing on scrollable content: the last pointer event and the next auto-scroll frame
+    this.viewGesture = null; // { type: 'pinch' or 'pan', ... } while the view is being dragged
+    this.touchPositions = {}; // Last client position of each touch pointer, by pointer id
+    this.isSpacePanning = false; // Space is held over the drawing, so dragging pans the view
+    this.isPointerOver = false;
+    this.highlighterContainer = null; // Highlighter strokes, beneath the pen ink
+    this.highlighterGroups = {}; // One group per highlighter opacity, keyed by opacity
+    this.drawingContainer = null;
+    this.isDrawing = false;
+    this.drawingTool = null; // Tool of the stroke in progress
+    this.toolState = null; // Scratch object the tool of the stroke in progress keeps its state in
+    this.smartInkHold = null; // { timer, anchor, recognition, preview } while a smart ink stroke waits for a hold
+    this.textEditor = null; // { textarea, stroke, point, style } while a text annotation is being typed
+    this.boundHandleTextEditorPointerDown = null;
+    this.currentPath = null;
+    this.currentPathData = '';
+    this.currentPoints = [];
+    this.currentStrokeStyle = null; // Color, width and smoothing captured when the current stroke started
+    this.toolbar = null;
+    this.eraserIndicator = null;
+    this.strokes = [];
+    this.temporaryEraserStroke = null;
+    this.strokeIndex = new SpatialGrid(128); // Pen strokes by area, for erasing
+    this.pendingEraserFrame = null;
+    this.pendingOutlineFrame = null; // Rebuild of the variable width stroke being drawn, see scheduleOutlineUpdate()
+    this.strokeEraserRemoved = null; // Strokes removed by the stroke eraser gesture in progress
+    this.selection = []; // Strokes picked with the selection tool
+    this.selectionDrag = null; // { action, start, matrix, ... } while the selection tool is dragged
+    this.selectionOverlay = null; // { layer, marquee, frame, outline, stem, handles, handlePoints } drawn above the ink
+    this.lastSelectionRestyle = null; // { entry, property } of the last restyle, so slider drags make one undo step
+    this.clipboard = null; // Serialized strokes of the last copySelection()
+    this.pasteCount = 0; // Pastes since the last copy, each one offset further
+    
+    // Event listeners registered through on()/once(), keyed by event name
+    this.eventListeners = {};
+    
+    // Undo/redo history (each entry records the strokes it added and removed)
+    this.undoStack = [];
+    this.redoStack = [];
+    
+    // Pointer tracking for the stroke in progress
+    this.activePointerId = null;
+    this.drawingPointerType = null;
+    this.activeTouchPointers = [];
+    
+    // Toolbar popovers (color, width), created on first open
+    this.popovers = {};
+    this.openPopoverName = null;
+    this.recentColors = [];
+    
+    // Drag functionality properties
+    this.isDraggingToolbar = false;
+    this.dragOffset = { x: 0, y: 0 };
+    this.isMovingToolbar = false; // The arrow keys move the toolbar, see handleDragHandleKeyDown()
+    this.toolbarOffset = null; // Moved toolbar as { x, y } fractions of the room around it, null while docked to toolPosition
+    
+    // Screen reader announcements, see announce()
+    this.liveRegion = null;
+    this.announceTimer = null;
+    
+    // Configuration options
+    this.lineWidth = null;
+    this.lineColor = null;
+    this.toolPosition = null;
+    this.zIndex = null;
+    this.currentTool = 'pen';
+    this.eraserWidth = null;
+    this.themeToggle = null;
+    this.themeSetting = null;
+    this.isDarkMode = false;
+    this.isEnabled = true; // Track whether the pen tool is enabled
+    this.toolbarVisibleBeforeDisable = null; // Track toolbar visibility before disable
+
+    // Bound function references for proper event listener cleanup
+    this.boundHandlePointerDown = null;
+    this.boundHandlePointerMove = null;
+    this.boundHandlePointerUp = null;
+    this.boundHandlePointerLeave = null;
+    this.boundHandleWheel = null;
+    this.boundHandleKeyDown = null;
+    this.boundHandleKeyUp = null;
+    this.boundHandleResize = null;
+    this.boundHandleScroll = null;
+    this.boundActivateShortcuts = null;
+    this.boundSystemThemeChange = null;
+    this.systemThemeMediaQuery = null;
+
+    // Bound functions for toolbar dragging
+    this.boundHandleToolbarDragStart = null;
+    this.boundHandleToolbarDragMove = null;
+    this.boundHandleToolbarDragEnd = null;
+    this.boundHandleDragHandleKeyDown = null;
+    this.boundHandleDragHandleBlur = null;
+    this.boundHandleDocumentPointerDown = null;
+
+    // Initialize with default values or provided options
+    this.targetElement = options.targetElement;
+    this.lineWidth = options.lineWidth || 3;
+    this.lineColor = options.lineColor || '#000000';
+    this.lineOpacity = options.lineOpacity !== undefined ? options.lineOpacity : 1;
+    this.palette = options.palette || DEFAULT_PALETTE.slice(); // Swatches of the toolbar color popover
+    this.highlighterColor = options.highlighterColor || '#ffeb3b';
+    this.highlighterWidth = options.highlighterWidth || 20;
+    this.highlighterOpacity = options.highlighterOpacity !== undefined ? options.highlighterOpacity : 0.4;
+    this.shapeType = options.shapeType || 'rectangle'; // 'line', 'arrow', 'rectangle' or 'ellipse'
+    this.arrowHeads = options.arrowHeads || 'end'; // 'none', 'start', 'end' or 'both'
+    this.smartInk = options.smartInk || false; // Replace pen strokes that look like a line, arrow, circle, ellipse, triangle or rectangle with the clean shape
+    this.smartInkHoldTime = options.smartInkHoldTime || 0; // Only snap after holding still this many milliseconds before lifting, 0 snaps every stroke
+    this.fontSize = options.fontSize || 20; // Font size of new text annotations
+    this.fontBold = options.fontBold || false; // Whether new text annotations are bold
+    this.selectionMode = options.selectionMode || 'rectangle'; // 'rectangle' or 'lasso'
+    this.viewGestures = options.viewGestures !== undefined ? options.viewGestures : true; // Ctrl+wheel and pinch zoom, space-drag, middle button and two-finger pan
+    this.minZoom = options.minZoom || ZOOM_RANGE.min;
+    this.maxZoom = options.maxZoom || ZOOM_RANGE.max;
+    this.viewBox = options.viewBox || null; // { width, height } of the drawing coordinates, 'auto' for the size of the drawing area at init(), null for pixels
+    this.scrollContent = options.scrollContent || false; // Cover the whole scrollable content of the target so the ink scrolls with it
+    this.keymap = resolveKeymap(options.keymap); // Shortcuts by action; the keymap option overrides or unbinds them, false turns them off
+    this.locale = options.locale || 'tr'; // Language of the toolbar, one of PenTool.locales
+    this.messages = options.messages || {}; // Messages by id that replace those of the locale
+    this.toolPosition = options.toolPosition || 'top';
+    this.id = options.id || (options.targetElement && options.targetElement.id) || null; // Key of the saved preferences, the target's id by default; without one they are not saved
+    this.storage = options.storage !== undefined ? options.storage : getDefaultStorage(); // { getItem, setItem } the preferences are saved in, false to not save them
+    this.zIndex = options.zIndex || 10;
+    this.eraserWidth = options.eraserWidth || 15;
+    this.eraserMode = options.eraserMode || 'pixel'; // 'pixel' hides ink under the eraser, 'stroke' removes whole strokes
+    this.splitOnErase = options.splitOnErase || false; // Cut pen strokes apart when a pixel eraser stroke ends instead of masking them
+    this.themeToggle = options.themeToggle !== undefined ? options.themeToggle : false;
+    this.themeSetting = options.themeSetting || 'system';
+    this.handTool = options.handTool !== undefined ? options.handTool : 'touch-only'; // 'show', 'hide', 'touch-only'
+    this.showToolbar = options.showToolbar !== undefined ? options.showToolbar : true;
+    var toolbarOptions = options.toolbar || {};
+    this.toolbarItems = resolveToolbarItems(toolbarOptions.items || getDefaultToolbarItems()); // Item and tool names, '|' separators and custom buttons, in order
+    this.hiddenToolbarItems = toolbarOptions.hide || []; // Names of items left out of the toolbar
+    this.historyLimit = options.historyLimit !== undefined ? options.historyLimit : 100; // Max undo steps, 0 disables history
+    this.variableWidth = normalizeVariableWidth(options.variableWidth); // true or { thinning, streamline, taperStart, taperEnd, simulatePressure }
+    this.smoothing = options.smoothing || 'none'; // 'none', 'quadratic' or 'catmull-rom'
+    this.simplifyTolerance = options.simplifyTolerance || 0; // Max deviation in pixels removed when a stroke ends, 0 disables
+    
+    // Set initial dark mode state based on themeSetting
+    this.isDarkMode = isDarkThemeSetting(this.themeSetting);
+
+    // Don't auto-initialize anymore - user must call init() manually
+  }
+
+  /**
+   * Initialize the pen tool with SVG canvas and toolbar
+   * This method must be called manually after creating the PenTool instance
+   */
+  PenTool.prototype.init = function() {
+    if (this.svg || this.toolbar) {
+      console.warn('PenTool is already initialized. Call destroy() first if you want to reinitialize.');
+      return;
+    }
+
+    // Saved preferences replace the options they were made with
+    this.restorePreferences();
+    
+    // Inject required CSS styles
+    this.injectCSS();
+    
+    // Set position relative on target if not already
+    var computedStyle = window.getComputedStyle(this.targetElement);
+    if (computedStyle.position === 'static') {
+      this.targetElement.style.position = 'relative';
+    }
+    
+    // Touch gestures are left to the SVG overlay, which owns touch-action (see setActiveTool)
+    this.targetElement.style.userSelect = 'none';
+    this.targetElement.style.webkitUserSelect = 'none';
+    
+    // Add system theme change listener if themeSetting is 'system'
+    var self = this;
+    if (this.themeSetting === 'system' && window.matchMedia) {
+      this.boundSystemThemeChange = function(e) {
+        if (self.themeSetting === 'system') { // Only respond if still using system setting
+          self.isDarkMode = e.matches;
+          self.applyTheme();
+          
+          // Update theme toggle button icon if it exists
+          if (self.themeToggle) {
+            var themeButton = self.toolbar.querySelector('[data-tool="theme"]');
+            if (themeButton) {
+              themeButton.innerHTML = self.getThemeToggleIcon();
+              self.updateButtonLabels();
+            }
+          }
+          
+          self.emit('themechange', { theme: self.isDarkMode ? 'dark' : 'light', setting: self.themeSetting });
+        }
+      };
+      
+      this.systemThemeMediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+      this.systemThemeMediaQuery.addEventListener('change', this.boundSystemThemeChange);
+    }
+
+    // Create SVG element that will contain all drawings
+    this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    this.svg.setAttribute('width', '100%');
+    this.svg.setAttribute('height', '100%');
+    this.svg.style.position = 'absolute';
+    this.svg.style.top = '0';
+    this.svg.style.left = '0';
+    this.svg.style.pointerEvents = 'none'; // Allow clicks to pass through when not drawing
+    this.svg.style.zIndex = this.zIndex.toString();
+    
+    // Add touch-specific CSS properties
+    this.svg.style.touchAction = 'none'; // Strokes, pinch and two-finger pan are handled here, not by the browser
+    this.svg.style.userSelect = 'none'; // Prevent text selection
+    this.svg.style.webkitUserSelect = 'none';
+    this.svg.style.mozUserSelect = 'none';
+    this.svg.style.msUserSelect = 'none';
+    
+    // Eraser paths are defined once and referenced from the masks of the strokes they cover
+    this.defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+    this.svg.appendChild(this.defs);
+    
+    // Everything drawn is in drawing coordinates; the view places them on screen
+    this.viewport = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    this.svg.appendChild(this.viewport);
+    
+    // Highlighters go beneath the pen ink so they never cover it
+    this.highlighterContainer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    this.viewport.appendChild(this.highlighterContainer);
+    
+    // Create a container group for all drawings and erasers
+    this.drawingContainer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    this.viewport.appendChild(this.drawingContainer);
+    
+    // The selection box and handles stay above all ink
+    this.createSelectionOverlay();
+    this.applyView();
+    
+    // Render strokes that were loaded before initialization
+    if (this.strokes.length > 0) {
+      this.renderStrokes();
+    }
+    
+    // Create toolbar only if showToolbar is true
+    if (this.showToolbar) {
+      this.toolbar = document.createElement('div');
+      this.toolbar.className = 'pen-tool-toolbar';
+      this.setToolbarPosition();
+      
+      // Add tools to toolbar
+      this.createToolbar();
+    }
+    
+    // Validate current tool - if the selected tool is not available (e.g. the hand tool), default to pen
+    if (!this.isToolAvailable(this.currentTool)) {
+      console.warn('Tool ' + this.currentTool + ' is not available with current settings. Defaulting to pen tool.');
+      this.currentTool = 'pen';
+    }
+    
+    // Append elements to DOM
+    this.targetElement.appendChild(this.svg);
+    if (this.showToolbar && this.toolbar) {
+      this.targetElement.appendChild(this.toolbar);
+    }
+    this.createLiveRegion();
+    
+    // The drawing area and a viewBox can only be fitted once the SVG is in the document
+    this.updateScrollArea();
+    this.updateToolbarScroll();
+    this.updateContentScale();
+    this.viewportSize = this.getViewportSize();
+    
+    // Add event listeners
+    this.addEventListeners();
+
+    // Enable the pen tool
+    this.isEnabled = true;
+
+    // Set pointer events to auto since pen is selected by default
+    this.svg.style.pointerEvents = 'auto';
+    
+    // Set up the initial tool, which may have been restored from the preferences
+    this.setActiveTool(this.currentTool);
+    
+    // A toolbar that was moved goes back where it was, in proportion to the current size
+    this.applyToolbarOffset();
+    
+    // Apply the theme based on the isDarkMode setting
+    this.applyTheme();
+  };
+
+  /**
+   * Set toolbar position based on the toolPosition option
+   */
+  PenTool.prototype.setToolbarPosition = function() {
+    if (!this.toolbar) {
+      return; // Exit if toolbar doesn't exist
+    }
+    
+    // Reset all positioning styles first
+    this.toolbar.style.top = '';
+    this.toolbar.style.right = '';
+    this.toolbar.style.bottom = '';
+    this.toolbar.style.left = '';
+    this.toolbar.style.transform = '';
+    this.toolbar.style.display = 'flex';
+    this.toolbar.style.flexDirection = 'row'; // Default to row
+    
+    // Set common styles
+    this.toolbar.style.position = 'absolute';
+    this.toolbar.style.zIndex = (this.zIndex + 1).toString();
+    this.toolbar.style.backgroundColor = 'rgba(255, 255, 255, 0.8)';
+    this.toolbar.style.borderRadius = '5px';
+    this.toolbar.style.padding = '5px';
+    this.toolbar.style.boxShadow = '0 2px 5px rgba(0, 0, 0, 0.2)';
+    
+    // Apply position-specific styles
+    switch (this.toolPosition) {
+      case 'top':
+        this.toolbar.style.top = '10px';
+        this.toolbar.style.left = '50%';
+        this.toolbar.style.transform = 'translateX(-50%)';
+        break;
+      case 'bottom':
+        this.toolbar.style.bottom = '10px';
+        this.toolbar.style.left = '50%';
+        this.toolbar.style.transform = 'translateX(-50%)';
+        break;
+      case 'left':
+        this.toolbar.style.left = '10px';
+        this.toolbar.style.top = '50%';
+        this.toolbar.style.transform = 'translateY(-50%)';
+        this.toolbar.style.flexDirection = 'column';
+        break;
+      case 'right':
+        this.toolbar.style.right = '10px';
+        this.toolbar.style.top = '50%';
+        this.toolbar.style.transform = 'translateY(-50%)';
+        this.toolbar.style.flexDirection = 'column';
+        break;
+    }
+    
+    // Tells screen readers which arrow keys move between the buttons
+    this.toolbar.setAttribute('aria-orientation', this.toolbar.style.flexDirection === 'column' ? 'vertical' : 'horizontal');
+  };
+
+  /**
+   * Create toolbar with pen, eraser, and clear all buttons
+   */
+  PenTool.prototype.createToolbar = function() {
+    var self = this;
+    this.toolbar.dir = this.isRightToLeft() ? 'rtl' : 'ltr'; // Mirrors the button order for right-to-left languages
+    this.toolbar.setAttribute('role', 'toolbar');
+    this.toolbar.addEventListener('keydown', function(e) {
+      self.handleToolbarKeyDown(e);
+    });
+    this.toolbar.addEventListener('focusin', function(e) {
+      // The focused button stays the one Tab returns to
+      if (self.getToolbarItems().indexOf(e.target) !== -1) {
+        self.updateRovingTabIndex(e.target);
+      }
+    });
+    
+    this.createToolbarItems();
+  };
+
+  /**
+   * Get the toolbar items to show, in order
+   * Hidden and unavailable items are left out, and so are separators with nothing to separate.
+   * @returns {Array} Built-in item names, '|' separators and custom buttons
+   */
+  PenTool.prototype.getShownToolbarItems = function() {
+    var self = this;
+    var items = this.toolbarItems.filter(function(item) {
+      var name = getToolbarItemName(item);
+      if (self.hiddenToolbarItems.indexOf(name) !== -1) {
+        return false;
+      }
+      if (PenTool.tools.hasOwnProperty(name)) {
+        return self.isToolAvailable(name);
+      }
+      if (name === 'theme') {
+        return self.themeToggle;
+      }
+      return true;
+    });
+    
+    return items.filter(function(item, index) {
+      return item !== '|' || (index > 0 && index < items.length - 1 && items[index - 1] !== '|');
+    });
+  };
+
+  /**
+   * Get a custom toolbar button by name
+   * @param {string} name
+   * @returns {Object|null} The custom button, or null for built-in and unknown items
+   */
+  PenTool.prototype.getCustomToolbarItem = function(name) {
+    for (var i = 0; i < this.toolbarItems.length; i++) {
+      if (typeof this.toolbarItems[i] !== 'string' && this.toolbarItems[i].name === name) {
+        return this.toolbarItems[i];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Create the toolbar buttons, separators and drag handle
+   * They go before the popovers, which may already be in the toolbar.
+   */
+  PenTool.prototype.createToolbarItems = function() {
+    var self = this;
+    var fragment = document.createDocumentFragment();
+    
+    // Button titles come from the locale, see updateButtonLabels(); tools bring their own icons
+    var icons = {
+      'stroke-eraser': this.getStrokeEraserIcon(),
+      zoom: this.getZoomIcon(),
+      color: this.getColorIcon(),
+      width: this.getWidthIcon(),
+      undo: this.getUndoIcon(),
+      redo: this.getRedoIcon(),
+      clear: this.getClearIcon(),
+      theme: this.getThemeToggleIcon()
+    };
+    var tools = this.getShownToolbarItems().map(function(item) {
+      if (PenTool.tools.hasOwnProperty(item)) {
+        var icon = PenTool.tools[item].icon;
+        return { name: item, icon: typeof icon === 'function' ? icon.call(self) : icon || '' };
+      }
+      if (typeof item === 'string') {
+        return { name: item, icon: icons[item] };
+      }
+      return { name: item.name, icon: item.icon || '', custom: item };
+    });
+    
+    for (var i = 0; i < tools.length; i++) {
+      var tool = tools[i];
+      if (tool.name === '|') {
+        var separator = document.createElement('div');
+        separator.className = 'pen-tool-separator';
+        separator.setAttribute('role', 'separator');
+        fragment.appendChild(separator);
+        continue;
+      }
+      
+      var button = document.createElement('button');
+      button.innerHTML = tool.icon;
+      if (tool.name === 'color') {
+        this.updateColorIcon(button);
+      }
+      button.type = 'button';
+      button.className = 'pen-tool-button';
+      button.dataset.tool = tool.name; // Add data-tool attribute for easier selection
+      button.style.background = 'none';
+      button.style.border = 'none';
+      button.style.cursor = 'pointer';
+      button.style.width = '30px';
+      button.style.height = '30px';
+      button.style.margin = '3px';
+      button.style.padding = '5px';
+      button.style.borderRadius = '3px';
+      button.style.touchAction = 'manipulation'; // Improve touch responsiveness
+      button.style.userSelect = 'none'; // Prevent text selection on touch
+      
+      // Tool buttons stay pressed while their tool is active, see updateToolButtons()
+      if (PenTool.tools.hasOwnProperty(tool.name) || tool.name === 'stroke-eraser' || (tool.custom && tool.custom.isActive)) {
+        button.setAttribute('aria-pressed', 'false');
+      }
+      
+      // Buttons that open a popover, see openPopover()
+      if (['select', 'shape', 'text', 'zoom', 'color', 'width'].indexOf(tool.name) !== -1) {
+        button.setAttribute('aria-haspopup', 'dialog');
+        button.setAttribute('aria-expanded', 'false');
+      }
+      
+      // Add active state for pen, eraser, and hand tools
+      if (tool.name === 'pen' || tool.name === 'highlighter' || tool.name === 'eraser' || tool.name === 'stroke-eraser' || tool.name === 'hand') {
+        (function(toolName, buttonEl) {
+          var handleToolSelect = function() {
+            // Both eraser buttons select the eraser tool, each with its own mode
+            if (toolName === 'eraser' || toolName === 'stroke-eraser') {
+              self.switchToEraserTool({ mode: toolName === 'eraser' ? 'pixel' : 'stroke' });
+              return;
+            }
+            // setActiveTool updates the buttons, pointer handling and fires toolchange
+            self.setActiveTool(toolName);
+          };
+          
+          buttonEl.addEventListener('click', handleToolSelect);
+          buttonEl.addEventListener('touchend', function(e) {
+            e.preventDefault();
+            handleToolSelect();
+          });
+          
+          // Set pen as active by default
+          if (toolName === 'pen') {
+            buttonEl.classList.add('active');
+          }
+        })(tool.name, button);
+      } else if (tool.name === 'select' || tool.name === 'shape' || tool.name === 'text') {
+        // Select the tool and offer its settings
+        (function(toolName, buttonEl) {
+          var handleToolWithPopover = function() {
+            if (self.currentTool !== toolName) {
+              self.setActiveTool(toolName);
+              self.openPopover(toolName);
+            } else {
+              self.togglePopover(toolName);
+            }
+          };
+          buttonEl.addEventListener('click', handleToolWithPopover);
+          buttonEl.addEventListener('touchend', function(e) {
+            e.preventDefault();
+            handleToolWithPopover();
+          });
+        })(tool.name, button);
+      } else if (tool.name === 'zoom' || tool.name === 'color' || tool.name === 'width') {
+        // Open the style popovers
+        (function(toolName, buttonEl) {
+          var handlePopover = function() {
+            self.togglePopover(toolName);
+          };
+          buttonEl.addEventListener('click', handlePopover);
+          buttonEl.addEventListener('touchend', function(e) {
+            e.preventDefault();
+            handlePopover();
+          });
+        })(tool.name, button);
+      } else if (tool.name === 'undo' || tool.name === 'redo') {
+        // Add undo/redo functionality
+        (function(toolName, buttonEl) {
+          var handleHistory = function() {
+            if (toolName === 'undo') {
+              self.undo();
+            } else {
+              self.redo();
+            }
+          };
+          buttonEl.addEventListener('click', handleHistory);
+          buttonEl.addEventListener('touchend', function(e) {
+            e.preventDefault();
+            handleHistory();
+          });
+        })(tool.name, button);
+      } else if (tool.name === 'clear') {
+        // Add clear functionality
+        (function(buttonEl) {
+          var handleClear = function() {
+            self.clearAll();
+          };
+          buttonEl.addEventListener('click', handleClear);
+          buttonEl.addEventListener('touchend', function(e) {
+            e.preventDefault();
+            handleClear();
+          });
+        })(button);
+      } else if (tool.name === 'theme') {
+        // Add theme toggle functionality
+        (function(buttonEl) {
+          var handleThemeToggle = function() {
+            // Toggle dark mode
+            self.isDarkMode = !self.isDarkMode;
+            
+            // When user manually toggles theme, we're no longer following system preference
+            self.themeSetting = self.isDarkMode ? 'dark' : 'light';
+            
+            // Update button
+            buttonEl.innerHTML = self.getThemeToggleIcon();
+            self.updateButtonLabels();
+            
+            // Apply the theme using our consistent theme method
+            self.applyTheme();
+            self.emit('themechange', { theme: self.isDarkMode ? 'dark' : 'light', setting: self.themeSetting });
+            self.savePreferences();
+          };
+          
+          buttonEl.addEventListener('click', handleThemeToggle);
+          buttonEl.addEventListener('touchend', function(e) {
+            e.preventDefault();
+            handleThemeToggle();
+          });
+        })(button);
+      } else if (PenTool.tools.hasOwnProperty(tool.name)) {
+        // Tools added with PenTool.registerTool()
+        (function(toolName, buttonEl) {
+          var handleRegisteredTool = function() {
+            self.setActiveTool(toolName);
+          };
+          buttonEl.addEventListener('click', handleRegisteredTool);
+          buttonEl.addEventListener('touchend', function(e) {
+            e.preventDefault();
+            handleRegisteredTool();
+          });
+        })(tool.name, button);
+      } else if (tool.custom) {
+        // Custom buttons run their own handler with the PenTool as this
+        (function(item, buttonEl) {
+          var handleCustomClick = function(e) {
+            item.onClick.call(self, e);
+            self.updateToolButtons();
+          };
+          buttonEl.addEventListener('click', handleCustomClick);
+          buttonEl.addEventListener('touchend', function(e) {
+            e.preventDefault();
+            handleCustomClick(e);
+          });
+        })(tool.custom, button);
+      }
+      
+      fragment.appendChild(button);
+    }
+
+    // Add drag handle at the end of the toolbar
+    // From the keyboard it toggles moving the toolbar with the arrow keys.
+    var dragHandle = document.createElement('div');
+    dragHandle.innerHTML = this.getDragIcon();
+    dragHandle.className = 'pen-tool-drag-handle';
+    dragHandle.setAttribute('role', 'button');
+    dragHandle.setAttribute('aria-pressed', 'false');
+    dragHandle.style.background = 'none';
+    dragHandle.style.border = 'none';
+    dragHandle.style.cursor = 'grab';
+    dragHandle.style.width = '30px';
+    dragHandle.style.height = '30px';
+    dragHandle.style.margin = '3px';
+    dragHandle.style.padding = '5px';
+    dragHandle.style.borderRadius = '3px';
+    dragHandle.style.display = 'flex';
+    dragHandle.style.alignItems = 'center';
+    dragHandle.style.justifyContent = 'center';
+    dragHandle.style.touchAction = 'none';
+    dragHandle.style.userSelect = 'none';
+    
+    // Add drag handle event listeners
+    this.addDragHandleListeners(dragHandle);
+    
+    fragment.appendChild(dragHandle);
+    this.toolbar.insertBefore(fragment, this.toolbar.firstChild);
+    
+    // Reflect the current history state on the undo/redo buttons
+    this.updateHistoryButtons();
+    this.updateButtonLabels();
+    this.updateRovingTabIndex();
+  };
+
+  /**
+   * Recreate the toolbar buttons after the toolbar items changed
+   * The toolbar keeps its place and its popovers; an open popover stays open if its button remains.
+   */
+  PenTool.prototype.rebuildToolbarItems = function() {
+    if (!this.toolbar) {
+      return;
+    }
+    
+    var openPopoverName = this.openPopoverName;
+    this.closePopover();
+    this.setToolbarMoving(false);
+    
+    var children = Array.prototype.slice.call(this.toolbar.children);
+    for (var i = 0; i < children.length; i++) {
+      if (!children[i].classList.contains('pen-tool-popover')) {
+        this.toolbar.removeChild(children[i]);
+      }
+    }
+    
+    this.createToolbarItems();
+    this.updateToolButtons();
+    this.applyTheme();
+    if (openPopoverName && this.getToolbarButton(openPopoverName)) {
+      this.openPopover(openPopoverName);
+    }
+  };
+
+  /**
+   * Add an item to the toolbar
+   * @param {string|Object} item - Name of a built-in item, '|' for a separator, or a custom button:
+   *   { name, icon, title, onClick(event), isActive() }, with the PenTool as this in onClick and isActive
+   * @param {number} [index] - Position among the toolbar items; at the end when omitted
+   */
+  PenTool.prototype.addToolbarItem = function(item, index) {
+    if (!isValidToolbarItem(item)) {
+      return;
+    }
+    
+    var name = getToolbarItemName(item);
+    if (name !== '|' && this.findToolbarItem(name) !== -1) {
+      console.error('Toolbar item ' + name + ' is already in the toolbar. Remove it first to replace it.');
+      return;
+    }
+    
+    if (typeof index !== 'number' || index < 0 || index > this.toolbarItems.length) {
+      index = this.toolbarItems.length;
+    }
+    this.toolbarItems.splice(index, 0, item);
+    this.rebuildToolbarItems();
+  };
+
+  /**
+   * Remove an item from the toolbar
+   * @param {string} name - Name of the built-in item or custom button; '|' removes the first separator
+   */
+  PenTool.prototype.removeToolbarItem = function(name) {
+    var index = this.findToolbarItem(name);
+    if (index === -1) {
+      console.warn('Toolbar item ' + name + ' is not in the toolbar.');
+      return;
+    }
+    
+    this.toolbarItems.splice(index, 1);
+    this.rebuildToolbarItems();
+  };
+
+  /**
+   * Find a toolbar item by name
+   * @param {string} name
+   * @returns {number} Index in the toolbar items, -1 if it isn't there
+   */
+  PenTool.prototype.findToolbarItem = function(name) {
+    for (var i = 0; i < this.toolbarItems.length; i++) {
+      if (getToolbarItemName(this.toolbarItems[i]) === name) {
+        return i;
+      }
+    }
+    return -1;
+  };
+
+  /**
+   * Find the toolbar button of an item or tool
+   * Names of custom items and tools can hold any character, so they are compared rather than put in a selector.
+   * @param {string} name
+   * @returns {HTMLElement|null}
+   */
+  PenTool.prototype.getToolbarButton = function(name) {
+    if (!this.toolbar) {
+      return null;
+    }
+    
+    var buttons = this.toolbar.querySelectorAll('[data-tool]');
+    for (var i = 0; i < buttons.length; i++) {
+      if (buttons[i].dataset.tool === name) {
+        return buttons[i];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Get the toolbar buttons and drag handle that can take the focus, in order
+   * @returns {Array<HTMLElement>}
+   */
+  PenTool.prototype.getToolbarItems = function() {
+    if (!this.toolbar) {
+      return [];
+    }
+    
+    var items = this.toolbar.querySelectorAll('.pen-tool-button, .pen-tool-drag-handle');
+    return Array.prototype.filter.call(items, function(item) {
+      return !item.disabled && item.style.display !== 'none';
+    });
+  };
+
+  /**
+   * Make one toolbar item reachable with Tab and the others with the arrow keys only
+   * @param {HTMLElement} [item] - Item to make reachable; keeps the current one when omitted,
+   *   falling back to the button of the active tool when it can no longer take the focus
+   */
+  PenTool.prototype.updateRovingTabIndex = function(item) {
+    var items = this.getToolbarItems();
+    if (items.length === 0) {
+      return;
+    }
+    
+    if (items.indexOf(item) === -1) {
+      item = items.filter(function(candidate) {
+        return candidate.tabIndex === 0;
+      })[0] || this.toolbar.querySelector('.pen-tool-button.active') || items[0];
+    }
+    
+    var allItems = this.toolbar.querySelectorAll('.pen-tool-button, .pen-tool-drag-handle');
+    for (var i = 0; i < allItems.length; i++) {
+      allItems[i].tabIndex = allItems[i] === item ? 0 : -1;
+    }
+  };
+
+  /**
+   * Move the focus between toolbar items with the arrow, Home and End keys, and close popovers with Escape
+   * @param {KeyboardEvent} event
+   */
+  PenTool.prototype.handleToolbarKeyDown = function(event) {
+    if (event.defaultPrevented) return;
+    
+    if (event.key === 'Escape' && this.openPopoverName) {
+      event.preventDefault();
+      var popoverButton = this.getToolbarButton(this.openPopoverName);
+      this.closePopover();
+      if (popoverButton) {
+        popoverButton.focus();
+      }
+      return;
+    }
+    
+    // Arrow keys inside popovers belong to their sliders and lists
+    var items = this.getToolbarItems();
+    var index = items.indexOf(event.target);
+    if (index === -1) return;
+    
+    var isVertical = this.toolbar.getAttribute('aria-orientation') === 'vertical';
+    var nextKey = isVertical ? 'ArrowDown' : (this.isRightToLeft() ? 'ArrowLeft' : 'ArrowRight');
+    var previousKey = isVertical ? 'ArrowUp' : (this.isRightToLeft() ? 'ArrowRight' : 'ArrowLeft');
+    var item;
+    switch (event.key) {
+      case nextKey:
+        item = items[(index + 1) % items.length];
+        break;
+      case previousKey:
+        item = items[(index - 1 + items.length) % items.length];
+        break;
+      case 'Home':
+        item = items[0];
+        break;
+      case 'End':
+        item = items[items.length - 1];
+        break;
+      default:
+        return;
+    }
+    
+    event.preventDefault();
+    this.updateRovingTabIndex(item);
+    item.focus();
+  };
+
+  /**
+   * Set the tooltips of the toolbar buttons in the current locale, with their shortcuts
+   */
+  PenTool.prototype.updateButtonLabels = function() {
+    if (!this.toolbar) {
+      return;
+    }
+    
+    // Buttons named differently from their message and keymap action
+    var messages = { 'stroke-eraser': 'strokeEraser', theme: this.isDarkMode ? 'lightTheme' : 'darkTheme' };
+    var actions = { 'stroke-eraser': 'strokeEraser', clear: 'clearAll' };
+    var buttons = this.toolbar.querySelectorAll('.pen-tool-button');
+    for (var i = 0; i < buttons.length; i++) {
+      var name = buttons[i].dataset.tool;
+      var custom = this.getCustomToolbarItem(name);
+      var shortcuts = custom ? [] : this.keymap[actions[name] || name] || [];
+      var label = custom ? custom.title || custom.name : this.getToolTitle(name) || this.t(messages[name] || name);
+      buttons[i].title = label + (shortcuts.length > 0 ? ' (' + formatShortcut(shortcuts[0]) + ')' : '');
+      buttons[i].setAttribute('aria-label', label);
+      if (shortcuts.length > 0) {
+        buttons[i].setAttribute('aria-keyshortcuts', shortcuts.map(formatAriaShortcut).join(' '));
+      } else {
+        buttons[i].removeAttribute('aria-keyshortcuts');
+      }
+    }
+    
+    var dragHandle = this.toolbar.querySelector('.pen-tool-drag-handle');
+    if (dragHandle) {
+      dragHandle.title = this.t('dragToolbar');
+      dragHandle.setAttribute('aria-label', this.t('dragToolbar'));
+    }
+    this.toolbar.setAttribute('aria-label', this.t('toolbar'));
+  };
+
+  /**
+   * Get a message of the user interface in the current locale
+   * Messages missing from the locale come from its language without the region
+   * (e.g. "pt" for "pt-BR") and then from English.
+   * @param {string} id - Message id, one of the keys of PenTool.locales.en
+   * @param {Object} [values] - Values for the {name} placeholders of the message
+   * @returns {string}
+   */
+  PenTool.prototype.t = function(id, values) {
+    var language = this.locale.split('-')[0];
+    var sources = [this.messages, PenTool.locales[this.locale], PenTool.locales[language], PenTool.locales.en];
+    var message = id;
+    for (var i = 0; i < sources.length; i++) {
+      if (sources[i] && sources[i][id] !== undefined) {
+        message = sources[i][id];
+        break;
+      }
+    }
+    
+    return message.replace(/\{(\w+)\}/g, function(placeholder, name) {
+      return values && values[name] !== undefined ? values[name] : placeholder;
+    });
+  };
+
+  /**
+   * Switch the language of the toolbar, relabeling it in place
+   * @param {string} locale - Locale such as 'en', 'tr' or 'pt-BR'; see PenTool.locales
+   * @param {Object} [messages] - Messages by id that replace those of the locale
+   */
+  PenTool.prototype.setLocale = function(locale, messages) {
+    if (typeof locale !== 'string' || locale === '') {
+      console.error('Invalid locale: ' + locale + '. It must be a locale such as \'en\' or \'tr\'.');
+      return;
+    }
+    if (!PenTool.locales[locale] && !PenTool.locales[locale.split('-')[0]]) {
+      console.warn('No messages for locale ' + locale + '. Missing messages are shown in English.');
+    }
+    
+    this.locale = locale;
+    if (messages !== undefined) {
+      this.messages = messages || {};
+    }
+    this.applyLocale();
+  };
+
+  /**
+   * Relabel the toolbar after a locale change
+   * Popovers are rebuilt on their next opening; an open one is rebuilt right away.
+   */
+  PenTool.prototype.applyLocale = function() {
+    if (!this.toolbar) {
+      return;
+    }
+    
+    this.toolbar.dir = this.isRightToLeft() ? 'rtl' : 'ltr';
+    this.updateButtonLabels();
+    
+    var openPopoverName = this.openPopoverName;
+    this.closePopover();
+    for (var name in this.popovers) {
+      this.toolbar.removeChild(this.popovers[name]);
+    }
+    this.popovers = {};
+    if (openPopoverName) {
+      this.openPopover(openPopoverName);
+    }
+  };
+
+  /**
+   * Check whether the language of the toolbar is written right to left
+   * @returns {boolean}
+   */
+  PenTool.prototype.isRightToLeft = function() {
+    return RTL_LANGUAGES.indexOf(this.locale.split('-')[0].toLowerCase()) !== -1;
+  };
+
+  /**
+   * Bundled messages of the user interface by locale
+   * Add a language by adding its messages here, keyed like PenTool.locales.en;
+   * "{name}" placeholders are filled in by t().
+   */
+  PenTool.locales = {
+    en: {
+      pen: 'Pen',
+      highlighter: 'Highlighter',
+      eraser: 'Eraser',
+      strokeEraser: 'Stroke Eraser - Removes whole strokes it touches',
+      hand: 'Hand - For touch gestures (pinch/pan)',
+      select: 'Select',
+      shape: 'Shapes',
+      text: 'Text',
+      zoom: 'Zoom',
+      color: 'Color and Opacity',
+      width: 'Pen and Eraser Size',
+      undo: 'Undo',
+      redo: 'Redo',
+      clear: 'Clear All',
+      lightTheme: 'Light Theme',
+      darkTheme: 'Dark Theme',
+      dragToolbar: 'Drag Toolbar',
+      recentColors: 'Recent',
+      customColor: 'Custom Color',
+      opacity: 'Opacity',
+      lineWidth: 'Width',
+      eraserSize: 'Eraser Size',
+      rectangleSelection: 'Rectangle Selection',
+      lassoSelection: 'Freeform Selection (Lasso)',
+      duplicate: 'Duplicate',
+      copy: 'Copy',
+      paste: 'Paste',
+      delete: 'Delete',
+      selectHint: 'Shift: adds to the selection, locks the angle and aspect ratio',
+      zoomValue: 'Zoom: {zoom}%',
+      zoomToFit: 'Fit',
+      actualSize: '100%',
+      zoomHint: 'Ctrl+wheel or two fingers: zoom, Space+drag: pan',
+      line: 'Line',
+      arrow: 'Arrow',
+      rectangle: 'Rectangle',
+      ellipse: 'Ellipse',
+      arrowHeads: 'Arrow Heads',
+      arrowHeadsNone: 'None',
+      arrowHeadsStart: 'Start',
+      arrowHeadsEnd: 'End',
+      arrowHeadsBoth: 'Both Ends',
+      shapeHint: 'Shift: locks the angle and aspect ratio',
+      fontSize: 'Font Size',
+      bold: 'Bold',
+      textHint: 'Ctrl+Enter: done, Esc: cancel',
+      percent: '{value}%',
+      toolbar: 'Drawing tools',
+      toolActive: 'Tool: {tool}',
+      drawingCleared: 'Drawing cleared',
+      moveToolbarHint: 'Move the toolbar with the arrow keys, press Enter when done',
+      toolbarMoved: 'Toolbar placed'
+    },
+    tr: {
+      pen: 'Kalem Aracı',
+      highlighter: 'Fosforlu Kalem',
+      eraser: 'Silgi Aracı',
+      strokeEraser: 'Çizgi Silgisi - Dokunulan çizgileri tamamen siler',
+      hand: 'El Aracı - Dokunmatik Hareketler İçin (Pinch/Pan)',
+      select: 'Seçim Aracı',
+      shape: 'Şekil Aracı',
+      text: 'Metin Aracı',
+      zoom: 'Yakınlaştırma',
+      color: 'Renk ve Opaklık',
+      width: 'Kalem ve Silgi Boyutu',
+      undo: 'Geri Al',
+      redo: 'Yinele',
+      clear: 'Tümünü Temizle',
+      lightTheme: 'Açık Tema',
+      darkTheme: 'Koyu Tema',
+      dragToolbar: 'Araç Çubuğunu Sürükle',
+      recentColors: 'Son Kullanılanlar',
+      customColor: 'Özel Renk',
+      opacity: 'Opaklık',
+      lineWidth: 'Kalınlık',
+      eraserSize: 'Silgi Boyutu',
+      rectangleSelection: 'Dikdörtgen Seçim',
+      lassoSelection: 'Serbest Seçim (Kement)',
+      duplicate: 'Çoğalt',
+      copy: 'Kopyala',
+      paste: 'Yapıştır',
+      delete: 'Sil',
+      selectHint: 'Shift: seçime ekler, açıyı ve en-boy oranını sabitler',
+      zoomValue: 'Yakınlaştırma: %{zoom}',
+      zoomToFit: 'Sığdır',
+      actualSize: '%100',
+      zoomHint: 'Ctrl+tekerlek veya iki parmak: yakınlaştır, Boşluk+sürükle: kaydır',
+      line: 'Çizgi',
+      arrow: 'Ok',
+      rectangle: 'Dikdörtgen',
+      ellipse: 'Elips',
+      arrowHeads: 'Ok Uçları',
+      arrowHeadsNone: 'Yok',
+      arrowHeadsStart: 'Başta',
+      arrowHeadsEnd: 'Sonda',
+      arrowHeadsBoth: 'İki Uçta',
+      shapeHint: 'Shift: açıyı ve en-boy oranını sabitler',
+      fontSize: 'Yazı Boyutu',
+      bold: 'Kalın',
+      textHint: 'Ctrl+Enter: bitir, Esc: vazgeç',
+      percent: '%{value}',
+      toolbar: 'Çizim araçları',
+      toolActive: 'Araç: {tool}',
+      drawingCleared: 'Çizim temizlendi',
+      moveToolbarHint: 'Araç çubuğunu ok tuşlarıyla taşıyın, bitirmek için Enter\'a basın',
+      toolbarMoved: 'Araç çubuğu yerleştirildi'
+    }
+  };
+
+  /**
+   * Open or close a toolbar popover
+   * @param {string} name - 'color', 'width', 'select', 'zoom', 'shape' or 'text'
+   */
+  PenTool.prototype.togglePopover = function(name) {
+    if (this.openPopoverName === name) {
+      this.closePopover();
+    } else {
+      this.openPopover(name);
+    }
+  };
+
+  /**
+   * Open a toolbar popover, closing any other open popover
+   * @param {string} name - 'color', 'width', 'select', 'zoom', 'shape' or 'text'
+   */
+  PenTool.prototype.openPopover = function(name) {
+    if (!this.toolbar) {
+      return;
+    }
+    
+    this.closePopover();
+    
+    var popover = this.popovers[name];
+    if (!popover) {
+      var builders = {
+        color: this.createColorPopover,
+        width: this.createWidthPopover,
+        select: this.createSelectPopover,
+        zoom: this.createZoomPopover,
+        shape: this.createShapePopover,
+        text: this.createTextPopover
+      };
+      popover = builders[name].call(this);
+      popover.className = 'pen-tool-popover';
+      popover.dataset.popover = name;
+      popover.setAttribute('role', 'dialog');
+      popover.setAttribute('aria-label', this.t(name));
+      this.toolbar.appendChild(popover);
+      this.popovers[name] = popover;
+    }
+    
+    this.positionPopover(popover);
+    popover.style.display = 'block';
+    this.openPopoverName = name;
+    this.setPopoverButtonExpanded(name, true);
+    this.updateStyleControls();
+    
+    // Close when the user interacts with anything outside the toolbar
+    var self = this;
+    this.boundHandleDocumentPointerDown = function(e) {
+      if (self.toolbar && !self.toolbar.contains(e.target)) {
+        self.closePopover();
+      }
+    };
+    document.addEventListener('pointerdown', this.boundHandleDocumentPointerDown);
+  };
+
+  /**
+   * Close the open toolbar popover, if any
+   */
+  PenTool.prototype.closePopover = function() {
+    if (this.boundHandleDocumentPointerDown) {
+      document.removeEventListener('pointerdown', this.boundHandleDocumentPointerDown);
+      this.boundHandleDocumentPointerDown = null;
+    }
+    
+    if (this.openPopoverName && this.popovers[this.openPopoverName]) {
+      this.popovers[this.openPopoverName].style.display = 'none';
+      this.setPopoverButtonExpanded(this.openPopoverName, false);
+    }
+    this.openPopoverName = null;
+  };
+
+  /**
+   * Tell screen readers whether the popover of a toolbar button is open
+   * @param {string} name - Name of the popover and its button
+   * @param {boolean} expanded
+   */
+  PenTool.prototype.setPopoverButtonExpanded = function(name, expanded) {
+    var button = this.getToolbarButton(name);
+    if (button) {
+      button.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    }
+  };
+
+  /**
+   * Place a popover next to the toolbar, on the side facing the drawing area
+   * Above or below the toolbar it lines up with the start of the toolbar, the right end for right-to-left languages.
+   * @param {HTMLElement} popover
+   */
+  PenTool.prototype.positionPopover = function(popover) {
+    popover.style.top = '';
+    popover.style.right = '';
+    popover.style.bottom = '';
+    popover.style.left = '';
+    
+    var start = this.isRightToLeft() ? 'right' : 'left';
+    switch (this.toolPosition) {
+      case 'bottom':
+        popover.style.bottom = 'calc(100% + 8px)';
+        popover.style[start] = '0';
+        break;
+      case 'left':
+        popover.style.left = 'calc(100% + 8px)';
+        popover.style.top = '0';
+        break;
+      case 'right':
+        popover.style.right = 'calc(100% + 8px)';
+        popover.style.top = '0';
+        break;
+      default:
+        popover.style.top = 'calc(100% + 8px)';
+        popover.style[start] = '0';
+    }
+  };
+
+  /**
+   * Build the color popover: palette, recent colors, custom color and opacity
+   * @returns {HTMLElement}
+   */
+  PenTool.prototype.createColorPopover = function() {
+    var self = this;
+    var popover = document.createElement('div');
+    
+    var palette = document.createElement('div');
+    palette.className = 'pen-tool-swatches';
+    palette.dataset.role = 'palette';
+    for (var i = 0; i < this.palette.length; i++) {
+      palette.appendChild(this.createSwatch(this.palette[i]));
+    }
+    popover.appendChild(palette);
+    
+    var recentLabel = document.createElement('div');
+    recentLabel.className = 'pen-tool-popover-label';
+    recentLabel.textContent = this.t('recentColors');
+    popover.appendChild(recentLabel);
+    
+    var recent = document.createElement('div');
+    recent.className = 'pen-tool-swatches';
+    recent.dataset.role = 'recent';
+    popover.appendChild(recent);
+    
+    var customInput = document.createElement('input');
+    customInput.type = 'color';
+    customInput.dataset.role = 'custom-color';
+    customInput.addEventListener('input', function() {
+      self.selectColor(customInput.value, false);
+    });
+    // Only the final pick goes into the recent colors, not every step of the drag
+    customInput.addEventListener('change', function() {
+      self.selectColor(customInput.value, true);
+    });
+    popover.appendChild(this.createPopoverRow(this.t('customColor'), customInput));
+    
+    var opacityInput = document.createElement('input');
+    opacityInput.type = 'range';
+    opacityInput.min = '0.1';
+    opacityInput.max = '1';
+    opacityInput.step = '0.05';
+    opacityInput.dataset.role = 'opacity';
+    opacityInput.addEventListener('input', function() {
+      self.updateInkStyle({ opacity: parseFloat(opacityInput.value) });
+    });
+    popover.appendChild(this.createPopoverRow(this.t('opacity'), opacityInput, 'opacity-value'));
+    
+    // Swatch clicks are handled once for both rows
+    popover.addEventListener('click', function(e) {
+      var swatch = e.target.closest ? e.target.closest('.pen-tool-swatch') : null;
+      if (swatch) {
+        self.selectColor(swatch.dataset.color, true);
+      }
+    });
+    
+    return popover;
+  };
+
+  /**
+   * Build the width popover: pen width and eraser size sliders with a live preview
+   * @returns {HTMLElement}
+   */
+  PenTool.prototype.createWidthPopover = function() {
+    var self = this;
+    var svgNS = 'http://www.w3.org/2000/svg';
+    var popover = document.createElement('div');
+    
+    var lineWidthInput = document.createElement('input');
+    lineWidthInput.type = 'range';
+    lineWidthInput.min = LINE_WIDTH_RANGE.min.toString();
+    lineWidthInput.max = LINE_WIDTH_RANGE.max.toString();
+    lineWidthInput.step = '1';
+    lineWidthInput.dataset.role = 'line-width';
+    lineWidthInput.addEventListener('input', function() {
+      self.updateInkStyle({ width: parseInt(lineWidthInput.value, 10) });
+    });
+    popover.appendChild(this.createPopoverRow(this.t('lineWidth'), lineWidthInput, 'line-width-value'));
+    
+    var eraserWidthInput = document.createElement('input');
+    eraserWidthInput.type = 'range';
+    eraserWidthInput.min = ERASER_WIDTH_RANGE.min.toString();
+    eraserWidthInput.max = ERASER_WIDTH_RANGE.max.toString();
+    eraserWidthInput.step = '1';
+    eraserWidthInput.dataset.role = 'eraser-width';
+    eraserWidthInput.addEventListener('input', function() {
+      self.updateOptions({ eraserWidth: parseInt(eraserWidthInput.value, 10) });
+    });
+    popover.appendChild(this.createPopoverRow(this.t('eraserSize'), eraserWidthInput, 'eraser-width-value'));
+    
+    // Preview of a pen stroke and the eraser outline at the current sizes
+    var preview = document.createElementNS(svgNS, 'svg');
+    preview.setAttribute('class', 'pen-tool-width-preview');
+    preview.setAttribute('width', '180');
+    preview.setAttribute('height', '60');
+    preview.setAttribute('viewBox', '0 0 180 60');
+    
+    var line = document.createElementNS(svgNS, 'path');
+    line.setAttribute('d', 'M 15 40 C 40 5, 70 55, 105 25');
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke-linecap', 'round');
+    line.setAttribute('stroke-linejoin', 'round');
+    line.dataset.role = 'line-preview';
+    preview.appendChild(line);
+    
+    var eraser = document.createElementNS(svgNS, 'circle');
+    eraser.setAttribute('cx', '148');
+    eraser.setAttribute('cy', '30');
+    eraser.setAttribute('fill', 'rgba(255, 0, 0, 0.1)');
+    eraser.setAttribute('stroke', 'rgba(255, 0, 0, 0.5)');
+    eraser.dataset.role = 'eraser-preview';
+    preview.appendChild(eraser);
+    
+    popover.appendChild(preview);
+    return popover;
+  };
+
+  /**
+   * Build the selection popover: rectangle or lasso, and the actions on the selection
+   * Recolor and width changes go through the color and width popovers.
+   * @returns {HTMLElement}
+   */
+  PenTool.prototype.createSelectPopover = function() {
+    var self = this;
+    var titles = { rectangle: this.t('rectangleSelection'), lasso: this.t('lassoSelection') };
+    var popover = document.createElement('div');
+    
+    var modes = document.createElement('div');
+    modes.className = 'pen-tool-swatches';
+    for (var i = 0; i < SELECTION_MODES.length; i++) {
+      var option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'pen-tool-shape-option';
+      option.dataset.selectionMode = SELECTION_MODES[i];
+      option.title = titles[SELECTION_MODES[i]];
+      option.innerHTML = this.getSelectIcon(SELECTION_MODES[i]);
+      modes.appendChild(option);
+    }
+    modes.addEventListener('click', function(e) {
+      var option = e.target.closest ? e.target.closest('.pen-tool-shape-option') : null;
+      if (option) {
+        self.switchToSelectTool(option.dataset.selectionMode);
+      }
+    });
+    popover.appendChild(modes);
+    
+    var actions = document.createElement('div');
+    actions.className = 'pen-tool-popover-actions';
+    var labels = { duplicate: this.t('duplicate'), copy: this.t('copy'), paste: this.t('paste'), delete: this.t('delete') };
+    for (var action in labels) {
+      var button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'pen-tool-popover-action';
+      button.dataset.action = action;
+      button.textContent = labels[action];
+      actions.appendChild(button);
+    }
+    actions.addEventListener('click', function(e) {
+      var button = e.target.closest ? e.target.closest('.pen-tool-popover-action') : null;
+      if (!button) {
+        return;
+      }
+      switch (button.dataset.action) {
+        case 'duplicate':
+          self.duplicateSelection();
+          break;
+        case 'copy':
+          self.copySelection();
+          break;
+        case 'paste':
+          self.paste();
+          break;
+        case 'delete':
+          self.deleteSelection();
+          break;
+      }
+    });
+    popover.appendChild(actions);
+    
+    var hint = document.createElement('div');
+    hint.className = 'pen-tool-popover-label';
+    hint.textContent = this.t('selectHint');
+    popover.appendChild(hint);
+    
+    return popover;
+  };
+
+  /**
+   * Build the zoom popover: zoom in and out, fit the drawing and actual size
+   * @returns {HTMLElement}
+   */
+  PenTool.prototype.createZoomPopover = function() {
+    var self = this;
+    var popover = document.createElement('div');
+    
+    var value = document.createElement('div');
+    value.className = 'pen-tool-popover-label';
+    value.dataset.role = 'zoom-value';
+    popover.appendChild(value);
+    
+    var actions = document.createElement('div');
+    actions.className = 'pen-tool-popover-actions';
+    var labels = { 'zoom-out': '−', 'zoom-in': '+', fit: this.t('zoomToFit'), reset: this.t('actualSize') };
+    for (var action in labels) {
+      var button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'pen-tool-popover-action';
+      button.dataset.action = action;
+      button.textContent = labels[action];
+      actions.appendChild(button);
+    }
+    actions.addEventListener('click', function(e) {
+      var button = e.target.closest ? e.target.closest('.pen-tool-popover-action') : null;
+      if (!button) {
+        return;
+      }
+      switch (button.dataset.action) {
+        case 'zoom-out':
+          self.zoomTo(self.view.zoom / ZOOM_STEP);
+          break;
+        case 'zoom-in':
+          self.zoomTo(self.view.zoom * ZOOM_STEP);
+          break;
+        case 'fit':
+          self.zoomToFit();
+          break;
+        case 'reset':
+          self.resetView();
+          break;
+      }
+    });
+    popover.appendChild(actions);
+    
+    var hint = document.createElement('div');
+    hint.className = 'pen-tool-popover-label';
+    hint.textContent = this.t('zoomHint');
+    popover.appendChild(hint);
+    
+    return popover;
+  };
+
+  /**
+   * Build the shape popover: shape type and arrow heads
+   * @returns {HTMLElement}
+   */
+  PenTool.prototype.createShapePopover = function() {
+    var self = this;
+    var titles = { line: this.t('line'), arrow: this.t('arrow'), rectangle: this.t('rectangle'), ellipse: this.t('ellipse') };
+    var popover = document.createElement('div');
+    
+    var shapes = document.createElement('div');
+    shapes.className = 'pen-tool-swatches';
+    for (var i = 0; i < SHAPE_TYPES.length; i++) {
+      var option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'pen-tool-shape-option';
+      option.dataset.shape = SHAPE_TYPES[i];
+      option.title = titles[SHAPE_TYPES[i]];
+      option.innerHTML = this.getShapeIcon(SHAPE_TYPES[i]);
+      shapes.appendChild(option);
+    }
+    shapes.addEventListener('click', function(e) {
+      var option = e.target.closest ? e.target.closest('.pen-tool-shape-option') : null;
+      if (option) {
+        self.switchToShapeTool(option.dataset.shape);
+      }
+    });
+    popover.appendChild(shapes);
+    
+    var headLabels = {
+      none: this.t('arrowHeadsNone'),
+      start: this.t('arrowHeadsStart'),
+      end: this.t('arrowHeadsEnd'),
+      both: this.t('arrowHeadsBoth')
+    };
+    var headsSelect = document.createElement('select');
+    headsSelect.dataset.role = 'arrow-heads';
+    for (var j = 0; j < ARROW_HEADS.length; j++) {
+      var headOption = document.createElement('option');
+      headOption.value = ARROW_HEADS[j];
+      headOption.textContent = headLabels[ARROW_HEADS[j]];
+      headsSelect.appendChild(headOption);
+    }
+    headsSelect.addEventListener('change', function() {
+      self.updateOptions({ arrowHeads: headsSelect.value });
+    });
+    popover.appendChild(this.createPopoverRow(this.t('arrowHeads'), headsSelect));
+    
+    var hint = document.createElement('div');
+    hint.className = 'pen-tool-popover-label';
+    hint.textContent = this.t('shapeHint');
+    popover.appendChild(hint);
+    
+    return popover;
+  };
+
+  /**
+   * Build the text popover: font size and bold
+   * The color comes from the color popover, like the pen's.
+   * @returns {HTMLElement}
+   */
+  PenTool.prototype.createTextPopover = function() {
+    var self = this;
+    var popover = document.createElement('div');
+    
+    var fontSizeInput = document.createElement('input');
+    fontSizeInput.type = 'range';
+    fontSizeInput.min = FONT_SIZE_RANGE.min.toString();
+    fontSizeInput.max = FONT_SIZE_RANGE.max.toString();
+    fontSizeInput.step = '1';
+    fontSizeInput.dataset.role = 'font-size';
+    fontSizeInput.addEventListener('input', function() {
+      self.updateOptions({ fontSize: parseInt(fontSizeInput.value, 10) });
+    });
+    popover.appendChild(this.createPopoverRow(this.t('fontSize'), fontSizeInput, 'font-size-value'));
+    
+    var boldButton = document.createElement('button');
+    boldButton.type = 'button';
+    boldButton.className = 'pen-tool-shape-option';
+    boldButton.dataset.role = 'font-bold';
+    boldButton.title = this.t('bold');
+    boldButton.innerHTML = '<strong>B</strong>';
+    boldButton.addEventListener('click', function() {
+      self.updateOptions({ fontBold: !self.fontBold });
+    });
+    popover.appendChild(this.createPopoverRow(this.t('bold'), boldButton));
+    
+    var hint = document.createElement('div');
+    hint.className = 'pen-tool-popover-label';
+    hint.textContent = this.t('textHint');
+    popover.appendChild(hint);
+    
+    return popover;
+  };
+
+  /**
+   * Create a labelled popover row
+   * @param {string} label - Row label
+   * @param {HTMLElement} input - Control shown in the row
+   * @param {string} [valueRole] - When given, a value readout with this data-role is added
+   * @returns {HTMLElement}
+   */
+  PenTool.prototype.createPopoverRow = function(label, input, valueRole) {
+    var row = document.createElement('label');
+    row.className = 'pen-tool-popover-row';
+    
+    var text = document.createElement('span');
+    text.textContent = label;
+    row.appendChild(text);
+    row.appendChild(input);
+    
+    if (valueRole) {
+      var value = document.createElement('span');
+      value.className = 'pen-tool-popover-value';
+      value.dataset.role = valueRole;
+      row.appendChild(value);
+    }
+    return row;
+  };
+
+  /**
+   * Create a color swatch button
+   * @param {string} color
+   * @returns {HTMLButtonElement}
+   */
+  PenTool.prototype.createSwatch = function(color) {
+    var swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.className = 'pen-tool-swatch';
+    swatch.dataset.color = color;
+    swatch.title = color;
+    swatch.style.backgroundColor = color;
+    return swatch;
+  };
+
+  /**
+   * Use a color picked in the color popover
+   * Picking a color while erasing switches back to the pen.
+   * @param {string} color
+   * @param {boolean} remember - Add the color to the recent colors
+   */
+  PenTool.prototype.selectColor = function(color, remember) {
+    if (remember) {
+      this.addRecentColor(color);
+    }
+    
+    if (this.currentTool !== 'pen' && this.currentTool !== 'highlighter' && this.currentTool !== 'shape' && this.currentTool !== 'text' &&
+        !this.isRestylingSelection() && this.isEnabled) {
+      this.setActiveTool('pen');
+    }
+    this.updateInkStyle({ color: color });
+  };
+
+  /**
+   * Get the color, opacity and width of the ink tool the style popovers edit
+   * That is the highlighter while it is active, the selected strokes while
+   * there are any, and the pen otherwise.
+   * @returns {Object} { color, opacity, width }
+   */
+  PenTool.prototype.getInkStyle = function() {
+    if (this.isRestylingSelection()) {
+      // The selection shows the style of the stroke picked first
+      var stroke = this.selection[0];
+      return {
+        color: stroke.color,
+        opacity: stroke.opacity !== undefined ? stroke.opacity : 1,
+        width: stroke.width !== undefined ? stroke.width : this.lineWidth
+      };
+    }
+    if (this.currentTool === 'highlighter') {
+      return { color: this.highlighterColor, opacity: this.highlighterOpacity, width: this.highlighterWidth };
+    }
+    return { color: this.lineColor, opacity: this.lineOpacity, width: this.lineWidth };
+  };
+
+  /**
+   * Change the color, opacity or width of the ink tool the style popovers edit
+   * @param {Object} style - Any of { color, opacity, width }
+   */
+  PenTool.prototype.updateInkStyle = function(style) {
+    if (this.isRestylingSelection()) {
+      this.restyleSelection(style);
+      return;
+    }
+    
+    var isHighlighter = this.currentTool === 'highlighter';
+    var options = {};
+    if (style.color !== undefined) {
+      options[isHighlighter ? 'highlighterColor' : 'lineColor'] = style.color;
+    }
+    if (style.opacity !== undefined) {
+      options[isHighlighter ? 'highlighterOpacity' : 'lineOpacity'] = style.opacity;
+    }
+    if (style.width !== undefined) {
+      options[isHighlighter ? 'highlighterWidth' : 'lineWidth'] = style.width;
+    }
+    this.updateOptions(options);
+  };
+
+  /**
+   * Check whether the style popovers edit the selected strokes
+   * @returns {boolean}
+   */
+  PenTool.prototype.isRestylingSelection = function() {
+    return this.currentTool === 'select' && this.selection.length > 0;
+  };
+
+  /**
+   * Add a color to the front of the recent colors
+   * @param {string} color
+   */
+  PenTool.prototype.addRecentColor = function(color) {
+    var normalized = color.toLowerCase();
+    this.recentColors = this.recentColors.filter(function(recentColor) {
+      return recentColor.toLowerCase() !== normalized;
+    });
+    this.recentColors.unshift(color);
+    if (this.recentColors.length > RECENT_COLORS_LIMIT) {
+      this.recentColors.length = RECENT_COLORS_LIMIT;
+    }
+    this.updateStyleControls();
+  };
+
+  /**
+   * Reflect the current color, opacity and sizes in the toolbar button and popovers
+   */
+  PenTool.prototype.updateStyleControls = function() {
+    if (!this.toolbar) {
+      return;
+    }
+    
+    var style = this.getInkStyle();
+    
+    var colorButton = this.toolbar.querySelector('[data-tool="color"]');
+    if (colorButton) {
+      this.updateColorIcon(colorButton);
+    }
+    
+    var colorPopover = this.popovers.color;
+    if (colorPopover) {
+      var current = style.color.toLowerCase();
+      var swatches = colorPopover.querySelectorAll('[data-role="palette"] .pen-tool-swatch');
+      for (var i = 0; i < swatches.length; i++) {
+        var isCurrent = swatches[i].dataset.color.toLowerCase() === current;
+        swatches[i].classList.toggle('selected', isCurrent);
+        swatches[i].setAttribute('aria-pressed', isCurrent ? 'true' : 'false');
+      }
+      
+      var recent = colorPopover.querySelector('[data-role="recent"]');
+      while (recent.firstChild) {
+        recent.removeChild(recent.firstChild);
+      }
+      for (var j = 0; j < this.recentColors.length; j++) {
+        recent.appendChild(this.createSwatch(this.recentColors[j]));
+      }
+      recent.previousSibling.style.display = this.recentColors.length > 0 ? '' : 'none';
+      
+      // Color inputs only accept #rrggbb
+      if (/^#[0-9a-f]{6}$/i.test(style.color)) {
+        colorPopover.querySelector('[data-role="custom-color"]').value = style.color;
+      }
+      colorPopover.querySelector('[data-role="opacity"]').value = style.opacity.toString();
+      colorPopover.querySelector('[data-role="opacity-value"]').textContent = this.t('percent', { value: Math.round(style.opacity * 100) });
+    }
+    
+    var widthPopover = this.popovers.width;
+    if (widthPopover) {
+      widthPopover.querySelector('[data-role="line-width"]').value = style.width.toString();
+      widthPopover.querySelector('[data-role="line-width-value"]').textContent = style.width + 'px';
+      widthPopover.querySelector('[data-role="eraser-width"]').value = this.eraserWidth.toString();
+      widthPopover.querySelector('[data-role="eraser-width-value"]').textContent = this.eraserWidth + 'px';
+      
+      var linePreview = widthPopover.querySelector('[data-role="line-preview"]');
+      linePreview.setAttribute('stroke', style.color);
+      linePreview.setAttribute('stroke-width', style.width.toString());
+      linePreview.setAttribute('opacity', style.opacity.toString());
+      linePreview.setAttribute('stroke-linecap', this.currentTool === 'highlighter' ? 'butt' : 'round');
+      
+      // Large erasers are shown clipped to the preview height
+      widthPopover.querySelector('[data-role="eraser-preview"]').setAttribute('r', Math.min(this.eraserWidth / 2, 29).toString());
+    }
+    
+    var selectButton = this.toolbar.querySelector('[data-tool="select"]');
+    if (selectButton) {
+      selectButton.innerHTML = this.getSelectIcon(this.selectionMode);
+    }
+    
+    var selectPopover = this.popovers.select;
+    if (selectPopover) {
+      var modes = selectPopover.querySelectorAll('.pen-tool-shape-option');
+      for (var m = 0; m < modes.length; m++) {
+        var isMode = modes[m].dataset.selectionMode === this.selectionMode;
+        modes[m].classList.toggle('selected', isMode);
+        modes[m].setAttribute('aria-pressed', isMode ? 'true' : 'false');
+      }
+      var actions = selectPopover.querySelectorAll('.pen-tool-popover-action');
+      for (var a = 0; a < actions.length; a++) {
+        actions[a].disabled = actions[a].dataset.action === 'paste' ? !this.clipboard : this.selection.length === 0;
+      }
+    }
+    
+    var zoomPopover = this.popovers.zoom;
+    if (zoomPopover) {
+      zoomPopover.querySelector('[data-role="zoom-value"]').textContent = this.t('zoomValue', { zoom: Math.round(this.view.zoom * 100) });
+    }
+    
+    var shapeButton = this.toolbar.querySelector('[data-tool="shape"]');
+    if (shapeButton) {
+      shapeButton.innerHTML = this.getShapeIcon(this.shapeType);
+    }
+    
+    var shapePopover = this.popovers.shape;
+    if (shapePopover) {
+      var options = shapePopover.querySelectorAll('.pen-tool-shape-option');
+      for (var k = 0; k < options.length; k++) {
+        var isShape = options[k].dataset.shape === this.shapeType;
+        options[k].classList.toggle('selected', isShape);
+        options[k].setAttribute('aria-pressed', isShape ? 'true' : 'false');
+      }
+      shapePopover.querySelector('[data-role="arrow-heads"]').value = this.arrowHeads;
+    }
+    
+    var textPopover = this.popovers.text;
+    if (textPopover) {
+      textPopover.querySelector('[data-role="font-size"]').value = this.fontSize.toString();
+      textPopover.querySelector('[data-role="font-size-value"]').textContent = this.fontSize + 'px';
+      var boldButton = textPopover.querySelector('[data-role="font-bold"]');
+      boldButton.classList.toggle('selected', this.fontBold);
+      boldButton.setAttribute('aria-pressed', this.fontBold ? 'true' : 'false');
+    }
+  };
+
+  /**
+   * Add drag functionality to the drag handle
+   */
+  PenTool.prototype.addDragHandleListeners = function(dragHandle) {
+    var self = this;
+    
+    // Create bound function references for proper cleanup
+    this.boundHandleToolbarDragStart = function(e) { self.handleToolbarDragStart(e, dragHandle); };
+    this.boundHandleToolbarDragMove = function(e) { self.handleToolbarDragMove(e); };
+    this.boundHandleToolbarDragEnd = function(e) { self.handleToolbarDragEnd(e); };
+    this.boundHandleDragHandleKeyDown = function(e) { self.handleDragHandleKeyDown(e); };
+    this.boundHandleDragHandleBlur = function() { self.setToolbarMoving(false); };
+    
+    // Mouse events
+    dragHandle.addEventListener('mousedown', this.boundHandleToolbarDragStart);
+    
+    // Touch events
+    dragHandle.addEventListener('touchstart', this.boundHandleToolbarDragStart, { passive: false });
+    
+    // Keyboard moving
+    dragHandle.addEventListener('keydown', this.boundHandleDragHandleKeyDown);
+    dragHandle.addEventListener('blur', this.boundHandleDragHandleBlur);
+  };
+
+  /**
+   * Move the toolbar from the keyboard
+   * Enter or Space on the drag handle starts moving, the arrow keys move the toolbar
+   * (further with Shift) and Enter, Space or Escape stop.
+   * @param {KeyboardEvent} event
+   */
+  PenTool.prototype.handleDragHandleKeyDown = function(event) {
+    // A key another handler already acted on must not toggle moving back
+    if (event.defaultPrevented) return;
+    
+    if (event.key === 'Enter' || event.key === ' ' || (event.key === 'Escape' && this.isMovingToolbar)) {
+      event.preventDefault();
+      this.setToolbarMoving(event.key !== 'Escape' && !this.isMovingToolbar);
+      return;
+    }
+    
+    var directions = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (!this.isMovingToolbar || !directions[event.key]) return;
+    
+    event.preventDefault();
+    var step = event.shiftKey ? TOOLBAR_MOVE_STEP_LARGE : TOOLBAR_MOVE_STEP;
+    var targetRect = this.targetElement.getBoundingClientRect();
+    var toolbarRect = this.toolbar.getBoundingClientRect();
+    this.moveToolbarTo(
+      toolbarRect.left - targetRect.left + directions[event.key][0] * step,
+      toolbarRect.top - targetRect.top + directions[event.key][1] * step
+    );
+  };
+
+  /**
+   * Start or stop moving the toolbar with the arrow keys
+   * @param {boolean} moving
+   */
+  PenTool.prototype.setToolbarMoving = function(moving) {
+    if (this.isMovingToolbar === moving || !this.toolbar) {
+      return;
+    }
+    
+    this.isMovingToolbar = moving;
+    var dragHandle = this.toolbar.querySelector('.pen-tool-drag-handle');
+    if (dragHandle) {
+      dragHandle.setAttribute('aria-pressed', moving ? 'true' : 'false');
+    }
+    this.announce(this.t(moving ? 'moveToolbarHint' : 'toolbarMoved'));
+    if (!moving) {
+      // Like a drop, the end of a keyboard move docks the toolbar to a side it was left near
+      this.snapToolbarToEdge();
+      this.savePreferences();
+    }
+  };
+
+  /**
+   * Place the toolbar inside the drawing area
+   * @param {number} x - Left edge, in pixels from the left of the target element
+   * @param {number} y - Top edge, in pixels from the top of the target element
+   */
+  PenTool.prototype.moveToolbarTo = function(x, y) {
+    var room = this.getToolbarRoom();
+    
+    // Constrain to target element boundaries
+    x = Math.max(0, Math.min(x, room.width));
+    y = Math.max(0, Math.min(y, room.height));
+    
+    // Reset all positioning styles and apply new position
+    this.toolbar.style.top = '';
+    this.toolbar.style.right = '';
+    this.toolbar.style.bottom = '';
+    this.toolbar.style.left = '';
+    this.toolbar.style.transform = '';
+    
+    this.toolbar.style.left = x + 'px';
+    this.toolbar.style.top = y + 'px';
+    
+    // Kept as fractions so the toolbar stays in the same spot relative to the target when it resizes
+    this.toolbarOffset = {
+      x: room.width > 0 ? x / room.width : 0,
+      y: room.height > 0 ? y / room.height : 0
+    };
+  };
+
+  /**
+   * Get how far the toolbar can move inside the target element
+   * @returns {Object} { width, height } in pixels, 0 when the toolbar fills the target
+   */
+  PenTool.prototype.getToolbarRoom = function() {
+    var toolbarRect = this.toolbar.getBoundingClientRect();
+    return {
+      width: Math.max(0, this.targetElement.offsetWidth - toolbarRect.width),
+      height: Math.max(0, this.targetElement.offsetHeight - toolbarRect.height)
+    };
+  };
+
+  /**
+   * Put a moved toolbar back at its offset, e.g. after the target resized
+   */
+  PenTool.prototype.applyToolbarOffset = function() {
+    if (!this.toolbar || !this.toolbarOffset) {
+      return;
+    }
+    
+    // The fractions are kept as they are, so a target that is briefly too small doesn't lose them
+    var offset = this.toolbarOffset;
+    var room = this.getToolbarRoom();
+    this.moveToolbarTo(offset.x * room.width, offset.y * room.height);
+    this.toolbarOffset = offset;
+  };
+
+  /**
+   * Dock the toolbar to the side of the drawing area it was dropped near
+   * @returns {boolean} True if the toolbar was docked
+   */
+  PenTool.prototype.snapToolbarToEdge = function() {
+    if (!this.toolbarOffset) {
+      return false;
+    }
+    
+    var room = this.getToolbarRoom();
+    var x = this.toolbarOffset.x * room.width;
+    var y = this.toolbarOffset.y * room.height;
+    var distances = { top: y, bottom: room.height - y, left: x, right: room.width - x };
+    var side = null;
+    for (var i = 0; i < TOOLBAR_POSITIONS.length; i++) {
+      var position = TOOLBAR_POSITIONS[i];
+      if (distances[position] <= TOOLBAR_SNAP_DISTANCE && (!side || distances[position] < distances[side])) {
+        side = position;
+      }
+    }
+    if (!side) {
+      return false;
+    }
+    
+    this.toolPosition = side;
+    this.toolbarOffset = null;
+    this.setToolbarPosition();
+    if (this.openPopoverName) {
+      this.positionPopover(this.popovers[this.openPopoverName]);
+    }
+    return true;
+  };
+
+  /**
+   * Handle start of toolbar dragging
+   */
+  PenTool.prototype.handleToolbarDragStart = function(event, dragHandle) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    this.isDraggingToolbar = true;
+    dragHandle.style.cursor = 'grabbing';
+    
+    var clientX, clientY;
+    if (event.type === 'touchstart') {
+      clientX = event.touches[0].clientX;
+      clientY = event.touches[0].clientY;
+    } else {
+      clientX = event.clientX;
+      clientY = event.clientY;
+    }
+    
+    var toolbarRect = this.toolbar.getBoundingClientRect();
+    this.dragOffset.x = clientX - toolbarRect.left;
+    this.dragOffset.y = clientY - toolbarRect.top;
+    
+    // Add global event listeners for dragging
+    document.addEventListener('mousemove', this.boundHandleToolbarDragMove);
+    document.addEventListener('mouseup', this.boundHandleToolbarDragEnd);
+    document.addEventListener('touchmove', this.boundHandleToolbarDragMove, { passive: false });
+    document.addEventListener('touchend', this.boundHandleToolbarDragEnd);
+    document.addEventListener('touchcancel', this.boundHandleToolbarDragEnd);
+  };
+
+  /**
+   * Handle toolbar dragging movement
+   */
+  PenTool.prototype.handleToolbarDragMove = function(event) {
+    if (!this.isDraggingToolbar) return;
+    
+    event.preventDefault();
+    
+    var clientX, clientY;
+    if (event.type === 'touchmove') {
+      clientX = event.touches[0].clientX;
+      clientY = event.touches[0].clientY;
+    } else {
+      clientX = event.clientX;
+      clientY = event.clientY;
+    }
+    
+    // Calculate new position relative to the target element
+    var targetRect = this.targetElement.getBoundingClientRect();
+    this.moveToolbarTo(clientX - targetRect.left - this.dragOffset.x, clientY - targetRect.top - this.dragOffset.y);
+  };
+
+  /**
+   * Handle end of toolbar dragging
+   */
+  PenTool.prototype.handleToolbarDragEnd = function(event) {
+    if (!this.isDraggingToolbar) return;
+    
+    this.isDraggingToolbar = false;
+    
+    // Reset cursor
+    var dragHandle = this.toolbar.querySelector('.pen-tool-drag-handle');
+    if (dragHandle) {
+      dragHandle.style.cursor = 'grab';
+    }
+    
+    // Remove global event listeners
+    document.removeEventListener('mousemove', this.boundHandleToolbarDragMove);
+    document.removeEventListener('mouseup', this.boundHandleToolbarDragEnd);
+    document.removeEventListener('touchmove', this.boundHandleToolbarDragMove);
+    document.removeEventListener('touchend', this.boundHandleToolbarDragEnd);
+    document.removeEventListener('touchcancel', this.boundHandleToolbarDragEnd);
+    
+    this.snapToolbarToEdge();
+    this.savePreferences();
+  };
+
+  /**
+   * Restore the preferences saved for this PenTool's id
+   * Values that are missing or no longer valid keep their current settings.
+   */
+  PenTool.prototype.restorePreferences = function() {
+    if (!this.storage || !this.id) {
+      return;
+    }
+    
+    var preferences;
+    try {
+      preferences = JSON.parse(this.storage.getItem(PREFERENCES_KEY_PREFIX + this.id));
+    } catch (e) {
+      console.warn('PenTool: could not read the saved preferences', e);
+      return;
+    }
+    if (!preferences || typeof preferences !== 'object') {
+      return;
+    }
+    
+    if (typeof preferences.tool === 'string' && this.isToolAvailable(preferences.tool)) {
+      this.currentTool = preferences.tool;
+    }
+    if (isCssColor(preferences.color)) {
+      this.lineColor = preferences.color;
+    }
+    // Within the range of the width popover
+    if (typeof preferences.width === 'number' && preferences.width >= LINE_WIDTH_RANGE.min && preferences.width <= LINE_WIDTH_RANGE.max) {
+      this.lineWidth = preferences.width;
+    }
+    if (['light', 'dark', 'system'].indexOf(preferences.theme) !== -1) {
+      this.themeSetting = preferences.theme;
+      this.isDarkMode = isDarkThemeSetting(preferences.theme);
+    }
+    if (TOOLBAR_POSITIONS.indexOf(preferences.toolPosition) !== -1) {
+      this.toolPosition = preferences.toolPosition;
+    }
+    
+    var offset = preferences.toolbarOffset;
+    var isFraction = function(value) {
+      return typeof value === 'number' && value >= 0 && value <= 1;
+    };
+    this.toolbarOffset = offset && isFraction(offset.x) && isFraction(offset.y) ? { x: offset.x, y: offset.y } : null;
+  };
+
+  /**
+   * Save the tool, pen color and width, theme and toolbar position for this PenTool's id
+   */
+  PenTool.prototype.savePreferences = function() {
+    if (!this.storage || !this.id) {
+      return;
+    }
+    
+    try {
+      this.storage.setItem(PREFERENCES_KEY_PREFIX + this.id, JSON.stringify({
+        tool: this.currentTool,
+        color: this.lineColor,
+        width: this.lineWidth,
+        theme: this.themeSetting,
+        toolPosition: this.toolPosition,
+        toolbarOffset: this.toolbarOffset
+      }));
+    } catch (e) {
+      // Full or blocked storage only costs the preferences
+      console.warn('PenTool: could not save the preferences', e);
+    }
+  };
+
+  /**
+   * Add pointer event listeners for mouse, touch and pen input
+   */
+  PenTool.prototype.addEventListeners = function() {
+    var self = this;
+    
+    // Create bound function references for proper cleanup
+    this.boundHandlePointerDown = function(e) { self.handlePointerDown(e); };
+    this.boundHandlePointerMove = function(e) { self.handlePointerMove(e); };
+    this.boundHandlePointerUp = function(e) { self.handlePointerUp(e); };
+    this.boundHandlePointerLeave = function(e) { self.handlePointerLeave(e); };
+    this.boundHandleWheel = function(e) { self.handleWheel(e); };
+    this.boundHandleKeyDown = function(e) { self.handleKeyDown(e); };
+    this.boundHandleKeyUp = function(e) { self.handleKeyUp(e); };
+    this.boundHandleResize = function() { self.handleResize(); };
+    this.boundHandleScroll = function() { self.handleScroll(); };
+    this.boundActivateShortcuts = function() { shortcutInstance = self; };
+    
+    // A single Pointer Events pipeline covers mouse, touch and stylus input.
+    // Pointer capture keeps the events on the SVG until the pointer is released.
+    this.svg.addEventListener('pointerdown', this.boundHandlePointerDown);
+    this.svg.addEventListener('pointermove', this.boundHandlePointerMove);
+    this.svg.addEventListener('pointerup', this.boundHandlePointerUp);
+    this.svg.addEventListener('pointercancel', this.boundHandlePointerUp);
+    this.svg.addEventListener('lostpointercapture', this.boundHandlePointerUp);
+    this.svg.addEventListener('pointerleave', this.boundHandlePointerLeave);
+    
+    // Zooming, space-drag panning and keyboard shortcuts; the PenTool clicked last gets the keys
+    this.svg.addEventListener('wheel', this.boundHandleWheel, { passive: false });
+    this.targetElement.addEventListener('pointerdown', this.boundActivateShortcuts, true);
+    document.addEventListener('keydown', this.boundHandleKeyDown);
+    document.addEventListener('keyup', this.boundHandleKeyUp);
+    
+    // Scrolling content moves the ink with it, but not the toolbar or a resting pointer
+    this.targetElement.addEventListener('scroll', this.boundHandleScroll);
+    
+    // Responsive layouts resize the drawing area without resizing the window
+    if (window.ResizeObserver) {
+      this.resizeObserver = new ResizeObserver(this.boundHandleResize);
+      this.resizeObserver.observe(this.targetElement);
+    } else {
+      window.addEventListener('resize', this.boundHandleResize);
+      this.handleResize();
+    }
+  };
+
+  /**
+   * Handle a pointer being pressed on the drawing surface
+   */
+  PenTool.prototype.handlePointerDown = function(event) {
+    // Don't draw with tools that don't draw, like the hand
+    if (!PenTool.tools[this.currentTool].onStart) return;
+    
+    // Space-drag and the middle mouse button pan the view instead of drawing
+    var isPanButton = event.pointerType === 'mouse' && event.button === 1;
+    if (this.viewGestures && this.activePointerId === null && !this.viewGesture &&
+        (isPanButton || (this.isSpacePanning && event.pointerType !== 'touch'))) {
+      event.preventDefault();
+      this.startViewGesture({ type: 'pan', pointerId: event.pointerId, last: [event.clientX, event.clientY] });
+      this.capturePointer(event.pointerId);
+      return;
+    }
+    
+    // Only the primary mouse button draws
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    
+    if (event.pointerType === 'touch') {
+      this.activeTouchPointers.push(event.pointerId);
+      this.touchPositions[event.pointerId] = [event.clientX, event.clientY];
+      
+      // A second finger means a multi-touch gesture, not a stroke
+      if (this.activeTouchPointers.length > 1) {
+        if (this.isDrawing && this.drawingPointerType === 'touch') {
+          this.cancelStroke();
+        }
+        // Two fingers pinch and pan the view, unless they rest on the screen while a stylus draws
+        if (this.viewGestures && this.activeTouchPointers.length === 2 && !this.viewGesture && !this.isDrawing) {
+          event.preventDefault();
+          this.capturePointer(event.pointerId);
+          this.startPinch();
+        }
+        return;
+      }
+    }
+    
+    // Ignore additional pointers (e.g. a resting palm) while a stroke is in progress
+    if (this.activePointerId !== null || this.viewGesture) return;
+    
+    event.preventDefault();
+    
+    this.activePointerId = event.pointerId;
+    this.drawingPointerType = event.pointerType;
+    this.capturePointer(event.pointerId);
+    
+    this.beginStroke(this.getPointerSample(event));
+    if (this.scrollContent && this.isDrawing) {
+      this.autoScroll = { event: event, frame: null };
+    }
+  };
+
+  /**
+   * Keep the events of a pointer on the SVG until it is released
+   * @param {number} pointerId
+   */
+  PenTool.prototype.capturePointer = function(pointerId) {
+    try {
+      this.svg.setPointerCapture(pointerId);
+    } catch (e) {
+      // Capture is best effort; synthetic events cannot be captured
+    }
+  };
+
+  /**
+   * Handle pointer movement over the drawing surface
+   */
+  PenTool.prototype.handlePointerMove = function(event) {
+    // Don't handle drawing for tools that don't draw, like the hand
+    if (!PenTool.tools[this.currentTool].onStart) return;
+    
+    this.isPointerOver = true;
+    if (this.touchPositions[event.pointerId]) {
+      this.touchPositions[event.pointerId] = [event.clientX, event.clientY];
+    }
+    if (this.viewGesture) {
+      event.preventDefault();
+      this.continueViewGesture(event);
+      return;
+    }
+    
+    if (!this.isDrawing || event.pointerId !== this.activePointerId) {
+      // Show eraser indicator when eraser tool is active, even when not drawing
+      if (this.currentTool === 'eraser' && !this.isDrawing && event.pointerType !== 'touch') {
+        var hoverSample = this.getPointerSample(event);
+        this.showEraserIndicator(hoverSample.x, hoverSample.y);
+      }
+      return;
+    }
+    
+    event.preventDefault();
+    
+    // High-frequency stylus input is batched by the browser; replay every
+    // intermediate sample so fast strokes keep their shape
+    var events = typeof event.getCoalescedEvents === 'function' ? event.getCoalescedEvents() : [];
+    if (!events || events.length === 0) {
+      events = [event];
+    }
+    
+    for (var i = 0; i < events.length; i++) {
+      this.extendStroke(this.getPointerSample(events[i]));
+    }
+    
+    if (this.autoScroll) {
+      this.updateAutoScroll(event);
+    }
+  };
+
+  /**
+   * Handle a pointer being released, cancelled or losing capture
+   */
+  PenTool.prototype.handlePointerUp = function(event) {
+    var touchIndex = this.activeTouchPointers.indexOf(event.pointerId);
+    if (touchIndex !== -1) {
+      this.activeTouchPointers.splice(touchIndex, 1);
+    }
+    delete this.touchPositions[event.pointerId];
+    
+    // A pinch ends when a finger lifts, a pan when its pointer is released
+    var gesture = this.viewGesture;
+    if (gesture && (gesture.type === 'pinch' ? gesture.pointerIds.indexOf(event.pointerId) !== -1 : gesture.pointerId === event.pointerId)) {
+      this.endViewGesture();
+      if (this.svg && this.svg.hasPointerCapture && this.svg.hasPointerCapture(event.pointerId)) {
+        this.svg.releasePointerCapture(event.pointerId);
+      }
+      return;
+    }
+    
+    if (event.pointerId !== this.activePointerId) return;
+    
+    this.activePointerId = null;
+    this.drawingPointerType = null;
+    if (this.svg && this.svg.hasPointerCapture && this.svg.hasPointerCapture(event.pointerId)) {
+      this.svg.releasePointerCapture(event.pointerId);
+    }
+    
+    this.handleDrawEnd();
+  };
+
+  /**
+   * Handle a pointer leaving the SVG area
+   */
+  PenTool.prototype.handlePointerLeave = function() {
+    this.isPointerOver = false;
+    if (this.currentTool === 'eraser' && !this.isDrawing) {
+      this.hideEraserIndicator();
+    }
+  };
+
+  /**
+   * Zoom the view with Ctrl/Cmd+wheel, which is also what trackpad pinches send
+   * The plain wheel keeps scrolling the page.
+   * @param {WheelEvent} event
+   */
+  PenTool.prototype.handleWheel = function(event) {
+    if (!this.viewGestures || !(event.ctrlKey || event.metaKey)) return;
+    
+    event.preventDefault();
+    
+    // Line and page deltas are roughly converted to pixels
+    var delta = event.deltaY * (event.deltaMode === 1 ? 16 : (event.deltaMode === 2 ? 400 : 1));
+    var rect = this.svg.getBoundingClientRect();
+    this.zoomTo(this.view.zoom * Math.exp(-delta * WHEEL_ZOOM_SPEED), [event.clientX - rect.left, event.clientY - rect.top]);
+  };
+
+  /**
+   * Run keyboard shortcuts, and start space-drag panning while the pointer is over the drawing
+   * @param {KeyboardEvent} event
+   */
+  PenTool.prototype.handleKeyDown = function(event) {
+    // Typing in a text field is neither a pan nor a shortcut
+    var target = event.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+    
+    // Keys already handled by the toolbar, e.g. Escape closing a popover
+    if (event.defaultPrevented) return;
+    
+    if (event.key !== ' ') {
+      this.handleShortcut(event);
+      return;
+    }
+    
+    if (!this.viewGestures || !this.isPointerOver || this.currentTool === 'hand') return;
+    
+    // Space presses the focused toolbar button
+    if (this.toolbar && this.toolbar.contains(target)) return;
+    
+    // Holding space would scroll the page otherwise
+    event.preventDefault();
+    if (!this.isSpacePanning) {
+      this.isSpacePanning = true;
+      this.targetElement.classList.add('pen-tool-pan-mode');
+    }
+  };
+
+  /**
+   * Run the action bound to a key press in the keymap
+   * Keys go to the PenTool that has the focus, or to the one used last while nothing
+   * else on the page has it, so several PenTools on a page don't all react.
+   * @param {KeyboardEvent} event
+   */
+  PenTool.prototype.handleShortcut = function(event) {
+    if (this.isDrawing || this.viewGesture) return;
+    
+    var target = event.target;
+    var isIdle = !target || target === document.body || target === document.documentElement;
+    if (!this.targetElement.contains(target) && !(isIdle && shortcutInstance === this)) return;
+    
+    for (var action in this.keymap) {
+      var shortcuts = this.keymap[action];
+      for (var i = 0; i < shortcuts.length; i++) {
+        // Actions that have nothing to do leave the key to the browser, e.g. Ctrl+C without a selection
+        if (matchesShortcut(event, shortcuts[i]) && this.runShortcut(action)) {
+          event.preventDefault();
+          return;
+        }
+      }
+    }
+  };
+
+  /**
+   * Run a keymap action
+   * @param {string} action - One of the actions of the keymap option
+   * @returns {boolean} Whether the action applied
+   */
+  PenTool.prototype.runShortcut = function(action) {
+    var hasSelection = this.selection.length > 0;
+    
+    switch (action) {
+      case 'pen':
+      case 'highlighter':
+      case 'select':
+      case 'shape':
+      case 'text':
+        this.setActiveTool(action);
+        return true;
+      case 'eraser':
+      case 'strokeEraser':
+        this.switchToEraserTool({ mode: action === 'eraser' ? 'pixel' : 'stroke' });
+        return true;
+      case 'hand':
+        if (!this.isHandToolAvailable()) {
+          return false;
+        }
+        this.setActiveTool('hand');
+        return true;
+      case 'undo':
+        this.undo();
+        return true;
+      case 'redo':
+        this.redo();
+        return true;
+      case 'selectAll':
+        this.selectAll();
+        return true;
+      case 'clearSelection':
+      case 'deleteSelection':
+      case 'copySelection':
+      case 'duplicateSelection':
+        if (!hasSelection) {
+          return false;
+        }
+        this[action]();
+        return true;
+      case 'paste':
+        return this.paste();
+      case 'decreaseSize':
+      case 'increaseSize':
+        this.stepToolSize(action === 'increaseSize' ? 1 : -1);
+        return true;
+      case 'zoomIn':
+      case 'zoomOut':
+        this.zoomTo(action === 'zoomIn' ? this.view.zoom * ZOOM_STEP : this.view.zoom / ZOOM_STEP);
+        return true;
+      case 'resetView':
+      case 'zoomToFit':
+      case 'clearAll':
+        this[action]();
+        return true;
+    }
+    return false;
+  };
+
+  /**
+   * Make the size of the current tool one step bigger or smaller
+   * That is the eraser width, the font size of the text tool, or the width of the ink
+   * the style popovers edit (the selected strokes with the selection tool).
+   * @param {number} direction - 1 for bigger, -1 for smaller
+   */
+  PenTool.prototype.stepToolSize = function(direction) {
+    if (this.currentTool === 'eraser') {
+      this.updateOptions({
+        eraserWidth: Math.min(ERASER_WIDTH_RANGE.max, Math.max(ERASER_WIDTH_RANGE.min, this.eraserWidth + direction * SIZE_STEPS.eraser))
+      });
+    } else if (this.currentTool === 'text') {
+      this.updateOptions({
+        fontSize: Math.min(FONT_SIZE_RANGE.max, Math.max(FONT_SIZE_RANGE.min, this.fontSize + direction * SIZE_STEPS.font))
+      });
+    } else if (this.currentTool !== 'select' || this.selection.length > 0) {
+      var width = this.getInkStyle().width;
+      this.updateInkStyle({
+        width: Math.min(LINE_WIDTH_RANGE.max, Math.max(LINE_WIDTH_RANGE.min, width + direction * SIZE_STEPS.line))
+      });
+    }
+  };
+
+  /**
+   * Stop space-drag panning; a pan in progress continues until the pointer is released
+   * @param {KeyboardEvent} event
+   */
+  PenTool.prototype.handleKeyUp = function(event) {
+    if (event.key !== ' ' || !this.isSpacePanning) return;
+    
+    this.isSpacePanning = false;
+    this.targetElement.classList.remove('pen-tool-pan-mode');
+  };
+
+  /**
+   * Start a two-finger pinch with the first two touches
+   */
+  PenTool.prototype.startPinch = function() {
+    var ids = this.activeTouchPointers.slice(0, 2);
+    var a = this.touchPositions[ids[0]];
+    var b = this.touchPositions[ids[1]];
+    var rect = this.svg.getBoundingClientRect();
+    
+    this.startViewGesture({
+      type: 'pinch',
+      pointerIds: ids,
+      distance: Math.max(getDistance(a, b), 1),
+      center: [(a[0] + b[0]) / 2 - rect.left, (a[1] + b[1]) / 2 - rect.top],
+      view: this.getView()
+    });
+  };
+
+  /**
+   * Start dragging the view; a stroke in progress is dropped
+   * @param {Object} gesture - { type: 'pinch', pointerIds, distance, center, view } or { type: 'pan', pointerId, last }
+   */
+  PenTool.prototype.startViewGesture = function(gesture) {
+    this.cancelStroke();
+    this.hideEraserIndicator();
+    this.viewGesture = gesture;
+    this.targetElement.classList.add('pen-tool-panning');
+  };
+
+  /**
+   * Follow the pointers of the view gesture in progress
+   * @param {PointerEvent} event
+   */
+  PenTool.prototype.continueViewGesture = function(event) {
+    var gesture = this.viewGesture;
+    
+    if (gesture.type === 'pan') {
+      if (event.pointerId !== gesture.pointerId) return;
+      this.panBy(event.clientX - gesture.last[0], event.clientY - gesture.last[1]);
+      gesture.last = [event.clientX, event.clientY];
+      return;
+    }
+    
+    var a = this.touchPositions[gesture.pointerIds[0]];
+    var b = this.touchPositions[gesture.pointerIds[1]];
+    if (!a || !b) return;
+    
+    // The drawing point under the fingers when the pinch started stays under them
+    var rect = this.svg.getBoundingClientRect();
+    var start = gesture.view;
+    var center = [(a[0] + b[0]) / 2 - rect.left, (a[1] + b[1]) / 2 - rect.top];
+    var zoom = this.clampZoom(start.zoom * getDistance(a, b) / gesture.distance);
+    var startScale = start.zoom * this.contentScale;
+    var scale = zoom * this.contentScale;
+    var anchor = [(gesture.center[0] - start.x) / startScale, (gesture.center[1] - start.y) / startScale];
+    this.setView({ x: center[0] - anchor[0] * scale, y: center[1] - anchor[1] * scale, zoom: zoom });
+  };
+
+  /**
+   * Finish the view gesture in progress
+   */
+  PenTool.prototype.endViewGesture = function() {
+    this.viewGesture = null;
+    this.targetElement.classList.remove('pen-tool-panning');
+  };
+
+  /**
+   * Get the current view
+   * @returns {Object} { x, y, zoom }: a drawing point [px, py] shows at [px * scale + x, py * scale + y]
+   * in pixels from the top left corner of the drawing area, where scale is getViewScale()
+   */
+  PenTool.prototype.getView = function() {
+    return { x: this.view.x, y: this.view.y, zoom: this.view.zoom };
+  };
+
+  /**
+   * Move and scale the view
+   * Strokes are stored in drawing coordinates, so the view never changes the drawing.
+   * @param {Object} view - Any of { x, y, zoom }; the zoom is kept between minZoom and maxZoom
+   */
+  PenTool.prototype.setView = function(view) {
+    var next = {
+      x: Math.round((view.x !== undefined ? view.x : this.view.x) * 100) / 100,
+      y: Math.round((view.y !== undefined ? view.y : this.view.y) * 100) / 100,
+      zoom: this.clampZoom(view.zoom !== undefined ? view.zoom : this.view.zoom)
+    };
+    if (next.x === this.view.x && next.y === this.view.y && next.zoom === this.view.zoom) {
+      return;
+    }
+    
+    this.view = next;
+    this.applyView();
+    this.emit('viewchange', this.getView());
+  };
+
+  /**
+   * Zoom the view, keeping a point of the drawing area in place
+   * @param {number} zoom - New zoom, 1 is actual size
+   * @param {Array} [point] - [x, y] in pixels from the top left corner of the drawing area; defaults to its center
+   */
+  PenTool.prototype.zoomTo = function(zoom, point) {
+    if (typeof zoom !== 'number' || !(zoom > 0)) {
+      console.error('Invalid zoom: ' + zoom + '. It must be a positive number.');
+      return;
+    }
+    
+    if (!point && this.scrollContent) {
+      // The middle of the part of the content that is scrolled into view
+      var target = this.targetElement;
+      point = [target.scrollLeft + target.clientWidth / 2, target.scrollTop + target.clientHeight / 2];
+    } else if (!point) {
+      var size = this.getViewportSize();
+      point = [size.width / 2, size.height / 2];
+    }
+    
+    var view = this.view;
+    var scale = this.getViewScale();
+    var anchor = [(point[0] - view.x) / scale, (point[1] - view.y) / scale];
+    zoom = this.clampZoom(zoom);
+    scale = zoom * this.contentScale;
+    this.setView({ x: point[0] - anchor[0] * scale, y: point[1] - anchor[1] * scale, zoom: zoom });
+  };
+
+  /**
+   * Move the view
+   * @param {number} dx - Pixels to move the drawing right on screen
+   * @param {number} dy - Pixels to move the drawing down on screen
+   */
+  PenTool.prototype.panBy = function(dx, dy) {
+    this.setView({ x: this.view.x + dx, y: this.view.y + dy });
+  };
+
+  /**
+   * Go back to actual size (the whole viewBox, if set) with the drawing origin in the top left corner
+   */
+  PenTool.prototype.resetView = function() {
+    this.setView({ x: 0, y: 0, zoom: 1 });
+  };
+
+  /**
+   * Zoom and pan so the whole drawing fits the drawing area
+   * An empty drawing resets the view.
+   * @param {number} [padding=20] - Margin around the drawing, in pixels
+   */
+  PenTool.prototype.zoomToFit = function(padding) {
+    var bounds = this.getDrawingBounds();
+    if (!bounds) {
+      this.resetView();
+      return;
+    }
+    
+    padding = padding !== undefined ? padding : ZOOM_FIT_PADDING;
+    var size = this.getViewportSize();
+    var zoom = this.clampZoom(Math.min(
+      Math.max(size.width - padding * 2, 1) / Math.max(bounds.width, 1),
+      Math.max(size.height - padding * 2, 1) / Math.max(bounds.height, 1)
+    ) / this.contentScale);
+    var scale = zoom * this.contentScale;
+    this.setView({
+      x: size.width / 2 - (bounds.x + bounds.width / 2) * scale,
+      y: size.height / 2 - (bounds.y + bounds.height / 2) * scale,
+      zoom: zoom
+    });
+  };
+
+  /**
+   * Keep a zoom between the minZoom and maxZoom options
+   * @param {number} zoom
+   * @returns {number}
+   */
+  PenTool.prototype.clampZoom = function(zoom) {
+    return Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+  };
+
+  /**
+   * Get the size of the drawing area
+   * @returns {Object} { width, height } in pixels
+   */
+  PenTool.prototype.getViewportSize = function() {
+    var rect = (this.svg || this.targetElement).getBoundingClientRect();
+    return { width: rect.width, height: rect.height };
+  };
+
+  /**
+   * Get the number of screen pixels per drawing unit
+   * @returns {number} The zoom times the scale that fits the viewBox to the drawing area (1 without a viewBox)
+   */
+  PenTool.prototype.getViewScale = function() {
+    return this.view.zoom * this.contentScale;
+  };
+
+  /**
+   * Get the view as a transformation matrix from drawing to screen coordinates
+   * @returns {Array}
+   */
+  PenTool.prototype.getViewMatrix = function() {
+    var scale = this.getViewScale();
+    return [scale, 0, 0, scale, this.view.x, this.view.y];
+  };
+
+  /**
+   * Fit the viewBox to the current size of the drawing area
+   * The whole viewBox shows at zoom 1, anchored to the top left corner like the content
+   * beneath it, so strokes stay on what they mark when the drawing area resizes.
+   * A viewBox of 'auto' is fixed to the size of the drawing area the first time it is measured.
+   * @returns {boolean} Whether the scale changed
+   */
+  PenTool.prototype.updateContentScale = function() {
+    if (!this.svg) {
+      return false;
+    }
+    
+    // A hidden drawing area has no size; the last scale is kept until it shows again
+    var size = this.getViewportSize();
+    if (!(size.width > 0 && size.height > 0)) {
+      return false;
+    }
+    
+    if (this.viewBox === 'auto') {
+      this.viewBox = { width: formatCoordinate(size.width), height: formatCoordinate(size.height) };
+    }
+    var scale = this.viewBox ? Math.min(size.width / this.viewBox.width, size.height / this.viewBox.height) : 1;
+    if (scale === this.contentScale) {
+      return false;
+    }
+    
+    // The pan is in screen pixels, so it is scaled with the drawing to keep showing the same part of it
+    var ratio = scale / this.contentScale;
+    this.contentScale = scale;
+    this.view = {
+      x: formatCoordinate(this.view.x * ratio),
+      y: formatCoordinate(this.view.y * ratio),
+      zoom: this.view.zoom
+    };
+    this.applyView();
+    return true;
+  };
+
+  /**
+   * Handle the drawing area changing size
+   * With a viewBox the drawing is scaled to the new size; otherwise it keeps its size.
+   */
+  PenTool.prototype.handleResize = function() {
+    if (!this.svg) return;
+    
+    this.updateScrollArea();
+    var size = this.getViewportSize();
+    if (this.viewportSize && this.viewportSize.width === size.width && this.viewportSize.height === size.height) {
+      return;
+    }
+    this.viewportSize = size;
+    this.applyToolbarOffset();
+    
+    var scaled = this.updateContentScale();
+    this.emit('resize', { width: size.width, height: size.height, scale: this.contentScale });
+    if (scaled && (this.view.x !== 0 || this.view.y !== 0)) {
+      this.emit('viewchange', this.getView());
+    }
+  };
+
+  /**
+   * Size the SVG to the scrollable content of the target with the scrollContent option
+   * Otherwise it covers the visible area of the target.
+   */
+  PenTool.prototype.updateScrollArea = function() {
+    if (!this.svg) {
+      return;
+    }
+    
+    // Measured without the SVG so it doesn't hold the content at its old size
+    this.svg.style.width = '';
+    this.svg.style.height = '';
+    if (this.scrollContent) {
+      this.svg.style.width = this.targetElement.scrollWidth + 'px';
+      this.svg.style.height = this.targetElement.scrollHeight + 'px';
+    }
+  };
+
+  /**
+   * Keep the toolbar in view while the content of the target scrolls
+   * Positioned children scroll with the content; margins on every side move the toolbar
+   * back whichever edges it is anchored to.
+   */
+  PenTool.prototype.updateToolbarScroll = function() {
+    if (!this.toolbar) {
+      return;
+    }
+    
+    var top = this.scrollContent ? this.targetElement.scrollTop : 0;
+    var left = this.scrollContent ? this.targetElement.scrollLeft : 0;
+    this.toolbar.style.marginTop = top ? top + 'px' : '';
+    this.toolbar.style.marginBottom = top ? -top + 'px' : '';
+    this.toolbar.style.marginLeft = left ? left + 'px' : '';
+    this.toolbar.style.marginRight = left ? -left + 'px' : '';
+  };
+
+  /**
+   * Handle the content of the target scrolling
+   */
+  PenTool.prototype.handleScroll = function() {
+    if (!this.scrollContent) return;
+    
+    this.updateToolbarScroll();
+    
+    // Content loaded further down can make it bigger than the SVG without resizing the target
+    var size = this.viewportSize;
+    var target = this.targetElement;
+    if (!size || target.scrollWidth > Math.round(size.width) || target.scrollHeight > Math.round(size.height)) {
+      this.handleResize();
+    }
+    
+    // The content moves under a resting pointer, so the stroke follows it
+    if (this.isDrawing && this.autoScroll) {
+      this.extendStroke(this.getPointerSample(this.autoScroll.event));
+    }
+  };
+
+  /**
+   * Scroll the target while the pointer draws near its edges
+   * @param {PointerEvent} event - Latest pointer event of the stroke
+   */
+  PenTool.prototype.updateAutoScroll = function(event) {
+    var autoScroll = this.autoScroll;
+    var self = this;
+    autoScroll.event = event;
+    if (autoScroll.frame !== null) {
+      return;
+    }
+    
+    var step = function() {
+      autoScroll.frame = null;
+      if (self.autoScroll !== autoScroll) return;
+      
+      var velocity = self.getAutoScrollVelocity(autoScroll.event.clientX, autoScroll.event.clientY);
+      var target = self.targetElement;
+      var scrollLeft = target.scrollLeft;
+      var scrollTop = target.scrollTop;
+      target.scrollLeft += velocity[0];
+      target.scrollTop += velocity[1];
+      
+      // Keep going until the pointer leaves the edge or the content can't scroll further
+      if (target.scrollLeft !== scrollLeft || target.scrollTop !== scrollTop) {
+        autoScroll.frame = requestAnimationFrame(step);
+      }
+    };
+    
+    var velocity = this.getAutoScrollVelocity(event.clientX, event.clientY);
+    if (velocity[0] !== 0 || velocity[1] !== 0) {
+      autoScroll.frame = requestAnimationFrame(step);
+    }
+  };
+
+  /**
+   * Get how fast to auto-scroll for a pointer position
+   * The speed grows towards the edge of the visible area and is greatest outside it.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {Array} [dx, dy] in pixels per frame
+   */
+  PenTool.prototype.getAutoScrollVelocity = function(clientX, clientY) {
+    var target = this.targetElement;
+    var rect = target.getBoundingClientRect();
+    var left = rect.left + target.clientLeft;
+    var top = rect.top + target.clientTop;
+    
+    var speed = function(distanceToStart, distanceToEnd) {
+      if (distanceToStart < AUTO_SCROLL_EDGE) {
+        return -Math.ceil(AUTO_SCROLL_SPEED * (1 - Math.max(distanceToStart, 0) / AUTO_SCROLL_EDGE));
+      }
+      if (distanceToEnd < AUTO_SCROLL_EDGE) {
+        return Math.ceil(AUTO_SCROLL_SPEED * (1 - Math.max(distanceToEnd, 0) / AUTO_SCROLL_EDGE));
+      }
+      return 0;
+    };
+    
+    return [
+      speed(clientX - left, left + target.clientWidth - clientX),
+      speed(clientY - top, top + target.clientHeight - clientY)
+    ];
+  };
+
+  /**
+   * Stop auto-scrolling and following the scroll with the stroke
+   */
+  PenTool.prototype.stopAutoScroll = function() {
+    if (this.autoScroll && this.autoScroll.frame !== null) {
+      cancelAnimationFrame(this.autoScroll.frame);
+    }
+    this.autoScroll = null;
+  };
+
+  /**
+   * Move the ink, the selection box and the text box to the current view
+   */
+  PenTool.prototype.applyView = function() {
+    if (!this.viewport) {
+      return;
+    }
+    
+    var matrix = this.getViewMatrix();
+    if (isIdentityMatrix(matrix)) {
+      this.viewport.removeAttribute('transform');
+    } else {
+      this.viewport.setAttribute('transform', formatMatrix(matrix));
+    }
+    
+    // Handle sizes depend on the zoom
+    this.updateSelectionOverlay();
+    if (this.textEditor) {
+      this.updateTextEditor();
+    }
+    if (this.popovers.zoom) {
+      this.updateStyleControls();
+    }
+  };
+
+  /**
+   * Read the position and stylus data of a pointer event
+   * @param {PointerEvent} event - Pointer event or one of its coalesced events
+   * @returns {Object} { x, y, pressure, tiltX, tiltY, pointerType } with x and y in drawing coordinates
+   */
+  PenTool.prototype.getPointerSample = function(event) {
+    var rect = this.svg.getBoundingClientRect();
+    var view = this.view;
+    var scale = this.getViewScale();
+    
+    return {
+      x: formatCoordinate((event.clientX - rect.left - view.x) / scale),
+      y: formatCoordinate((event.clientY - rect.top - view.y) / scale),
+      pressure: event.pressure,
+      tiltX: event.tiltX || 0,
+      tiltY: event.tiltY || 0,
+      pointerType: event.pointerType,
+      shiftKey: !!event.shiftKey
+    };
+  };
+
+  /**
+   * Drawing tools by name, see PenTool.registerTool()
+   */
+  PenTool.tools = {};
+
+  /**
+   * Register a drawing tool
+   * All hooks are optional and run with the PenTool as this. Pointer samples are
+   * { x, y, pressure, tiltX, tiltY, pointerType, shiftKey } in drawing coordinates, and
+   * state is an empty object for each stroke that the tool can keep its state in.
+   * Tools are picked up by PenTools created after they are registered; registering
+   * a name again replaces the tool, except for the built-in tools, which can't be replaced.
+   * @param {string} name - Tool name for setActiveTool(), the toolbar items and stroke types
+   * @param {Object} tool
+   * @param {string|Function} [tool.icon] - SVG markup of the toolbar button, or a function returning it
+   * @param {string|Object} [tool.title] - Tooltip of the toolbar button: a message id of the locale packs (text
+   *   that is no message id is shown as it is), or text by locale such as { en: 'Laser', tr: 'Lazer' }
+   * @param {string} [tool.cursor] - CSS cursor over the drawing while the tool is active
+   * @param {Function} [tool.onStart] - (sample, state) when a stroke starts; tools without it don't draw
+   * @param {Function} [tool.onMove] - (sample, state) for each pointer move of the stroke
+   * @param {Function} [tool.onEnd] - (state) when the stroke ends, e.g. to call addStroke()
+   * @param {Function} [tool.onCancel] - (state) when the stroke is aborted, to remove what onStart added
+   * @param {Function} [tool.onActivate] - () when the tool is selected; may run again while it is active
+   * @param {Function} [tool.onDeactivate] - () when another tool is selected
+   * @param {Function} [tool.available] - () returning whether the tool can be used
+   * @param {Function} [tool.render] - (stroke) returning the SVG element of a stroke whose type is the tool name;
+   *   the stroke's points and width tell the area it covers for erasing and selecting
+   * @param {boolean} [tool.strokeEvents=true] - Whether its pointer gestures emit strokestart and strokemove;
+   *   false for tools that don't draw strokes, like select and text
+   * @returns {boolean} True if the tool was registered
+   */
+  PenTool.registerTool = function(name, tool) {
+    if (typeof name !== 'string' || name === '' || name === '|') {
+      console.error('Invalid tool name: ' + name + '. It must be a non-empty string.');
+      return false;
+    }
+    if (['stroke-eraser', 'zoom', 'color', 'width', 'undo', 'redo', 'clear', 'theme'].indexOf(name) !== -1) {
+      console.error('Invalid tool name: ' + name + '. It is the name of a toolbar item.');
+      return false;
+    }
+    if (BUILT_IN_TOOLS.indexOf(name) !== -1 && PenTool.tools.hasOwnProperty(name)) {
+      console.error('Tool ' + name + ' is a built-in tool and can\'t be replaced. Register the tool under another name.');
+      return false;
+    }
+    if (!tool || typeof tool !== 'object') {
+      console.error('Invalid tool ' + name + '. It must be an object.');
+      return false;
+    }
+    
+    var hooks = ['onStart', 'onMove', 'onEnd', 'onCancel', 'onActivate', 'onDeactivate', 'available', 'render'];
+    for (var i = 0; i < hooks.length; i++) {
+      if (tool[hooks[i]] !== undefined && typeof tool[hooks[i]] !== 'function') {
+        console.error('Invalid tool ' + name + '. Its ' + hooks[i] + ' must be a function.');
+        return false;
+      }
+    }
+    if (tool.title !== undefined && typeof tool.title !== 'string' && !(tool.title && typeof tool.title === 'object')) {
+      console.error('Invalid tool ' + name + '. Its title must be a string or an object with text by locale.');
+      return false;
+    }
+    if (tool.strokeEvents !== undefined && typeof tool.strokeEvents !== 'boolean') {
+      console.error('Invalid tool ' + name + '. Its strokeEvents must be a boolean.');
+      return false;
+    }
+    PenTool.tools[name] = tool;
+    return true;
+  };
+
+  /**
+   * Get the title of a registered tool in the current locale
+   * @param {string} name - Tool name
+   * @returns {string|null} The title, or null when the tool has none
+   */
+  PenTool.prototype.getToolTitle = function(name) {
+    var title = PenTool.tools.hasOwnProperty(name) ? PenTool.tools[name].title : null;
+    if (title && typeof title === 'object') {
+      return title[this.locale] || title[this.locale.split('-')[0]] || title.en || name;
+    }
+    return title ? this.t(title) : null;
+  };
+
+  /**
+   * Check whether a tool is registered and can be used with the current settings
+   * @param {string} name
+   * @returns {boolean}
+   */
+  PenTool.prototype.isToolAvailable = function(name) {
+    var tool = PenTool.tools.hasOwnProperty(name) ? PenTool.tools[name] : null;
+    return !!tool && (!tool.available || !!tool.available.call(this));
+  };
+
+  // Built-in tools
+
+  /**
+   * Start a pen, highlighter or shape stroke
+   * @param {Object} sample
+   */
+  function startInk(sample) {
+    if (this.drawingTool === 'shape') {
+      this.startShape(sample.x, sample.y);
+    } else {
+      this.startDrawing(sample.x, sample.y, this.getSamplePressure(sample));
+    }
+  }
+
+  /**
+   * Continue a pen, highlighter or shape stroke
+   * @param {Object} sample
+   */
+  function continueInk(sample) {
+    if (this.drawingTool === 'shape') {
+      this.continueShape(sample.x, sample.y, sample.shiftKey);
+    } else {
+      this.continueDrawing(sample.x, sample.y, this.getSamplePressure(sample));
+    }
+  }
+
+  /**
+   * Remove the path of an aborted pen, highlighter or shape stroke
+   */
+  function cancelInk() {
+    this.cancelScheduledOutlineUpdate();
+    if (this.currentPath && this.currentPath.parentNode) {
+      this.endSmartInkHold();
+      this.currentPath.parentNode.removeChild(this.currentPath);
+    }
+  }
+
+  PenTool.registerTool('pen', {
+    icon: function() { return this.getPenIcon(); },
+    onStart: startInk,
+    onMove: continueInk,
+    onEnd: function() { this.commitStroke(); },
+    onCancel: cancelInk
+  });
+
+  PenTool.registerTool('highlighter', {
+    icon: function() { return this.getHighlighterIcon(); },
+    onStart: startInk,
+    onMove: continueInk,
+    onEnd: function() { this.commitStroke(); },
+    onCancel: cancelInk
+  });
+
+  PenTool.registerTool('eraser', {
+    icon: function() { return this.getEraserIcon(); },
+    onStart: function(sample) {
+      if (this.eraserMode === 'stroke') {
+        this.startStrokeErasing(sample.x, sample.y);
+      } else {
+        this.startErasing(sample.x, sample.y);
+      }
+    },
+    onMove: function(sample) {
+      if (this.strokeEraserRemoved) {
+        this.continueStrokeErasing(sample.x, sample.y);
+      } else {
+        this.continueErasing(sample.x, sample.y);
+      }
+    },
+    onEnd: function() {
+      if (this.strokeEraserRemoved) {
+        this.finishStrokeErasing();
+      } else {
+        this.commitStroke();
+      }
+    },
+    onCancel: function() {
+      if (this.strokeEraserRemoved) {
+        // Bring back the strokes this gesture removed
+        this.strokes = this.strokes.concat(this.strokeEraserRemoved);
+        this.strokeEraserRemoved = null;
+        this.renderStrokes();
+      } else if (this.temporaryEraserStroke) {
+        this.cancelScheduledEraserUpdate();
+        this.unmountEraserStroke(this.temporaryEraserStroke);
+        this.strokes = this.strokes.filter(function(stroke) {
+          return !stroke.isTemporary;
+        });
+        this.temporaryEraserStroke = null;
+      }
+    },
+    onDeactivate: function() {
+      this.hideEraserIndicator();
+    }
+  });
+
+  PenTool.registerTool('hand', {
+    icon: function() { return this.getHandIcon(); },
+    available: function() { return this.isHandToolAvailable(); },
+    onActivate: function() {
+      // For hand tool, allow normal touch events to pass through for pan/zoom
+      this.svg.style.pointerEvents = 'none';
+      this.svg.style.touchAction = 'auto';
+      // Add hand tool CSS class for visual feedback
+      this.targetElement.classList.add('pen-tool-hand-mode');
+    },
+    onDeactivate: function() {
+      this.targetElement.classList.remove('pen-tool-hand-mode');
+    }
+  });
+
+  PenTool.registerTool('select', {
+    icon: function() { return this.getSelectIcon(this.selectionMode); },
+    strokeEvents: false,
+    onStart: function(sample) {
+      this.startSelecting(sample.x, sample.y, sample.shiftKey);
+    },
+    onMove: function(sample) {
+      this.continueSelecting(sample.x, sample.y, sample.shiftKey);
+    },
+    onEnd: function() {
+      this.isDrawing = false;
+      this.drawingTool = null;
+      this.finishSelecting();
+    },
+    onCancel: function() {
+      if (this.selectionDrag) {
+        this.cancelSelecting();
+      }
+    }
+  });
+
+  PenTool.registerTool('shape', {
+    icon: function() { return this.getShapeIcon(this.shapeType); },
+    onStart: startInk,
+    onMove: continueInk,
+    onEnd: function() {
+      if (this.isEmptyShape()) {
+        // A click without dragging draws nothing
+        this.cancelStroke();
+      } else {
+        this.commitStroke();
+      }
+    },
+    onCancel: cancelInk
+  });
+
+  PenTool.registerTool('text', {
+    icon: function() { return this.getTextIcon(); },
+    strokeEvents: false,
+    onStart: function(sample) {
+      this.currentPoints = [[sample.x, sample.y]];
+    },
+    onEnd: function() {
+      // The text box opens on release so the click doesn't take the focus away from it
+      var point = this.currentPoints[0];
+      this.isDrawing = false;
+      this.drawingTool = null;
+      this.currentPoints = [];
+      this.editTextAt(point[0], point[1]);
+    },
+    onActivate: function() {
+      // Text cursor over the drawing while the text tool is active
+      this.targetElement.classList.add('pen-tool-text-mode');
+    },
+    onDeactivate: function() {
+      this.targetElement.classList.remove('pen-tool-text-mode');
+    }
+  });
+
+  /**
+   * Start a stroke with the current tool
+   * @param {Object} sample - Pointer sample from getPointerSample()
+   */
+  PenTool.prototype.beginStroke = function(sample) {
+    this.isDrawing = true;
+    this.drawingTool = this.currentTool;
+    this.toolState = {}; // Scratch space of the tool for this stroke
+    
+    var tool = PenTool.tools[this.drawingTool];
+    tool.onStart.call(this, sample, this.toolState);
+    
+    if (tool.strokeEvents !== false) {
+      this.emit('strokestart', this.getSamplePayload(sample));
+    }
+  };
+
+  /**
+   * Add a point to the stroke in progress
+   * @param {Object} sample - Pointer sample from getPointerSample()
+   */
+  PenTool.prototype.extendStroke = function(sample) {
+    var tool = PenTool.tools[this.drawingTool];
+    if (tool.onMove) {
+      tool.onMove.call(this, sample, this.toolState);
+    }
+    
+    if (tool.strokeEvents !== false) {
+      this.emit('strokemove', this.getSamplePayload(sample));
+    }
+  };
+
+  /**
+   * Get the pressure to store with a point of the stroke in progress
+   * @param {Object} sample - Pointer sample from getPointerSample()
+   * @returns {number|undefined} Pressure, or undefined when it should not be stored
+   */
+  PenTool.prototype.getSamplePressure = function(sample) {
+    // Only styluses report meaningful pressure; mouse and touch report a constant.
+    // Highlighters have a constant width, so they ignore it.
+    if (sample.pointerType !== 'pen' || this.drawingTool === 'highlighter') {
+      return undefined;
+    }
+    return sample.pressure;
+  };
+
+  /**
+   * Build the strokestart/strokemove event payload for a pointer sample
+   * @param {Object} sample - Pointer sample from getPointerSample()
+   * @returns {Object} { tool, point, pressure, tiltX, tiltY, pointerType }
+   */
+  PenTool.prototype.getSamplePayload = function(sample) {
+    return {
+      tool: this.drawingTool,
+      point: [sample.x, sample.y],
+      pressure: sample.pressure,
+      tiltX: sample.tiltX,
+      tiltY: sample.tiltY,
+      pointerType: sample.pointerType
+    };
+  };
+
+  /**
+   * Abort the stroke in progress without committing it
+   */
+  PenTool.prototype.cancelStroke = function() {
+    if (!this.isDrawing) return;
+    
+    this.stopAutoScroll();
+    var tool = PenTool.tools[this.drawingTool];
+    if (tool.onCancel) {
+      tool.onCancel.call(this, this.toolState);
+    }
+    
+    this.isDrawing = false;
+    this.drawingTool = null;
+    this.toolState = null;
+    this.currentPath = null;
+    this.currentPoints = [];
+    this.activePointerId = null;
+    this.drawingPointerType = null;
+    this.hideEraserIndicator();
+  };
+
+  /**
+   * Finish the stroke that is being drawn with the current tool
+   */
+  PenTool.prototype.handleDrawEnd = function() {
+    if (!this.isDrawing) return;
+    
+    this.stopAutoScroll();
+    var tool = PenTool.tools[this.drawingTool];
+    if (tool.onEnd) {
+      tool.onEnd.call(this, this.toolState);
+    }
+    
+    this.isDrawing = false;
+    this.drawingTool = null;
+    this.toolState = null;
+    this.currentPath = null;
+    this.currentPoints = [];
+    this.currentStrokeStyle = null;
+    this.hideEraserIndicator();
+  };
+
+  /**
+   * Add the path drawn with the pen, highlighter, shape tool or pixel eraser to the drawing
+   */
+  PenTool.prototype.commitStroke = function() {
+    if (!this.currentPath) return;
+    
+    var style = this.currentStrokeStyle;
+    var stroke;
+    
+    if (this.temporaryEraserStroke) {
+      // The live eraser is already mounted and becomes the final stroke,
+      // keeping the timestamp it started with
+      stroke = this.temporaryEraserStroke;
+      this.temporaryEraserStroke = null;
+      this.cancelScheduledEraserUpdate();
+      this.applyEraserStroke(stroke);
+      delete stroke.isTemporary;
+      if (style.smoothing !== 'none') {
+        stroke.smoothing = style.smoothing;
+      }
+    } else {
+      // A variable width outline still waiting for its frame is brought up to date
+      if (this.pendingOutlineFrame) {
+        this.cancelScheduledOutlineUpdate();
+        this.updateLiveOutline();
+      }
+      
+      // Add the completed stroke to our strokes array with the current timestamp
+      stroke = {
+        id: nextStrokeId(),
+        type: this.drawingTool,
+        element: this.currentPath,
+        timestamp: Date.now(),
+        points: this.currentPoints,
+        color: style.color,
+        width: style.width
+      };
+      if (style.opacity < 1 || stroke.type === 'highlighter') {
+        stroke.opacity = style.opacity;
+      }
+      if (style.variableWidth) {
+        stroke.variableWidth = style.variableWidth;
+      }
+      if (style.smoothing !== 'none' && !style.variableWidth) {
+        stroke.smoothing = style.smoothing;
+      }
+      if (stroke.type === 'shape') {
+        stroke.shape = style.shape;
+        if (style.shape === 'arrow') {
+          stroke.arrowHeads = style.arrowHeads;
+        }
+      }
+    
+      if (style.smartInk) {
+        // With a hold time only strokes that were held still get snapped
+        var recognition = this.smartInkHold ? this.endSmartInkHold() : recognizeShape(stroke.points);
+        if (recognition) {
+          stroke = this.createRecognizedStroke(stroke, recognition);
+        }
+      }
+    }
+    
+    // Drop redundant points; variable width outlines depend on the raw
+    // sampling (streamline, simulated pressure), so they are left untouched.
+    // The eraser's masks reference its path, so they follow the new shape.
+    if (this.simplifyTolerance > 0 && !style.variableWidth && stroke.type !== 'shape') {
+      stroke.points = simplifyPoints(stroke.points, this.simplifyTolerance);
+      stroke.element.setAttribute('d', this.buildPathData(stroke.points, stroke.smoothing));
+      delete stroke.bounds;
+    }
+    
+    var change = { added: [stroke], removed: [] };
+    if (isInkStroke(stroke)) {
+      this.strokes.push(stroke);
+      this.mountInkStroke(stroke);
+    } else if (style.split) {
+      // The eraser is replaced by the pieces of the strokes it cut
+      change = this.splitStrokesWithEraser(stroke);
+    }
+    
+    // Make the change undoable
+    var changed = change.added.length > 0 || change.removed.length > 0;
+    if (changed) {
+      this.recordHistory(change);
+    }
+    
+    var serialize = function(strokes) {
+      return strokes.map(function(entry) {
+        return PenTool.serializeStroke(entry);
+      });
+    };
+    if (style.split) {
+      // The eraser is not part of the drawing, so listeners get what it changed instead
+      if (changed) {
+        this.emit('erase', { eraser: null, removed: serialize(change.removed), added: serialize(change.added) });
+      }
+    } else {
+      var strokeData = PenTool.serializeStroke(stroke);
+      this.emit('strokeend', { stroke: strokeData });
+      if (stroke.type === 'eraser') {
+        this.emit('erase', { eraser: strokeData, removed: [], added: [] });
+      }
+    }
+    if (changed) {
+      this.emit('change', { reason: stroke.type === 'eraser' ? 'erase' : 'stroke' });
+    }
+  };
+
+  /**
+   * Start drawing at the specified coordinates
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [pressure] - Stylus pressure between 0 and 1, omitted for mouse and touch
+   */
+  PenTool.prototype.startDrawing = function(x, y, pressure) {
+    var style;
+    
+    // Remember the style so option changes mid-stroke don't affect this stroke
+    if (this.drawingTool === 'highlighter') {
+      style = {
+        color: this.highlighterColor,
+        width: this.highlighterWidth,
+        opacity: this.highlighterOpacity,
+        variableWidth: null,
+        smoothing: this.smoothing
+      };
+      this.currentPath = this.createHighlighterPath(style.color, style.width);
+    } else {
+      style = {
+        color: this.lineColor,
+        width: this.lineWidth,
+        opacity: this.lineOpacity,
+        variableWidth: this.variableWidth,
+        smoothing: this.smoothing,
+        smartInk: this.smartInk
+      };
+      this.currentPath = this.createPenPath(style.color, style.width, style.variableWidth, style.opacity);
+    }
+    this.currentStrokeStyle = style;
+    
+    if (style.smartInk && this.smartInkHoldTime > 0) {
+      this.smartInkHold = { timer: null, anchor: null, recognition: null, preview: null };
+      this.restartSmartInkHold(x, y);
+    }
+    
+    this.currentPoints = [pressure !== undefined ? [x, y, pressure] : [x, y]];
+    if (style.variableWidth) {
+      this.currentPath.setAttribute('d', buildOutlinePathData(this.currentPoints, style.width, style.variableWidth));
+    } else {
+      this.currentPathData = 'M ' + x + ' ' + y;
+      this.currentPath.setAttribute('d', this.currentPathData);
+    }
+    
+    // Add to our drawing container; highlighters go to the group with their opacity
+    if (this.drawingTool === 'highlighter') {
+      this.getHighlighterGroup(style.opacity).appendChild(this.currentPath);
+    } else {
+      this.drawingContainer.appendChild(this.currentPath);
+    }
+  };
+
+  /**
+   * Create the SVG path element used for a pen stroke
+   * @param {string} color - Stroke color
+   * @param {number} width - Stroke width
+   * @param {Object|null} [variableWidth] - Variable width settings; the path is then a filled outline
+   * @param {number} [opacity=1] - Stroke opacity between 0 and 1
+   * @returns {SVGPathElement} The new, empty path element
+   */
+  PenTool.prototype.createPenPath = function(color, width, variableWidth, opacity) {
+    var path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    if (variableWidth) {
+      path.setAttribute('fill', color);
+      path.setAttribute('stroke', 'none');
+    } else {
+      path.setAttribute('stroke', color);
+      path.setAttribute('stroke-width', width.toString());
+      path.setAttribute('fill', 'none');
+      path.setAttribute('stroke-linecap', 'round');
+      path.setAttribute('stroke-linejoin', 'round');
+    }
+    if (opacity !== undefined && opacity < 1) {
+      path.setAttribute('opacity', opacity.toString());
+    }
+    path.style.pointerEvents = 'none'; // Prevent paths from blocking touch events
+    path.setAttribute('pointer-events', 'none');
+    return path;
+  };
+
+  /**
+   * Create the SVG path element used for a highlighter stroke
+   * The path itself is opaque; the opacity is applied to the group holding all
+   * highlighters of that opacity, so overlapping strokes don't get darker.
+   * @param {string} color - Stroke color
+   * @param {number} width - Stroke width
+   * @returns {SVGPathElement} The new, empty path element
+   */
+  PenTool.prototype.createHighlighterPath = function(color, width) {
+    var path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('stroke', color);
+    path.setAttribute('stroke-width', width.toString());
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke-linecap', 'butt'); // Flat ends like a chisel tip
+    path.setAttribute('stroke-linejoin', 'round');
+    path.style.pointerEvents = 'none';
+    path.setAttribute('pointer-events', 'none');
+    return path;
+  };
+
+  /**
+   * Get the group that renders highlighters of the given opacity, creating it if needed
+   * @param {number} opacity
+   * @returns {SVGGElement}
+   */
+  PenTool.prototype.getHighlighterGroup = function(opacity) {
+    var key = opacity.toString();
+    if (!this.highlighterGroups[key]) {
+      var group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      group.setAttribute('opacity', key);
+      this.highlighterContainer.appendChild(group);
+      this.highlighterGroups[key] = group;
+    }
+    return this.highlighterGroups[key];
+  };
+
+  /**
+   * Create the SVG path element used for an eraser stroke
+   * @param {number} width - Eraser width
+   * @returns {SVGPathElement} The new, empty path element
+   */
+  PenTool.prototype.createEraserPath = function(width) {
+    var path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('class', 'eraser-path');
+    path.setAttribute('stroke-width', width.toString());
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke-linecap', 'round');
+    path.setAttribute('stroke-linejoin', 'round');
+    path.style.pointerEvents = 'none'; // Prevent eraser paths from blocking touch events
+    path.setAttribute('pointer-events', 'none');
+    return path;
+  };
+
+  /**
+   * Build SVG path data from a list of [x, y] points
+   * @param {Array} points - Stroke points
+   * @param {string} [smoothing='none'] - 'none' (straight segments), 'quadratic' or 'catmull-rom'
+   * @returns {string} Path data for the "d" attribute
+   */
+  PenTool.prototype.buildPathData = function(points, smoothing) {
+    if (points.length === 0) {
+      return '';
+    }
+    
+    var pathData = 'M ' + points[0][0] + ' ' + points[0][1];
+    var last = points.length - 1;
+    var i;
+    
+    if (smoothing === 'quadratic' && points.length > 2) {
+      for (i = 1; i < last; i++) {
+        pathData += quadraticSegment(points, i);
+      }
+      pathData += ' L ' + points[last][0] + ' ' + points[last][1];
+    } else if (smoothing === 'catmull-rom') {
+      for (i = 0; i < last; i++) {
+        pathData += catmullRomSegment(points, i);
+      }
+    } else {
+      for (i = 1; i <= last; i++) {
+        pathData += ' L ' + points[i][0] + ' ' + points[i][1];
+      }
+    }
+    
+    return pathData;
+  };
+
+  /**
+   * Extend the live path data after a point was added to this.currentPoints
+   * Segments that can no longer change are appended to this.currentPathData so
+   * only the last (still moving) segment is rebuilt for every new point.
+   * @returns {string} Path data for the whole stroke so far
+   */
+  PenTool.prototype.advanceLivePathData = function() {
+    var points = this.currentPoints;
+    var last = points.length - 1;
+    var smoothing = this.currentStrokeStyle.smoothing;
+    
+    if (smoothing === 'quadratic') {
+      if (last >= 2) {
+        this.currentPathData += quadraticSegment(points, last - 1);
+      }
+      return this.currentPathData + ' L ' + points[last][0] + ' ' + points[last][1];
+    }
+    
+    if (smoothing === 'catmull-rom') {
+      if (last >= 2) {
+        this.currentPathData += catmullRomSegment(points, last - 2);
+      }
+      return this.currentPathData + catmullRomSegment(points, last - 1);
+    }
+    
+    this.currentPathData += ' L ' + points[last][0] + ' ' + points[last][1];
+    return this.currentPathData;
+  };
+
+  /**
+   * Continue drawing to the specified coordinates
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [pressure] - Stylus pressure between 0 and 1, omitted for mouse and touch
+   */
+  PenTool.prototype.continueDrawing = function(x, y, pressure) {
+    if (!this.currentPath) return;
+    
+    this.currentPoints.push(pressure !== undefined ? [x, y, pressure] : [x, y]);
+    
+    if (this.smartInkHold && getDistance(this.smartInkHold.anchor, [x, y]) > SMART_INK_HOLD_SLOP) {
+      this.restartSmartInkHold(x, y);
+    }
+    
+    if (this.currentStrokeStyle.variableWidth) {
+      // The outline depends on the whole stroke (tapers, streamlining), so it is rebuilt at most once a frame
+      this.scheduleOutlineUpdate();
+      return;
+    }
+    
+    this.currentPath.setAttribute('d', this.advanceLivePathData());
+  };
+
+  /**
+   * Rebuild the outline of the variable width stroke being drawn on the next animation frame
+   * Pointer moves between frames only add points, so long strokes don't rebuild once per move.
+   */
+  PenTool.prototype.scheduleOutlineUpdate = function() {
+    if (this.pendingOutlineFrame) {
+      return;
+    }
+    
+    var self = this;
+    var requestFrame = window.requestAnimationFrame || function(callback) {
+      return window.setTimeout(callback, 16);
+    };
+    
+    this.pendingOutlineFrame = requestFrame(function() {
+      self.pendingOutlineFrame = null;
+      self.updateLiveOutline();
+    });
+  };
+
+  /**
+   * Cancel a pending scheduleOutlineUpdate()
+   */
+  PenTool.prototype.cancelScheduledOutlineUpdate = function() {
+    if (!this.pendingOutlineFrame) {
+      return;
+    }
+    
+    var cancelFrame = window.cancelAnimationFrame || window.clearTimeout;
+    cancelFrame(this.pendingOutlineFrame);
+    this.pendingOutlineFrame = null;
+  };
+
+  /**
+   * Build the outline of the variable width stroke being drawn from all its points
+   */
+  PenTool.prototype.updateLiveOutline = function() {
+    var style = this.currentStrokeStyle;
+    if (this.currentPath && style && style.variableWidth) {
+      this.currentPath.setAttribute('d', buildOutlinePathData(this.currentPoints, style.width, style.variableWidth));
+    }
+  };
+
+  /**
+   * Wait for the pointer to rest at a new position before smart ink snaps
+   * Moving on after a snap brings the freehand stroke back.
+   * @param {number} x
+   * @param {number} y
+   */
+  PenTool.prototype.restartSmartInkHold = function(x, y) {
+    var self = this;
+    var hold = this.smartInkHold;
+    
+    clearTimeout(hold.timer);
+    this.clearSmartInkPreview();
+    hold.anchor = [x, y];
+    hold.timer = setTimeout(function() {
+      hold.timer = null;
+      hold.recognition = recognizeShape(self.currentPoints);
+      if (hold.recognition) {
+        self.showSmartInkPreview(hold.recognition);
+      }
+    }, this.smartInkHoldTime);
+  };
+
+  /**
+   * Show the recognized shape in place of the freehand stroke being held
+   * @param {Object} recognition - Result of recognizeShape()
+   */
+  PenTool.prototype.showSmartInkPreview = function(recognition) {
+    var style = this.currentStrokeStyle;
+    var preview = this.createPenPath(style.color, style.width, null, style.opacity);
+    preview.setAttribute('d', buildShapePathData({
+      shape: recognition.shape,
+      points: recognition.points,
+      arrowHeads: recognition.arrowHeads,
+      width: style.width
+    }));
+    this.currentPath.style.display = 'none';
+    this.drawingContainer.appendChild(preview);
+    this.smartInkHold.preview = preview;
+    
+    this.emit('shaperecognize', { recognized: recognition.recognized });
+  };
+
+  /**
+   * Remove the smart ink shape preview and show the freehand stroke again
+   */
+  PenTool.prototype.clearSmartInkPreview = function() {
+    var hold = this.smartInkHold;
+    if (hold.preview && hold.preview.parentNode) {
+      hold.preview.parentNode.removeChild(hold.preview);
+    }
+    hold.preview = null;
+    hold.recognition = null;
+    if (this.currentPath) {
+      this.currentPath.style.display = '';
+    }
+  };
+
+  /**
+   * Stop waiting for a smart ink hold
+   * @returns {Object|null} The shape recognized during the hold, if the stroke was snapped
+   */
+  PenTool.prototype.endSmartInkHold = function() {
+    var hold = this.smartInkHold;
+    if (!hold) {
+      return null;
+    }
+    
+    var recognition = hold.recognition;
+    clearTimeout(hold.timer);
+    this.clearSmartInkPreview();
+    this.smartInkHold = null;
+    return recognition;
+  };
+
+  /**
+   * Replace a finished freehand pen stroke with the shape smart ink recognized in it
+   * @param {Object} stroke - The pen stroke, not added to the drawing yet
+   * @param {Object} recognition - Result of recognizeShape()
+   * @returns {Object} The shape stroke, which keeps the pen stroke's timestamp and style
+   */
+  PenTool.prototype.createRecognizedStroke = function(stroke, recognition) {
+    var strokeData = {
+      type: 'shape',
+      timestamp: stroke.timestamp,
+      points: recognition.points,
+      shape: recognition.shape,
+      color: stroke.color,
+      width: stroke.width,
+      recognized: recognition.recognized
+    };
+    if (recognition.arrowHeads) {
+      strokeData.arrowHeads = recognition.arrowHeads;
+    }
+    if (stroke.opacity !== undefined) {
+      strokeData.opacity = stroke.opacity;
+    }
+    
+    if (stroke.element.parentNode) {
+      stroke.element.parentNode.removeChild(stroke.element);
+    }
+    return this.createStroke(strokeData);
+  };
+
+  /**
+   * Edit the text annotation at a point, or start a new one there
+   * @param {number} x
+   * @param {number} y
+   */
+  PenTool.prototype.editTextAt = function(x, y) {
+    // The topmost text wins where annotations overlap
+    for (var i = this.strokes.length - 1; i >= 0; i--) {
+      var stroke = this.strokes[i];
+      if (stroke.type === 'text' && boundsIntersect(getStrokeBounds(stroke), { minX: x, minY: y, maxX: x, maxY: y })) {
+        this.openTextEditor(stroke);
+        return;
+      }
+    }
+    this.openTextEditor(null, x, y);
+  };
+
+  /**
+   * Show a text box for typing an annotation
+   * Any other open text box is committed first.
+   * @param {Object|null} stroke - Text stroke to edit, or null for a new annotation
+   * @param {number} [x] - Top left corner of a new annotation
+   * @param {number} [y]
+   */
+  PenTool.prototype.openTextEditor = function(stroke, x, y) {
+    var self = this;
+    this.commitTextEditor();
+    
+    var textarea = document.createElement('textarea');
+    textarea.className = 'pen-tool-text-editor';
+    textarea.setAttribute('wrap', 'off');
+    textarea.style.zIndex = (this.zIndex + 1).toString();
+    
+    var editor = {
+      textarea: textarea,
+      stroke: stroke,
+      point: stroke ? stroke.points[0].slice() : [x, y],
+      style: stroke ? {
+        color: stroke.color,
+        opacity: stroke.opacity !== undefined ? stroke.opacity : 1,
+        fontSize: stroke.fontSize,
+        bold: !!stroke.bold
+      } : {
+        color: this.lineColor,
+        opacity: this.lineOpacity,
+        fontSize: this.fontSize,
+        bold: this.fontBold
+      }
+    };
+    this.textEditor = editor;
+    
+    if (stroke) {
+      // The text box takes the place of the annotation while it is edited
+      textarea.value = stroke.text;
+      stroke.node.style.display = 'none';
+    }
+    
+    textarea.addEventListener('input', function() {
+      self.updateTextEditor();
+    });
+    textarea.addEventListener('keydown', function(e) {
+      // Keep typing from reaching shortcuts of the page
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        self.cancelTextEditor();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        self.commitTextEditor();
+      }
+    });
+    
+    // Commit when the user interacts with anything but the text box and the toolbar,
+    // so the popovers can still restyle the text being typed
+    this.boundHandleTextEditorPointerDown = function(e) {
+      if (e.target !== textarea && !(self.toolbar && self.toolbar.contains(e.target))) {
+        self.commitTextEditor();
+      }
+    };
+    document.addEventListener('pointerdown', this.boundHandleTextEditorPointerDown, true);
+    
+    this.targetElement.appendChild(textarea);
+    this.updateTextEditor();
+    textarea.focus();
+  };
+
+  /**
+   * Apply the text style to the open text box and fit it to its content
+   */
+  PenTool.prototype.updateTextEditor = function() {
+    var editor = this.textEditor;
+    var textarea = editor.textarea;
+    var style = editor.style;
+    
+    // Text is edited where it shows: moved, turned and scaled like it, and zoomed with the view
+    var matrix = this.getViewMatrix();
+    if (editor.stroke) {
+      matrix = multiplyMatrices(matrix, getStrokeMatrix(editor.stroke));
+    }
+    var origin = transformPoint(matrix, editor.point);
+    textarea.style.left = origin[0] + 'px';
+    textarea.style.top = origin[1] + 'px';
+    textarea.style.transformOrigin = '0 0';
+    textarea.style.transform = isIdentityMatrix(matrix) ? '' : 'matrix(' + roundMatrix(matrix).slice(0, 4).join(', ') + ', 0, 0)';
+    textarea.style.fontFamily = TEXT_FONT_FAMILY;
+    textarea.style.fontSize = style.fontSize + 'px';
+    textarea.style.fontWeight = style.bold ? 'bold' : 'normal';
+    textarea.style.lineHeight = TEXT_LINE_HEIGHT.toString();
+    textarea.style.color = style.color;
+    textarea.style.opacity = style.opacity.toString();
+    
+    var lines = textarea.value.split('\n');
+    textarea.style.height = (lines.length * style.fontSize * TEXT_LINE_HEIGHT) + 'px';
+    textarea.style.width = '0';
+    textarea.style.width = Math.max(textarea.scrollWidth, style.fontSize) + 'px';
+  };
+
+  /**
+   * Close the open text box and add, update or remove its annotation
+   * Emptying the text of an existing annotation removes it.
+   */
+  PenTool.prototype.commitTextEditor = function() {
+    var editor = this.closeTextEditor();
+    if (!editor) {
+      return;
+    }
+    
+    var original = editor.stroke;
+    var style = editor.style;
+    var text = editor.textarea.value.replace(/\s+$/, '');
+    if (original) {
+      original.node.style.display = '';
+      var unchanged = text === original.text && style.color === original.color &&
+        style.fontSize === original.fontSize && style.bold === !!original.bold &&
+        style.opacity === (original.opacity !== undefined ? original.opacity : 1);
+      if (unchanged) {
+        return;
+      }
+    } else if (text === '') {
+      return;
+    }
+    
+    var added = [];
+    if (text !== '') {
+      // Edited annotations keep their timestamp so erasers still apply to them
+      var strokeData = {
+        type: 'text',
+        timestamp: original ? original.timestamp : Date.now(),
+        points: [editor.point],
+        text: text,
+        fontSize: style.fontSize,
+        color: style.color
+      };
+      if (style.bold) {
+        strokeData.bold = true;
+      }
+      if (style.opacity < 1) {
+        strokeData.opacity = style.opacity;
+      }
+      if (original && original.transforms) {
+        strokeData.transforms = PenTool.serializeStroke(original).transforms;
+      }
+      added.push(this.createStroke(strokeData));
+    }
+    
+    var removed = original ? [original] : [];
+    if (original) {
+      this.applyStrokeChange(removed, added);
+    } else {
+      this.strokes.push(added[0]);
+      this.mountInkStroke(added[0]);
+    }
+    this.recordHistory({ added: added, removed: removed });
+    
+    if (added.length > 0) {
+      this.emit('strokeend', { stroke: PenTool.serializeStroke(added[0]) });
+    }
+    this.emit('change', { reason: original ? 'edit' : 'stroke' });
+  };
+
+  /**
+   * Close the open text box and drop what was typed
+   */
+  PenTool.prototype.cancelTextEditor = function() {
+    var editor = this.closeTextEditor();
+    if (editor && editor.stroke) {
+      editor.stroke.node.style.display = '';
+    }
+  };
+
+  /**
+   * Remove the open text box and its outside-click listener
+   * @returns {Object|null} The editor state that was open
+   */
+  PenTool.prototype.closeTextEditor = function() {
+    var editor = this.textEditor;
+    if (!editor) {
+      return null;
+    }
+    
+    this.textEditor = null;
+    document.removeEventListener('pointerdown', this.boundHandleTextEditorPointerDown, true);
+    this.boundHandleTextEditorPointerDown = null;
+    if (editor.textarea.parentNode) {
+      editor.textarea.parentNode.removeChild(editor.textarea);
+    }
+    return editor;
+  };
+
+  /**
+   * Create the SVG text element of a text annotation, one tspan per line
+   * @param {Object} stroke - Stroke with type 'text'
+   * @returns {SVGTextElement}
+   */
+  PenTool.prototype.createTextElement = function(stroke) {
+    var svgNS = 'http://www.w3.org/2000/svg';
+    var text = document.createElementNS(svgNS, 'text');
+    text.setAttribute('font-family', TEXT_FONT_FAMILY);
+    text.setAttribute('font-size', stroke.fontSize.toString());
+    if (stroke.bold) {
+      text.setAttribute('font-weight', 'bold');
+    }
+    text.setAttribute('fill', stroke.color);
+    if (stroke.opacity !== undefined && stroke.opacity < 1) {
+      text.setAttribute('opacity', stroke.opacity.toString());
+    }
+    text.setAttribute('xml:space', 'preserve');
+    
+    var lines = stroke.text.split('\n');
+    for (var i = 0; i < lines.length; i++) {
+      var tspan = document.createElementNS(svgNS, 'tspan');
+      tspan.setAttribute('x', stroke.points[0][0].toString());
+      // The baseline sits about 80% down each line, where the text box puts it
+      tspan.setAttribute('y', formatCoordinate(stroke.points[0][1] + (i + 0.8) * stroke.fontSize * TEXT_LINE_HEIGHT).toString());
+      tspan.textContent = lines[i];
+      text.appendChild(tspan);
+    }
+    
+    text.style.pointerEvents = 'none';
+    text.setAttribute('pointer-events', 'none');
+    return text;
+  };
+
+  /**
+   * Start a shape at the specified coordinates
+   * The shape is previewed while dragging and spans from here to the release point.
+   * @param {number} x
+   * @param {number} y
+   */
+  PenTool.prototype.startShape = function(x, y) {
+    // Shapes use the pen's color, width and opacity
+    this.currentStrokeStyle = {
+      color: this.lineColor,
+      width: this.lineWidth,
+      opacity: this.lineOpacity,
+      variableWidth: null,
+      smoothing: 'none',
+      shape: this.shapeType,
+      arrowHeads: this.arrowHeads
+    };
+    this.currentPath = this.createPenPath(this.lineColor, this.lineWidth, null, this.lineOpacity);
+    this.currentPoints = [[x, y], [x, y]];
+    this.updateShapePreview();
+    
+    this.drawingContainer.appendChild(this.currentPath);
+  };
+
+  /**
+   * Move the dragged corner of the shape in progress
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} [constrain] - Snap lines to 45° and keep a 1:1 aspect ratio (Shift)
+   */
+  PenTool.prototype.continueShape = function(x, y, constrain) {
+    if (!this.currentPath) return;
+    
+    var start = this.currentPoints[0];
+    this.currentPoints[1] = constrain ? constrainShapePoint(this.currentStrokeStyle.shape, start, [x, y]) : [x, y];
+    this.updateShapePreview();
+  };
+
+  /**
+   * Redraw the rubber-band preview of the shape in progress
+   */
+  PenTool.prototype.updateShapePreview = function() {
+    var style = this.currentStrokeStyle;
+    this.currentPath.setAttribute('d', buildShapePathData({
+      type: 'shape',
+      shape: style.shape,
+      arrowHeads: style.arrowHeads,
+      width: style.width,
+      points: this.currentPoints
+    }));
+  };
+
+  /**
+   * Check whether the shape in progress has no size yet
+   * @returns {boolean}
+   */
+  PenTool.prototype.isEmptyShape = function() {
+    var start = this.currentPoints[0];
+    var end = this.currentPoints[1];
+    if (!start || !end) {
+      return true;
+    }
+    if (this.currentStrokeStyle.shape === 'line' || this.currentStrokeStyle.shape === 'arrow') {
+      return start[0] === end[0] && start[1] === end[1];
+    }
+    return start[0] === end[0] || start[1] === end[1];
+  };
+
+  /**
+   * Start erasing at the specified coordinates
+   */
+  PenTool.prototype.startErasing = function(x, y) {
+    this.showEraserIndicator(x, y);
+    
+    this.currentStrokeStyle = {
+      width: this.eraserWidth,
+      smoothing: this.smoothing,
+      split: this.splitOnErase
+    };
+    
+    // Create a new eraser path (invisible, just for tracking)
+    this.currentPath = this.createEraserPath(this.eraserWidth);
+    
+    this.currentPoints = [[x, y]];
+    this.currentPathData = 'M ' + x + ' ' + y;
+    this.currentPath.setAttribute('d', this.currentPathData);
+    
+    // Create a temporary eraser stroke for live erasing; it shares the
+    // current points, so it grows as the pointer moves
+    this.temporaryEraserStroke = {
+      id: nextStrokeId(),
+      type: 'eraser',
+      element: this.currentPath,
+      timestamp: Date.now(),
+      points: this.currentPoints,
+      eraserWidth: this.eraserWidth,
+      isTemporary: true
+    };
+    
+    // Add to strokes for real-time erasing effect
+    this.strokes.push(this.temporaryEraserStroke);
+    
+    // Mask the strokes under the first point immediately
+    this.mountEraserStroke(this.temporaryEraserStroke);
+  };
+
+  /**
+   * Continue erasing to the specified coordinates
+   */
+  PenTool.prototype.continueErasing = function(x, y) {
+    if (!this.currentPath) {
+      return;
+    }
+    
+    this.showEraserIndicator(x, y);
+    
+    this.currentPoints.push([x, y]);
+    this.currentPath.setAttribute('d', this.advanceLivePathData());
+    
+    // The masks reference the eraser path, so only newly covered strokes need work
+    if (this.temporaryEraserStroke) {
+      this.scheduleEraserUpdate();
+    }
+  };
+
+  /**
+   * Cut the pen strokes under a finished eraser stroke into the visible pieces
+   * The eraser itself is removed from the drawing afterwards, so documents and
+   * exports only contain the ink that is actually visible.
+   * @param {Object} eraser - Mounted eraser stroke
+   * @returns {Object} History entry { added: pieces, removed: strokes that were cut }
+   */
+  PenTool.prototype.splitStrokesWithEraser = function(eraser) {
+    var candidates = eraser.maskedStrokes.slice();
+    var eraserBounds = getStrokeBounds(eraser);
+    var radius = eraser.eraserWidth / 2;
+    var removed = [];
+    var added = [];
+    
+    this.unmountEraserStroke(eraser);
+    this.strokes = this.strokes.filter(function(stroke) {
+      return stroke !== eraser;
+    });
+    
+    for (var i = 0; i < candidates.length; i++) {
+      var original = candidates[i];
+      if (original.type === 'text' || getStrokeRenderer(original.type)) {
+        // Text and custom strokes can't be cut, so they are removed as a whole where the eraser crossed them
+        for (var p = 0; p < eraser.points.length; p++) {
+          if (this.isStrokeHit(original, eraser.points[Math.max(0, p - 1)], eraser.points[p], radius)) {
+            removed.push(original);
+            break;
+          }
+        }
+        continue;
+      }
+      
+      // The centerline is cut wherever the eraser reaches the stroke's edge, so no sliver of a thick stroke is left
+      var halfWidth = original.variableWidth ? original.width : original.width / 2;
+      var reachBounds = {
+        minX: eraserBounds.minX - halfWidth,
+        minY: eraserBounds.minY - halfWidth,
+        maxX: eraserBounds.maxX + halfWidth,
+        maxY: eraserBounds.maxY + halfWidth
+      };
+      var polylines = getStrokePolylines(original);
+      var pieces = [];
+      var erased = false;
+      for (var k = 0; k < polylines.length; k++) {
+        var cut = splitPointsByEraser(polylines[k], eraser.points, radius + halfWidth, reachBounds);
+        erased = erased || cut !== null;
+        pieces = pieces.concat(cut || [polylines[k]]);
+      }
+      if (!erased) {
+        continue;
+      }
+      
+      removed.push(original);
+      // Pieces are cut where the stroke is, then keep the stroke's moves like their points
+      var toLocal = original.transforms ? invertMatrix(getStrokeMatrix(original)) : null;
+      for (var j = 0; j < pieces.length; j++) {
+        // Pieces keep the original timestamp so later erasers still apply to them
+        var pieceData = PenTool.serializeStroke(original);
+        pieceData.points = toLocal ? pieces[j].map(function(point) {
+          return transformPoint(toLocal, point);
+        }) : pieces[j];
+        if (original.type === 'shape') {
+          // A cut shape is no longer a rectangle, ellipse etc.; its pieces become freehand lines
+          pieceData.type = 'pen';
+          delete pieceData.shape;
+          delete pieceData.arrowHeads;
+          delete pieceData.recognized;
+        }
+        added.push(this.createStroke(pieceData));
+      }
+    }
+    
+    if (removed.length > 0) {
+      this.applyStrokeChange(removed, added);
+    }
+    return { added: added, removed: removed };
+  };
+
+  /**
+   * Start a stroke eraser gesture at the specified coordinates
+   * Pen strokes touched by the gesture are removed as it goes; nothing is
+   * added to the drawing.
+   */
+  PenTool.prototype.startStrokeErasing = function(x, y) {
+    this.showEraserIndicator(x, y);
+    
+    this.currentStrokeStyle = {
+      width: this.eraserWidth,
+      mode: 'stroke'
+    };
+    this.currentPoints = [[x, y]];
+    this.strokeEraserRemoved = [];
+    
+    // A tap removes the stroke under the pointer
+    this.removeStrokesAlong([x, y], [x, y]);
+  };
+
+  /**
+   * Continue a stroke eraser gesture to the specified coordinates
+   */
+  PenTool.prototype.continueStrokeErasing = function(x, y) {
+    this.showEraserIndicator(x, y);
+    
+    var previous = this.currentPoints[this.currentPoints.length - 1];
+    this.currentPoints.push([x, y]);
+    this.removeStrokesAlong(previous, [x, y]);
+  };
+
+  /**
+   * Remove the ink strokes within eraser reach of a segment of the gesture
+   * @param {Array} start - Segment start [x, y]
+   * @param {Array} end - Segment end [x, y]
+   */
+  PenTool.prototype.removeStrokesAlong = function(start, end) {
+    var hits = this.hitTestInkStrokes(start, end, this.currentStrokeStyle.width / 2);
+    if (hits.length === 0) {
+      return;
+    }
+    
+    for (var i = 0; i < hits.length; i++) {
+      this.unmountInkStroke(hits[i]);
+      this.strokeEraserRemoved.push(hits[i]);
+    }
+    this.strokes = this.strokes.filter(function(stroke) {
+      return hits.indexOf(stroke) === -1;
+    });
+  };
+
+  /**
+   * Find the ink strokes whose path passes within a distance of a segment
+   * @param {Array} start - Segment start [x, y]
+   * @param {Array} end - Segment end [x, y]
+   * @param {number} radius - Distance in pixels, added to each stroke's own half width
+   * @returns {Array} Ink strokes that were hit
+   */
+  PenTool.prototype.hitTestInkStrokes = function(start, end, radius) {
+    var bounds = extendBounds(extendBounds(null, start, radius), end, radius);
+    var candidates = this.strokeIndex.query(bounds);
+    var hits = [];
+    
+    for (var i = 0; i < candidates.length; i++) {
+      var stroke = candidates[i];
+      if (!boundsIntersect(getStrokeBounds(stroke), bounds)) {
+        continue;
+      }
+      
+      if (this.isStrokeHit(stroke, start, end, radius)) {
+        hits.push(stroke);
+      }
+    }
+    
+    return hits;
+  };
+
+  /**
+   * Check whether an ink stroke passes within a distance of a segment
+   * @param {Object} stroke - Ink stroke
+   * @param {Array} start - Segment start [x, y]
+   * @param {Array} end - Segment end [x, y]
+   * @param {number} radius - Distance in pixels, added to the stroke's own half width
+   * @returns {boolean}
+   */
+  PenTool.prototype.isStrokeHit = function(stroke, start, end, radius) {
+    if (stroke.type === 'text') {
+      // Text is hit anywhere inside its box, not just on the outline
+      return boundsIntersect(getStrokeBounds(stroke), { minX: start[0], minY: start[1], maxX: start[0], maxY: start[1] }) ||
+        this.isPolylineHit(getStrokePolylines(stroke), start, end, radius);
+    }
+    
+    var reach = radius + (stroke.variableWidth ? stroke.width : (stroke.width || 0) / 2);
+    return this.isPolylineHit(getStrokePolylines(stroke), start, end, reach);
+  };
+
+  /**
+   * Check whether any of the polylines passes within a distance of a segment
+   * @param {Array} polylines - List of polylines ([[x, y], ...])
+   * @param {Array} start - Segment start [x, y]
+   * @param {Array} end - Segment end [x, y]
+   * @param {number} reach - Distance in pixels
+   * @returns {boolean}
+   */
+  PenTool.prototype.isPolylineHit = function(polylines, start, end, reach) {
+    for (var i = 0; i < polylines.length; i++) {
+      var points = polylines[i];
+      for (var j = 0; j < points.length; j++) {
+        var next = points[Math.min(j + 1, points.length - 1)];
+        if (distanceBetweenSegments(start, end, points[j], next) <= reach) {
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Commit a stroke eraser gesture
+   */
+  PenTool.prototype.finishStrokeErasing = function() {
+    var removed = this.strokeEraserRemoved;
+    this.strokeEraserRemoved = null;
+    if (removed.length === 0) {
+      return;
+    }
+    
+    // Make the removal undoable
+    this.recordHistory({ added: [], removed: removed });
+    
+    this.emit('erase', {
+      eraser: null,
+      removed: removed.map(function(stroke) {
+        return PenTool.serializeStroke(stroke);
+      }),
+      added: []
+    });
+    this.emit('change', { reason: 'erase' });
+  };
+
+  /**
+   * Create the layer that shows the selection box, its handles and the
+   * rectangle or lasso being dragged
+   */
+  PenTool.prototype.createSelectionOverlay = function() {
+    var svgNS = 'http://www.w3.org/2000/svg';
+    var layer = document.createElementNS(svgNS, 'g');
+    layer.setAttribute('pointer-events', 'none');
+    layer.style.pointerEvents = 'none';
+    
+    var marquee = document.createElementNS(svgNS, 'path');
+    marquee.setAttribute('fill', 'rgba(100, 108, 255, 0.1)');
+    marquee.setAttribute('stroke', '#646cff');
+    marquee.setAttribute('stroke-width', '1');
+    marquee.setAttribute('stroke-dasharray', '4 4');
+    marquee.setAttribute('vector-effect', 'non-scaling-stroke');
+    marquee.style.display = 'none';
+    layer.appendChild(marquee);
+    
+    var frame = document.createElementNS(svgNS, 'g');
+    frame.style.display = 'none';
+    var outline = document.createElementNS(svgNS, 'path');
+    outline.setAttribute('fill', 'none');
+    outline.setAttribute('stroke', '#646cff');
+    outline.setAttribute('stroke-width', '1');
+    outline.setAttribute('stroke-dasharray', '4 4');
+    outline.setAttribute('vector-effect', 'non-scaling-stroke');
+    frame.appendChild(outline);
+    var stem = document.createElementNS(svgNS, 'path');
+    stem.setAttribute('stroke', '#646cff');
+    stem.setAttribute('stroke-width', '1');
+    stem.setAttribute('vector-effect', 'non-scaling-stroke');
+    frame.appendChild(stem);
+    
+    // Corner handles scale, the round one above the box rotates
+    var handles = {};
+    var names = ['nw', 'ne', 'se', 'sw', 'rotate'];
+    for (var i = 0; i < names.length; i++) {
+      var handle = document.createElementNS(svgNS, names[i] === 'rotate' ? 'circle' : 'rect');
+      handle.setAttribute('fill', 'white');
+      handle.setAttribute('stroke', '#646cff');
+      handle.setAttribute('stroke-width', '1');
+      handle.setAttribute('vector-effect', 'non-scaling-stroke');
+      frame.appendChild(handle);
+      handles[names[i]] = handle;
+    }
+    layer.appendChild(frame);
+    
+    this.viewport.appendChild(layer);
+    this.selectionOverlay = {
+      layer: layer,
+      marquee: marquee,
+      frame: frame,
+      outline: outline,
+      stem: stem,
+      handles: handles,
+      handlePoints: null
+    };
+  };
+
+  /**
+   * Redraw the selection box around the selected strokes
+   * @param {Array} [matrix] - Move being dragged, applied on top of the strokes' own
+   */
+  PenTool.prototype.updateSelectionOverlay = function(matrix) {
+    var overlay = this.selectionOverlay;
+    if (!overlay) {
+      return;
+    }
+    
+    var bounds = this.getSelectionBounds();
+    overlay.handlePoints = null;
+    if (!bounds) {
+      overlay.frame.style.display = 'none';
+      return;
+    }
+    
+    matrix = matrix || IDENTITY_MATRIX;
+    var points = {
+      nw: transformPoint(matrix, [bounds.minX, bounds.minY]),
+      ne: transformPoint(matrix, [bounds.maxX, bounds.minY]),
+      se: transformPoint(matrix, [bounds.maxX, bounds.maxY]),
+      sw: transformPoint(matrix, [bounds.minX, bounds.maxY])
+    };
+    overlay.outline.setAttribute('d', 'M ' + points.nw.join(' ') + ' L ' + points.ne.join(' ') +
+      ' L ' + points.se.join(' ') + ' L ' + points.sw.join(' ') + ' Z');
+    
+    // Handles keep their size on screen at any zoom
+    var size = SELECTION_HANDLE_SIZE / this.getViewScale();
+    var offset = SELECTION_ROTATE_OFFSET / this.getViewScale();
+    
+    // The rotation handle sits above the middle of the top edge, wherever that edge turned to
+    var top = interpolatePoint(points.nw, points.ne, 0.5);
+    var bottom = interpolatePoint(points.sw, points.se, 0.5);
+    var height = getDistance(top, bottom);
+    var up = height > 0 ? [(top[0] - bottom[0]) / height, (top[1] - bottom[1]) / height] : [0, -1];
+    points.rotate = [
+      formatCoordinate(top[0] + up[0] * offset),
+      formatCoordinate(top[1] + up[1] * offset)
+    ];
+    overlay.stem.setAttribute('d', 'M ' + top[0] + ' ' + top[1] + ' L ' + points.rotate.join(' '));
+    
+    for (var name in overlay.handles) {
+      var handle = overlay.handles[name];
+      if (name === 'rotate') {
+        handle.setAttribute('cx', points.rotate[0].toString());
+        handle.setAttribute('cy', points.rotate[1].toString());
+        handle.setAttribute('r', formatCoordinate(size / 2).toString());
+      } else {
+        handle.setAttribute('x', formatCoordinate(points[name][0] - size / 2).toString());
+        handle.setAttribute('y', formatCoordinate(points[name][1] - size / 2).toString());
+        handle.setAttribute('width', formatCoordinate(size).toString());
+        handle.setAttribute('height', formatCoordinate(size).toString());
+      }
+    }
+    
+    overlay.handlePoints = points;
+    overlay.frame.style.display = '';
+  };
+
+  /**
+   * Get the box around the selected strokes
+   * @returns {Object|null} { minX, minY, maxX, maxY }, or null when nothing is selected
+   */
+  PenTool.prototype.getSelectionBounds = function() {
+    var bounds = null;
+    for (var i = 0; i < this.selection.length; i++) {
+      var strokeBounds = getStrokeBounds(this.selection[i]);
+      bounds = extendBounds(bounds, [strokeBounds.minX, strokeBounds.minY], 0);
+      bounds = extendBounds(bounds, [strokeBounds.maxX, strokeBounds.maxY], 0);
+    }
+    return bounds;
+  };
+
+  /**
+   * Find the selection box handle under a point
+   * @param {number} x
+   * @param {number} y
+   * @returns {string|null} 'nw', 'ne', 'se', 'sw', 'rotate' or null
+   */
+  PenTool.prototype.getSelectionHandleAt = function(x, y) {
+    var points = this.selectionOverlay ? this.selectionOverlay.handlePoints : null;
+    for (var name in points) {
+      // Handles are small; they react a little outside their square for touch
+      if (getDistance(points[name], [x, y]) <= SELECTION_HANDLE_SIZE / this.getViewScale()) {
+        return name;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Start a selection tool gesture
+   * Handles scale or rotate the selection, dragging inside the box moves it and
+   * anything else picks strokes with a rectangle or lasso.
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} additive - Add the picked strokes to the selection instead of replacing it
+   */
+  PenTool.prototype.startSelecting = function(x, y, additive) {
+    var bounds = this.getSelectionBounds();
+    var handle = this.getSelectionHandleAt(x, y);
+    var drag = { start: [x, y], matrix: IDENTITY_MATRIX };
+    
+    if (handle === 'rotate') {
+      drag.action = 'rotate';
+      drag.center = [(bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2];
+    } else if (handle) {
+      // Corners scale towards the opposite corner
+      var opposite = { nw: 'se', ne: 'sw', se: 'nw', sw: 'ne' };
+      var corners = {
+        nw: [bounds.minX, bounds.minY],
+        ne: [bounds.maxX, bounds.minY],
+        se: [bounds.maxX, bounds.maxY],
+        sw: [bounds.minX, bounds.maxY]
+      };
+      drag.action = 'scale';
+      drag.corner = corners[handle];
+      drag.anchor = corners[opposite[handle]];
+    } else if (bounds && !additive && boundsIntersect(bounds, { minX: x, minY: y, maxX: x, maxY: y })) {
+      drag.action = 'move';
+    } else {
+      drag.action = 'pick';
+      drag.additive = additive;
+      drag.points = [[x, y]];
+    }
+    
+    this.selectionDrag = drag;
+  };
+
+  /**
+   * Follow the pointer during a selection tool gesture
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} constrain - Keep moves on an axis, scaling in proportion and rotation in 15° steps
+   */
+  PenTool.prototype.continueSelecting = function(x, y, constrain) {
+    var drag = this.selectionDrag;
+    var start = drag.start;
+    
+    if (drag.action === 'pick') {
+      drag.points.push([x, y]);
+      this.updateSelectionMarquee();
+      return;
+    }
+    
+    if (drag.action === 'move') {
+      var dx = x - start[0];
+      var dy = y - start[1];
+      if (constrain) {
+        if (Math.abs(dx) > Math.abs(dy)) {
+          dy = 0;
+        } else {
+          dx = 0;
+        }
+      }
+      drag.matrix = [1, 0, 0, 1, dx, dy];
+    } else if (drag.action === 'scale') {
+      var anchor = drag.anchor;
+      var corner = drag.corner;
+      // A flat selection (a straight line) keeps its size across its thin side
+      var scaleX = corner[0] !== anchor[0] ? (x - anchor[0]) / (corner[0] - anchor[0]) : 1;
+      var scaleY = corner[1] !== anchor[1] ? (y - anchor[1]) / (corner[1] - anchor[1]) : 1;
+      if (constrain) {
+        scaleX = scaleY = Math.abs(scaleX) > Math.abs(scaleY) ? scaleX : scaleY;
+      }
+      // Never collapse the strokes to nothing, they could not be scaled back
+      scaleX = Math.abs(scaleX) < 0.01 ? (scaleX < 0 ? -0.01 : 0.01) : scaleX;
+      scaleY = Math.abs(scaleY) < 0.01 ? (scaleY < 0 ? -0.01 : 0.01) : scaleY;
+      drag.matrix = [scaleX, 0, 0, scaleY, anchor[0] - scaleX * anchor[0], anchor[1] - scaleY * anchor[1]];
+    } else if (drag.action === 'rotate') {
+      var center = drag.center;
+      var angle = Math.atan2(y - center[1], x - center[0]) - Math.atan2(start[1] - center[1], start[0] - center[0]);
+      if (constrain) {
+        angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12);
+      }
+      var cos = Math.cos(angle);
+      var sin = Math.sin(angle);
+      drag.matrix = [cos, sin, -sin, cos, center[0] - cos * center[0] + sin * center[1], center[1] - sin * center[0] - cos * center[1]];
+    }
+    
+    // Preview by moving the stroke groups; the strokes change when the gesture ends
+    for (var i = 0; i < this.selection.length; i++) {
+      var stroke = this.selection[i];
+      stroke.node.setAttribute('transform', formatMatrix(multiplyMatrices(drag.matrix, getStrokeMatrix(stroke))));
+    }
+    this.updateSelectionOverlay(drag.matrix);
+  };
+
+  /**
+   * Draw the rectangle or lasso of the strokes being picked
+   */
+  PenTool.prototype.updateSelectionMarquee = function() {
+    var drag = this.selectionDrag;
+    var marquee = this.selectionOverlay.marquee;
+    var points = drag.points;
+    var end = points[points.length - 1];
+    
+    if (this.selectionMode === 'lasso') {
+      marquee.setAttribute('d', 'M ' + points.map(function(point) {
+        return point[0] + ' ' + point[1];
+      }).join(' L ') + ' Z');
+    } else {
+      marquee.setAttribute('d', 'M ' + points[0][0] + ' ' + points[0][1] + ' H ' + end[0] + ' V ' + end[1] + ' H ' + points[0][0] + ' Z');
+    }
+    marquee.style.display = '';
+  };
+
+  /**
+   * Finish a selection tool gesture: commit the move or pick the strokes
+   */
+  PenTool.prototype.finishSelecting = function() {
+    var drag = this.selectionDrag;
+    this.selectionDrag = null;
+    this.selectionOverlay.marquee.style.display = 'none';
+    
+    if (drag.action !== 'pick') {
+      if (!isIdentityMatrix(roundMatrix(drag.matrix))) {
+        this.transformSelection(drag.matrix);
+        return;
+      }
+      // A tap inside the box picks an unselected stroke there, if any
+      var tapped = drag.action === 'move' ? this.getTopStrokeAt(drag.start) : null;
+      if (tapped && this.selection.indexOf(tapped) === -1) {
+        this.setSelection([tapped]);
+      } else {
+        this.updateSelectionOverlay();
+      }
+      return;
+    }
+    
+    var picked;
+    var pickBounds = null;
+    for (var i = 0; i < drag.points.length; i++) {
+      pickBounds = extendBounds(pickBounds, drag.points[i], 0);
+    }
+    
+    var slop = SELECTION_TAP_SLOP / this.getViewScale();
+    if (pickBounds.maxX - pickBounds.minX < slop && pickBounds.maxY - pickBounds.minY < slop) {
+      // A tap picks the stroke on top under the pointer
+      var top = this.getTopStrokeAt(drag.start);
+      picked = top ? [top] : [];
+    } else if (this.selectionMode === 'lasso') {
+      // Strokes mostly inside the lasso are picked
+      picked = this.strokes.filter(function(stroke) {
+        if (!isInkStroke(stroke) || !boundsIntersect(getStrokeBounds(stroke), pickBounds)) {
+          return false;
+        }
+        var polylines = getStrokePolylines(stroke);
+        var total = 0;
+        var inside = 0;
+        for (var j = 0; j < polylines.length; j++) {
+          for (var k = 0; k < polylines[j].length; k++) {
+            total++;
+            if (isPointInPolygon(polylines[j][k], drag.points)) {
+              inside++;
+            }
+          }
+        }
+        return total > 0 && inside * 2 >= total;
+      });
+    } else {
+      // Strokes the rectangle touches are picked
+      picked = this.strokeIndex.query(pickBounds).filter(function(stroke) {
+        if (!boundsIntersect(getStrokeBounds(stroke), pickBounds)) {
+          return false;
+        }
+        if (stroke.type === 'text') {
+          return true;
+        }
+        return getStrokePolylines(stroke).some(function(polyline) {
+          return polylineIntersectsBounds(polyline, pickBounds);
+        });
+      });
+    }
+    
+    if (drag.additive) {
+      var selection = this.selection;
+      picked = selection.concat(picked.filter(function(stroke) {
+        return selection.indexOf(stroke) === -1;
+      }));
+    }
+    this.setSelection(picked);
+  };
+
+  /**
+   * Find the ink stroke drawn on top at a point
+   * @param {Array} point - [x, y]
+   * @returns {Object|null}
+   */
+  PenTool.prototype.getTopStrokeAt = function(point) {
+    var hits = this.hitTestInkStrokes(point, point, SELECTION_TAP_SLOP / this.getViewScale());
+    var top = null;
+    for (var i = 0; i < hits.length; i++) {
+      // Highlighters are drawn beneath the pen ink
+      var hitRank = hits[i].type === 'highlighter' ? 0 : 1;
+      var topRank = top && top.type === 'highlighter' ? 0 : 1;
+      if (!top || hitRank > topRank || (hitRank === topRank && hits[i].timestamp > top.timestamp)) {
+        top = hits[i];
+      }
+    }
+    return top;
+  };
+
+  /**
+   * Abort a selection tool gesture and put the strokes back where they were
+   */
+  PenTool.prototype.cancelSelecting = function() {
+    this.selectionDrag = null;
+    this.selectionOverlay.marquee.style.display = 'none';
+    for (var i = 0; i < this.selection.length; i++) {
+      var stroke = this.selection[i];
+      if (stroke.transforms) {
+        stroke.node.setAttribute('transform', formatMatrix(getStrokeMatrix(stroke)));
+      } else {
+        stroke.node.removeAttribute('transform');
+      }
+    }
+    this.updateSelectionOverlay();
+  };
+
+  /**
+   * Replace the selection
+   * @param {Array} strokes - Ink strokes from this.strokes
+   */
+  PenTool.prototype.setSelection = function(strokes) {
+    var previous = this.selection;
+    this.selection = strokes;
+    this.updateSelectionOverlay();
+    
+    var changed = previous.length !== strokes.length || previous.some(function(stroke, i) {
+      return stroke !== strokes[i];
+    });
+    if (changed) {
+      this.lastSelectionRestyle = null;
+      // The style popovers now show the selection's style
+      this.updateStyleControls();
+      this.emit('selectionchange', {
+        strokes: strokes.map(function(stroke) {
+          return PenTool.serializeStroke(stroke);
+        })
+      });
+    }
+  };
+
+  /**
+   * Select every stroke of the drawing, switching to the selection tool
+   */
+  PenTool.prototype.selectAll = function() {
+    if (this.svg && this.currentTool !== 'select') {
+      this.setActiveTool('select');
+    }
+    this.setSelection(this.strokes.filter(isInkStroke));
+  };
+
+  /**
+   * Deselect all strokes
+   */
+  PenTool.prototype.clearSelection = function() {
+    if (this.selection.length > 0) {
+      this.setSelection([]);
+    }
+  };
+
+  /**
+   * Move, scale or rotate the selected strokes
+   * Strokes keep their points and record the move instead, so the parts erased
+   * before the move stay erased.
+   * @param {Array} matrix - Transformation [a, b, c, d, e, f] as in SVG's matrix()
+   */
+  PenTool.prototype.transformSelection = function(matrix) {
+    if (!isInvertibleMatrix(matrix)) {
+      console.error('Invalid matrix: ' + matrix + '. It must be 6 finite numbers that can be inverted (not scaled to 0).');
+      return;
+    }
+    if (this.selection.length === 0) {
+      return;
+    }
+    
+    var latestEraser = 0;
+    for (var i = 0; i < this.strokes.length; i++) {
+      if (this.strokes[i].type === 'eraser') {
+        latestEraser = Math.max(latestEraser, this.strokes[i].timestamp);
+      }
+    }
+    
+    var self = this;
+    var removed = this.selection;
+    var added = removed.map(function(stroke) {
+      var strokeData = PenTool.serializeStroke(stroke);
+      appendTransform(strokeData, matrix, latestEraser);
+      return self.createStroke(strokeData);
+    });
+    
+    // The moved strokes stay selected
+    this.selection = added;
+    this.lastSelectionRestyle = null;
+    this.applyStrokeChange(removed, added);
+    this.recordHistory({ added: added, removed: removed });
+    this.emit('change', { reason: 'transform' });
+  };
+
+  /**
+   * Move the selected strokes
+   * @param {number} dx - Pixels to the right
+   * @param {number} dy - Pixels down
+   */
+  PenTool.prototype.moveSelection = function(dx, dy) {
+    this.transformSelection([1, 0, 0, 1, dx, dy]);
+  };
+
+  /**
+   * Change the color, opacity or width of the selected strokes
+   * Text has no width and keeps its font size.
+   * @param {Object} style - Any of { color, opacity, width }
+   */
+  PenTool.prototype.restyleSelection = function(style) {
+    if (this.selection.length === 0) {
+      return;
+    }
+    
+    var self = this;
+    var removed = this.selection;
+    var added = removed.map(function(stroke) {
+      var strokeData = PenTool.serializeStroke(stroke);
+      if (style.color !== undefined) {
+        strokeData.color = style.color;
+      }
+      if (style.opacity !== undefined) {
+        if (style.opacity < 1 || strokeData.type === 'highlighter') {
+          strokeData.opacity = style.opacity;
+        } else {
+          delete strokeData.opacity;
+        }
+      }
+      if (style.width !== undefined && strokeData.type !== 'text') {
+        strokeData.width = style.width;
+      }
+      return self.createStroke(strokeData);
+    });
+    
+    this.selection = added;
+    this.applyStrokeChange(removed, added);
+    
+    // Dragging a slider restyles on every step; the steps make one undo entry
+    var property = Object.keys(style).sort().join(',');
+    var last = this.lastSelectionRestyle;
+    if (last && last.property === property && last.entry === this.undoStack[this.undoStack.length - 1]) {
+      last.entry.added = added;
+    } else {
+      var entry = { added: added, removed: removed };
+      this.recordHistory(entry);
+      this.lastSelectionRestyle = { entry: entry, property: property };
+    }
+    
+    this.updateStyleControls();
+    this.emit('change', { reason: 'restyle' });
+  };
+
+  /**
+   * Remove the selected strokes from the drawing
+   * @returns {boolean} True if something was deleted
+   */
+  PenTool.prototype.deleteSelection = function() {
+    var removed = this.selection;
+    if (removed.length === 0) {
+      return false;
+    }
+    
+    this.setSelection([]);
+    this.applyStrokeChange(removed, []);
+    this.recordHistory({ added: [], removed: removed });
+    this.emit('change', { reason: 'delete' });
+    return true;
+  };
+
+  /**
+   * Copy the selected strokes
+   * The copies are kept for paste() and returned, so they can also be pasted
+   * into another PenTool.
+   * @returns {Array|null} Serialized strokes, oldest first, or null when nothing is selected
+   */
+  PenTool.prototype.copySelection = function() {
+    if (this.selection.length === 0) {
+      return null;
+    }
+    
+    this.clipboard = this.selection.slice().sort(function(a, b) {
+      return a.timestamp - b.timestamp;
+    }).map(function(stroke) {
+      return PenTool.serializeStroke(stroke);
+    });
+    this.pasteCount = 0;
+    this.updateStyleControls();
+    
+    return this.clipboard.map(function(strokeData) {
+      return JSON.parse(JSON.stringify(strokeData));
+    });
+  };
+
+  /**
+   * Add copies of strokes to the drawing and select them
+   * Each paste of the copied strokes is offset a little further so the copies
+   * don't hide each other; strokes passed in are added where they were.
+   * @param {Array} [strokes] - Serialized strokes, e.g. from copySelection(); defaults to the copied strokes
+   * @returns {boolean} True if something was pasted
+   * @throws {Error} If the strokes passed in are not valid stroke data
+   */
+  PenTool.prototype.paste = function(strokes) {
+    var offset = 0;
+    if (strokes === undefined) {
+      strokes = this.clipboard;
+      offset = PASTE_OFFSET * (this.pasteCount + 1);
+    } else {
+      PenTool.validateDocument({ type: PenTool.DOCUMENT_TYPE, version: PenTool.DOCUMENT_VERSION, strokes: strokes });
+    }
+    
+    if (!strokes || !strokes.some(isInkStroke)) {
+      return false;
+    }
+    if (offset > 0) {
+      this.pasteCount++;
+    }
+    
+    this.insertStrokeCopies(strokes, offset, 'paste');
+    return true;
+  };
+
+  /**
+   * Add copies of the selected strokes next to them and select the copies
+   * @returns {boolean} True if something was duplicated
+   */
+  PenTool.prototype.duplicateSelection = function() {
+    if (this.selection.length === 0) {
+      return false;
+    }
+    
+    this.insertStrokeCopies(this.selection.map(function(stroke) {
+      return PenTool.serializeStroke(stroke);
+    }), PASTE_OFFSET, 'duplicate');
+    return true;
+  };
+
+  /**
+   * Add a stroke to the drawing as an undoable change
+   * Meant for tools registered with PenTool.registerTool() that finish their
+   * strokes in onEnd; the stroke goes on top of the drawing.
+   * @param {Object} strokeData - Serialized stroke; the timestamp defaults to now
+   * @returns {Object} The serialized stroke that was added
+   * @throws {Error} If the stroke data is not valid
+   */
+  PenTool.prototype.addStroke = function(strokeData) {
+    var data = JSON.parse(JSON.stringify(strokeData));
+    if (data.timestamp === undefined) {
+      var latest = 0;
+      for (var i = 0; i < this.strokes.length; i++) {
+        latest = Math.max(latest, this.strokes[i].timestamp);
+      }
+      data.timestamp = Math.max(Date.now(), latest + 1);
+    }
+    PenTool.validateDocument({ type: PenTool.DOCUMENT_TYPE, version: PenTool.DOCUMENT_VERSION, strokes: [data] });
+    if (!isInkStroke(data)) {
+      throw new Error('PenTool.addStroke: eraser strokes can\'t be added');
+    }
+    
+    var stroke = this.createStroke(data);
+    this.applyStrokeChange([], [stroke]);
+    this.recordHistory({ added: [stroke], removed: [] });
+    this.emit('change', { reason: 'stroke' });
+    return PenTool.serializeStroke(stroke);
+  };
+
+  /**
+   * Add copies of serialized strokes on top of the drawing and select them
+   * Copies are new strokes: they are drawn above everything and show their
+   * ink whole, without what the pixel eraser hid of the originals.
+   * @param {Array} strokes - Serialized strokes; eraser strokes are skipped
+   * @param {number} offset - Pixels the copies are moved right and down
+   * @param {string} reason - Change reason of the change event
+   */
+  PenTool.prototype.insertStrokeCopies = function(strokes, offset, reason) {
+    var self = this;
+    var latest = 0;
+    for (var i = 0; i < this.strokes.length; i++) {
+      latest = Math.max(latest, this.strokes[i].timestamp);
+    }
+    var timestamp = Math.max(Date.now(), latest + 1);
+    
+    var added = strokes.filter(isInkStroke).sort(function(a, b) {
+      return a.timestamp - b.timestamp;
+    }).map(function(strokeData, index) {
+      // A deep copy, so copies pasted from the same strokes share nothing with them or each other
+      var copy = JSON.parse(JSON.stringify(strokeData));
+      copy.timestamp = timestamp + index;
+      
+      // Earlier moves are combined into one that also applies the offset
+      var matrix = roundMatrix(multiplyMatrices([1, 0, 0, 1, offset, offset], getStrokeMatrix(strokeData)));
+      if (isIdentityMatrix(matrix)) {
+        delete copy.transforms;
+      } else {
+        copy.transforms = [{ matrix: matrix, timestamp: copy.timestamp }];
+      }
+      return self.createStroke(copy);
+    });
+    
+    if (this.svg && this.isEnabled && this.currentTool !== 'select') {
+      this.setActiveTool('select');
+    }
+    this.applyStrokeChange([], added);
+    this.recordHistory({ added: added, removed: [] });
+    this.setSelection(added);
+    this.emit('change', { reason: reason });
+  };
+
+  /**
+   * Render all strokes with proper masking
+   * This is a full rebuild, used after undo/redo, loading and clearing. While
+   * drawing and erasing, strokes are mounted incrementally instead.
+   */
+  PenTool.prototype.renderStrokes = function() {
+    this.cancelScheduledEraserUpdate();
+    
+    // Clear the container
+    while (this.drawingContainer.firstChild) {
+      this.drawingContainer.removeChild(this.drawingContainer.firstChild);
+    }
+    
+    while (this.highlighterContainer.firstChild) {
+      this.highlighterContainer.removeChild(this.highlighterContainer.firstChild);
+    }
+    this.highlighterGroups = {};
+    
+    // Clear any previous eraser paths and masks
+    while (this.defs.firstChild) {
+      this.defs.removeChild(this.defs.firstChild);
+    }
+    this.strokeIndex.clear();
+    
+    // Sort strokes by timestamp (oldest first)
+    this.strokes.sort(function(a, b) {
+      return a.timestamp - b.timestamp;
+    });
+    
+    // Walking in timestamp order means the index only ever contains ink
+    // strokes older than the eraser being mounted
+    for (var i = 0; i < this.strokes.length; i++) {
+      var stroke = this.strokes[i];
+      if (isInkStroke(stroke)) {
+        this.mountInkStroke(stroke);
+      } else {
+        this.mountEraserStroke(stroke);
+      }
+    }
+    
+    // Strokes taken out of the drawing (undo, erasing, loading) drop out of the selection
+    if (this.selection.length > 0) {
+      var strokes = this.strokes;
+      this.setSelection(this.selection.filter(function(selected) {
+        return strokes.indexOf(selected) !== -1;
+      }));
+    }
+  };
+
+  /**
+   * Add a pen or highlighter stroke to the drawing on top of the existing strokes of its layer
+   * @param {Object} stroke - Ink stroke from this.strokes
+   */
+  PenTool.prototype.mountInkStroke = function(stroke) {
+    // Each ink stroke lives in its own group so a mask can be attached later
+    var node = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    node.style.pointerEvents = 'none';
+    node.appendChild(stroke.element);
+    
+    stroke.node = node;
+    stroke.mask = null;
+    stroke.maskUses = {};
+    
+    // Moved strokes keep their points; the group places them, mask included
+    if (stroke.transforms) {
+      node.setAttribute('transform', formatMatrix(getStrokeMatrix(stroke)));
+    }
+    
+    if (stroke.type === 'highlighter') {
+      this.getHighlighterGroup(stroke.opacity !== undefined ? stroke.opacity : 1).appendChild(node);
+    } else {
+      this.drawingContainer.appendChild(node);
+    }
+    this.strokeIndex.insert(stroke, getStrokeIndexBounds(stroke));
+  };
+
+  /**
+   * Remove an ink stroke and its mask from the drawing
+   * @param {Object} stroke - Mounted ink stroke
+   */
+  PenTool.prototype.unmountInkStroke = function(stroke) {
+    if (stroke.node && stroke.node.parentNode) {
+      stroke.node.parentNode.removeChild(stroke.node);
+    }
+    if (stroke.mask && stroke.mask.parentNode) {
+      stroke.mask.parentNode.removeChild(stroke.mask);
+    }
+    
+    this.strokeIndex.remove(stroke);
+    stroke.node = null;
+    stroke.mask = null;
+    stroke.maskUses = {};
+  };
+
+  /**
+   * Add an eraser stroke to the drawing and mask the pen strokes it covers
+   * The eraser path is stored once in <defs>; every affected pen stroke's mask
+   * references it with <use>, so moving the eraser updates a single element.
+   * @param {Object} eraser - Eraser stroke from this.strokes
+   */
+  PenTool.prototype.mountEraserStroke = function(eraser) {
+    eraser.element.id = 'pen-tool-eraser-' + eraser.id;
+    eraser.element.setAttribute('stroke', 'black'); // In masks, black means transparent
+    this.defs.appendChild(eraser.element);
+    
+    eraser.maskedStrokes = [];
+    eraser.appliedPointCount = 0;
+    this.applyEraserStroke(eraser);
+  };
+
+  /**
+   * Remove an eraser stroke from the drawing and from every mask using it
+   * @param {Object} eraser - Mounted eraser stroke
+   */
+  PenTool.prototype.unmountEraserStroke = function(eraser) {
+    var maskedStrokes = eraser.maskedStrokes || [];
+    for (var i = 0; i < maskedStrokes.length; i++) {
+      var use = maskedStrokes[i].maskUses[eraser.id];
+      if (use && use.parentNode) {
+        use.parentNode.removeChild(use);
+      }
+      delete maskedStrokes[i].maskUses[eraser.id];
+    }
+    
+    if (eraser.element.parentNode) {
+      eraser.element.parentNode.removeChild(eraser.element);
     }
+    eraser.maskedStrokes = [];
+    eraser.appliedPointCount = 0;
   };
 
   /**
-   * Create toolbar with pen, eraser, and clear all buttons
+   * Mask the pen strokes touched by eraser points that were not applied yet
+   * Only the spatial index cells around the new points are visited.
+   * @param {Object} eraser - Mounted eraser stroke
    */
-  PenTool.prototype.createToolbar = function() {
+  PenTool.prototype.applyEraserStroke = function(eraser) {
+    var points = eraser.points;
+    var start = Math.max(0, eraser.appliedPointCount - 1);
+    if (start >= points.length) {
+      return;
+    }
+    
+    var radius = eraser.eraserWidth / 2;
+    var bounds = null;
+    for (var i = start; i < points.length; i++) {
+      bounds = extendBounds(bounds, points[i], radius);
+    }
+    
+    var candidates = this.strokeIndex.query(bounds);
+    for (var j = 0; j < candidates.length; j++) {
+      var penStroke = candidates[j];
+      if (penStroke.timestamp < eraser.timestamp &&
+          !penStroke.maskUses[eraser.id] &&
+          boundsIntersect(getStrokeBoundsAt(penStroke, eraser.timestamp), bounds)) {
+        this.addEraserToMask(penStroke, eraser);
+      }
+    }
+    
+    eraser.appliedPointCount = points.length;
+  };
+
+  /**
+   * Reference an eraser path from a pen stroke's mask, creating the mask if needed
+   * @param {Object} penStroke - Mounted pen stroke
+   * @param {Object} eraser - Mounted eraser stroke
+   */
+  PenTool.prototype.addEraserToMask = function(penStroke, eraser) {
+    var svgNS = 'http://www.w3.org/2000/svg';
+    
+    if (!penStroke.mask) {
+      var mask = document.createElementNS(svgNS, 'mask');
+      mask.id = 'pen-tool-mask-' + penStroke.id;
+      
+      // Add white background to mask (fully visible)
+      var background = document.createElementNS(svgNS, 'rect');
+      fitMaskToStroke(mask, background, penStroke);
+      background.setAttribute('fill', 'white');
+      mask.appendChild(background);
+      
+      this.defs.appendChild(mask);
+      penStroke.node.setAttribute('mask', 'url(#' + mask.id + ')');
+      penStroke.mask = mask;
+    }
+    
+    var use = document.createElementNS(svgNS, 'use');
+    use.setAttribute('href', '#' + eraser.element.id);
+    use.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', '#' + eraser.element.id); // Older Safari
+    // The mask moves with the stroke, so the eraser is placed where the stroke was
+    // when it was drawn; moves made since then carry the erased part along
+    var matrix = getStrokeMatrix(penStroke, eraser.timestamp);
+    if (!isIdentityMatrix(matrix)) {
+      use.setAttribute('transform', formatMatrix(invertMatrix(matrix)));
+    }
+    penStroke.mask.appendChild(use);
+    
+    penStroke.maskUses[eraser.id] = use;
+    eraser.maskedStrokes.push(penStroke);
+  };
+
+  /**
+   * Apply the live eraser stroke on the next animation frame
+   * Pointer events can arrive several times per frame; batching keeps the
+   * mask bookkeeping to once per frame.
+   */
+  PenTool.prototype.scheduleEraserUpdate = function() {
+    if (this.pendingEraserFrame) {
+      return;
+    }
+    
     var self = this;
-    var tools = [
-      { name: 'pen', icon: this.getPenIcon(), title: 'Kalem Aracı' },
-      { name: 'eraser', icon: this.getEraserIcon(), title: 'Silgi Aracı' }
-    ];
+    var requestFrame = window.requestAnimationFrame || function(callback) {
+      return window.setTimeout(callback, 16);
+    };
     
-    // Add hand tool based on handTool option
-    if (this.handTool === 'show') {
-      tools.push({ name: 'hand', icon: this.getHandIcon(), title: 'El Aracı - Dokunmatik Hareketler İçin (Pinch/Pan)' });
-    } else if (this.handTool === 'touch-only') {
-      // Add hand tool only if touch is supported
-      if ('ontouchstart' in window || navigator.maxTouchPoints > 0) {
-        tools.push({ name: 'hand', icon: this.getHandIcon(), title: 'El Aracı - Dokunmatik Hareketler İçin (Pinch/Pan)' });
+    this.pendingEraserFrame = requestFrame(function() {
+      self.pendingEraserFrame = null;
+      if (self.temporaryEraserStroke) {
+        self.applyEraserStroke(self.temporaryEraserStroke);
       }
+    });
+  };
+
+  /**
+   * Cancel a pending scheduleEraserUpdate()
+   */
+  PenTool.prototype.cancelScheduledEraserUpdate = function() {
+    if (!this.pendingEraserFrame) {
+      return;
     }
-    // If handTool === 'hide', don't add the hand tool
     
-    tools.push({ name: 'clear', icon: this.getClearIcon(), title: 'Tümünü Temizle' });
+    var cancelFrame = window.cancelAnimationFrame || window.clearTimeout;
+    cancelFrame(this.pendingEraserFrame);
+    this.pendingEraserFrame = null;
+  };
+
+  /**
+   * Build the masked stroke elements for a list of strokes
+   * Used for exports, which need standalone copies of the live elements.
+   * @param {Array} strokes - Strokes sorted by timestamp (oldest first)
+   * @param {SVGElement} container - Group that receives the pen strokes
+   * @param {SVGDefsElement} defs - Defs element that receives the eraser masks
+   * @param {string} maskIdPrefix - Prefix for the generated mask ids
+   */
+  PenTool.prototype.buildStrokeElements = function(strokes, container, defs, maskIdPrefix) {
+    // First, separate ink strokes and eraser strokes
+    var penStrokes = [];
+    var eraserStrokes = [];
     
-    // Add theme toggle if enabled
-    if (this.themeToggle) {
-      tools.push({
-        name: 'theme', 
-        icon: this.getThemeToggleIcon(), 
-        title: this.isDarkMode ? 'Açık Tema' : 'Koyu Tema'
-      });
+    for (var i = 0; i < strokes.length; i++) {
+      var stroke = strokes[i];
+      if (isInkStroke(stroke)) {
+        penStrokes.push(stroke);
+      } else {
+        eraserStrokes.push(stroke);
+      }
     }
     
-    for (var i = 0; i < tools.length; i++) {
-      var tool = tools[i];
-      var button = document.createElement('button');
-      button.innerHTML = tool.icon;
-      button.title = tool.title;
-      button.className = 'pen-tool-button';
-      button.dataset.tool = tool.name; // Add data-tool attribute for easier selection
-      button.style.background = 'none';
-      button.style.border = 'none';
-      button.style.cursor = 'pointer';
-      button.style.width = '30px';
-      button.style.height = '30px';
-      button.style.margin = '3px';
-      button.style.padding = '5px';
-      button.style.borderRadius = '3px';
-      button.style.touchAction = 'manipulation'; // Improve touch responsiveness
-      button.style.userSelect = 'none'; // Prevent text selection on touch
+    // Highlighters are layered beneath the pen ink, grouped by opacity like the live drawing
+    var highlighterLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    var highlighterGroups = {};
+    container.appendChild(highlighterLayer);
+    var getLayer = function(inkStroke) {
+      if (inkStroke.type !== 'highlighter') {
+        return container;
+      }
+      var key = (inkStroke.opacity !== undefined ? inkStroke.opacity : 1).toString();
+      if (!highlighterGroups[key]) {
+        highlighterGroups[key] = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        highlighterGroups[key].setAttribute('opacity', key);
+        highlighterLayer.appendChild(highlighterGroups[key]);
+      }
+      return highlighterGroups[key];
+    };
+    
+    // For each pen stroke, create a mask that includes all eraser strokes
+    // that came AFTER this pen stroke (newer erasers affect older pen strokes)
+    for (var penIndex = 0; penIndex < penStrokes.length; penIndex++) {
+      var penStroke = penStrokes[penIndex];
       
-      // Add active state for pen, eraser, and hand tools
-      if (tool.name === 'pen' || tool.name === 'eraser' || tool.name === 'hand') {
-        (function(toolName, buttonEl) {
-          var handleToolSelect = function() {
-            // Remove active class from all buttons
-            var buttons = self.toolbar.querySelectorAll('.pen-tool-button');
-            for (var j = 0; j < buttons.length; j++) {
-              buttons[j].classList.remove('active');
-            }
-            
-            // Add active class to clicked button
-            buttonEl.classList.add('active');
-            
-            // Set current tool
-            self.currentTool = toolName;
-            
-            // Configure SVG pointer events based on tool
-            if (toolName === 'hand') {
-              // For hand tool, allow normal touch events to pass through for pan/zoom
-              self.svg.style.pointerEvents = 'none';
-              // Enable default touch behaviors for the target element
-              self.targetElement.style.touchAction = 'auto';
-              // Add hand tool CSS class for visual feedback
-              self.targetElement.classList.add('pen-tool-hand-mode');
-            } else {
-              // For drawing tools, capture events but allow multi-touch gestures
-              self.svg.style.pointerEvents = 'auto';
-              self.targetElement.style.touchAction = 'pan-x pan-y pinch-zoom';
-              // Remove hand tool CSS class
-              self.targetElement.classList.remove('pen-tool-hand-mode');
-            }
-            
-            // Hide eraser indicator when switching tools
-            if (toolName !== 'eraser') {
-              self.hideEraserIndicator();
-            }
-          };
-          
-          buttonEl.addEventListener('click', handleToolSelect);
-          buttonEl.addEventListener('touchend', function(e) {
-            e.preventDefault();
-            handleToolSelect();
-          });
-          
-          // Set pen as active by default
-          if (toolName === 'pen') {
-            buttonEl.classList.add('active');
+      // Clone the pen stroke
+      var penElement = penStroke.element.cloneNode(true);
+      // Ensure cloned elements don't block touch events
+      penElement.style.pointerEvents = 'none';
+      penElement.setAttribute('pointer-events', 'none');
+      
+      var penMatrix = getStrokeMatrix(penStroke);
+      
+      // Get all eraser strokes that came after this pen stroke and overlap it
+      var applicableErasers = eraserStrokes.filter(function(eraser) {
+        return eraser.timestamp > penStroke.timestamp &&
+          boundsIntersect(getStrokeBounds(eraser), getStrokeBoundsAt(penStroke, eraser.timestamp));
+      });
+      
+      if (applicableErasers.length > 0) {
+        // This pen stroke needs masking
+        var maskId = maskIdPrefix + penIndex;
+        var mask = document.createElementNS('http://www.w3.org/2000/svg', 'mask');
+        mask.id = maskId;
+        
+        // Add white background to mask (fully visible)
+        var background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        fitMaskToStroke(mask, background, penStroke);
+        background.setAttribute('fill', 'white');
+        mask.appendChild(background);
+        
+        // Add each applicable eraser to the mask as black (transparent) areas,
+        // using the width the eraser had when it was drawn
+        for (var j = 0; j < applicableErasers.length; j++) {
+          var eraser = applicableErasers[j];
+          var eraserPath = eraser.element.cloneNode(true);
+          eraserPath.removeAttribute('id');
+          eraserPath.setAttribute('stroke', 'black'); // In masks, black means transparent
+          eraserPath.setAttribute('stroke-width', eraser.eraserWidth.toString());
+          eraserPath.style.pointerEvents = 'none';
+          eraserPath.setAttribute('pointer-events', 'none');
+          var eraserMatrix = getStrokeMatrix(penStroke, eraser.timestamp);
+          if (!isIdentityMatrix(eraserMatrix)) {
+            eraserPath.setAttribute('transform', formatMatrix(invertMatrix(eraserMatrix)));
           }
-        })(tool.name, button);
-      } else if (tool.name === 'clear') {
-        // Add clear functionality
-        (function(buttonEl) {
-          var handleClear = function() {
-            self.clearAll();
-          };
-          buttonEl.addEventListener('click', handleClear);
-          buttonEl.addEventListener('touchend', function(e) {
-            e.preventDefault();
-            handleClear();
-          });
-        })(button);
-      } else if (tool.name === 'theme') {
-        // Add theme toggle functionality
-        (function(buttonEl) {
-          var handleThemeToggle = function() {
-            // Toggle dark mode
-            self.isDarkMode = !self.isDarkMode;
-            
-            // When user manually toggles theme, we're no longer following system preference
-            self.themeSetting = self.isDarkMode ? 'dark' : 'light';
-            
-            // Update button
-            buttonEl.innerHTML = self.getThemeToggleIcon();
-            buttonEl.title = self.isDarkMode ? 'Açık Tema' : 'Koyu Tema';
-            
-            // Apply the theme using our consistent theme method
-            self.applyTheme();
-          };
-          
-          buttonEl.addEventListener('click', handleThemeToggle);
-          buttonEl.addEventListener('touchend', function(e) {
-            e.preventDefault();
-            handleThemeToggle();
-          });
-        })(button);
+          mask.appendChild(eraserPath);
+        }
+        
+        // Add mask to defs
+        defs.appendChild(mask);
+        
+        // Create a group with the mask and add the pen stroke to it
+        var maskedGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        maskedGroup.setAttribute('mask', 'url(#' + maskId + ')');
+        maskedGroup.style.pointerEvents = 'none';
+        if (penStroke.transforms) {
+          maskedGroup.setAttribute('transform', formatMatrix(penMatrix));
+        }
+        maskedGroup.appendChild(penElement);
+        
+        // Add the masked group to the drawing container
+        getLayer(penStroke).appendChild(maskedGroup);
+      } else {
+        // No applicable erasers, just add the pen stroke directly
+        if (penStroke.transforms) {
+          penElement.setAttribute('transform', formatMatrix(penMatrix));
+        }
+        getLayer(penStroke).appendChild(penElement);
       }
-      
-      this.toolbar.appendChild(button);
     }
+    
+    if (!highlighterLayer.firstChild) {
+      container.removeChild(highlighterLayer);
+    }
+  };
 
-    // Add drag handle at the end of the toolbar
-    var dragHandle = document.createElement('div');
-    dragHandle.innerHTML = this.getDragIcon();
-    dragHandle.title = 'Araç Çubuğunu Sürükle';
-    dragHandle.className = 'pen-tool-drag-handle';
-    dragHandle.style.background = 'none';
-    dragHandle.style.border = 'none';
-    dragHandle.style.cursor = 'grab';
-    dragHandle.style.width = '30px';
-    dragHandle.style.height = '30px';
-    dragHandle.style.margin = '3px';
-    dragHandle.style.padding = '5px';
-    dragHandle.style.borderRadius = '3px';
-    dragHandle.style.display = 'flex';
-    dragHandle.style.alignItems = 'center';
-    dragHandle.style.justifyContent = 'center';
-    dragHandle.style.touchAction = 'none';
-    dragHandle.style.userSelect = 'none';
+  /**
+   * Hide eraser indicator
+   */
+  PenTool.prototype.hideEraserIndicator = function() {
+    if (this.eraserIndicator && this.eraserIndicator.parentNode) {
+      this.eraserIndicator.parentNode.removeChild(this.eraserIndicator);
+      this.eraserIndicator = null;
+    }
+  };
+
+  /**
+   * Show a visual indicator for the eraser cursor
+   */
+  PenTool.prototype.showEraserIndicator = function(x, y) {
+    var eraserRadius = this.eraserWidth / 2;
     
-    // Add drag handle event listeners
-    this.addDragHandleListeners(dragHandle);
+    if (!this.eraserIndicator) {
+      this.eraserIndicator = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      this.eraserIndicator.setAttribute('fill', 'rgba(255, 0, 0, 0.1)');
+      this.eraserIndicator.setAttribute('stroke', 'rgba(255, 0, 0, 0.5)');
+      this.eraserIndicator.setAttribute('stroke-width', '1');
+      this.eraserIndicator.setAttribute('vector-effect', 'non-scaling-stroke');
+      this.eraserIndicator.style.pointerEvents = 'none';
+      this.eraserIndicator.setAttribute('pointer-events', 'none');
+      this.viewport.appendChild(this.eraserIndicator);
+    }
+    
+    this.eraserIndicator.setAttribute('cx', x.toString());
+    this.eraserIndicator.setAttribute('cy', y.toString());
+    this.eraserIndicator.setAttribute('r', eraserRadius.toString());
+  };
+
+  /**
+   * Clear all drawings
+   */
+  PenTool.prototype.clearAll = function() {
+    // A stroke or text in progress would be committed against a drawing that no longer exists
+    this.cancelStroke();
+    this.cancelTextEditor();
+    
+    // Record the cleared strokes so the clear can be undone
+    var clearedStrokes = this.strokes.filter(function(stroke) {
+      return !stroke.isTemporary;
+    });
+    if (clearedStrokes.length > 0) {
+      this.recordHistory({ added: [], removed: clearedStrokes });
+    }
+    
+    // Clear strokes array, drawing container and masks
+    this.strokes = [];
+    if (this.drawingContainer) {
+      this.renderStrokes();
+    }
+    
+    this.hideEraserIndicator();
+    this.announce(this.t('drawingCleared'));
+    
+    this.emit('clear', {
+      strokes: clearedStrokes.map(function(stroke) {
+        return PenTool.serializeStroke(stroke);
+      })
+    });
+    if (clearedStrokes.length > 0) {
+      this.emit('change', { reason: 'clear' });
+    }
+  };
+
+  /**
+   * Subscribe to a PenTool event
+   *
+   * Events and their payloads:
+   * - strokestart: { tool, point, pressure, tiltX, tiltY, pointerType } when a stroke of a drawing tool begins
+   *                (not for select, text and other tools registered with strokeEvents: false)
+   * - strokemove:  { tool, point, pressure, tiltX, tiltY, pointerType } for every point added to the stroke
+   * - strokeend:   { stroke } when a stroke or text annotation is added to the drawing (serialized stroke data);
+   *                eraser strokes count when they stay in the drawing, which they don't with splitOnErase
+   * - erase:       { eraser, removed, added } when an eraser gesture changes the drawing: eraser is the eraser
+   *                stroke added to the drawing (null for the stroke eraser and with splitOnErase), removed the
+   *                strokes taken out and added the pieces they were cut into with splitOnErase
+   * - shaperecognize: { recognized } when smart ink snaps a held stroke to a shape ({ shape, confidence });
+   *                committed strokes carry the same data as stroke.recognized
+   * - clear:       { strokes } when all drawings are cleared
+   * - selectionchange: { strokes } with the selected strokes (serialized stroke data)
+   * - viewchange:  { x, y, zoom } when the view is zoomed or panned
+   * - resize:      { width, height, scale } when the drawing area changes size; scale is the screen pixels
+   *                per drawing unit at zoom 1, which only changes with a viewBox
+   * - toolchange:  { tool, previousTool }
+   * - themechange: { theme, setting } where theme is 'dark' or 'light'
+   * - enable / disable: {}
+   * - change:      { reason } whenever the drawing changes ('stroke', 'edit', 'erase', 'clear', 'undo', 'redo', 'load',
+   *                and from the selection tool 'transform', 'restyle', 'delete', 'duplicate', 'paste')
+   *
+   * @param {string} eventName - Name of the event
+   * @param {Function} listener - Called with the event payload
+   */
+  PenTool.prototype.on = function(eventName, listener) {
+    if (typeof listener !== 'function') {
+      console.error('PenTool.on: listener for "' + eventName + '" must be a function.');
+      return;
+    }
     
-    this.toolbar.appendChild(dragHandle);
+    if (!this.eventListeners[eventName]) {
+      this.eventListeners[eventName] = [];
+    }
+    this.eventListeners[eventName].push(listener);
   };
 
   /**
-   * Add drag functionality to the drag handle
+   * Unsubscribe from PenTool events
+   * @param {string} [eventName] - Name of the event, omit to remove every listener
+   * @param {Function} [listener] - Listener to remove, omit to remove all listeners of the event
    */
-  PenTool.prototype.addDragHandleListeners = function(dragHandle) {
-    var self = this;
+  PenTool.prototype.off = function(eventName, listener) {
+    if (eventName === undefined) {
+      this.eventListeners = {};
+      return;
+    }
     
-    // Create bound function references for proper cleanup
-    this.boundHandleToolbarDragStart = function(e) { self.handleToolbarDragStart(e, dragHandle); };
-    this.boundHandleToolbarDragMove = function(e) { self.handleToolbarDragMove(e); };
-    this.boundHandleToolbarDragEnd = function(e) { self.handleToolbarDragEnd(e); };
+    if (!this.eventListeners[eventName]) {
+      return;
+    }
     
-    // Mouse events
-    dragHandle.addEventListener('mousedown', this.boundHandleToolbarDragStart);
+    if (listener === undefined) {
+      delete this.eventListeners[eventName];
+      return;
+    }
     
-    // Touch events
-    dragHandle.addEventListener('touchstart', this.boundHandleToolbarDragStart, { passive: false });
+    this.eventListeners[eventName] = this.eventListeners[eventName].filter(function(registered) {
+      return registered !== listener && registered.originalListener !== listener;
+    });
   };
 
   /**
-   * Handle start of toolbar dragging
+   * Subscribe to a PenTool event for a single call
+   * @param {string} eventName - Name of the event
+   * @param {Function} listener - Called with the event payload, then removed
    */
-  PenTool.prototype.handleToolbarDragStart = function(event, dragHandle) {
-    event.preventDefault();
-    event.stopPropagation();
-    
-    this.isDraggingToolbar = true;
-    dragHandle.style.cursor = 'grabbing';
-    
-    var clientX, clientY;
-    if (event.type === 'touchstart') {
-      clientX = event.touches[0].clientX;
-      clientY = event.touches[0].clientY;
-    } else {
-      clientX = event.clientX;
-      clientY = event.clientY;
+  PenTool.prototype.once = function(eventName, listener) {
+    var self = this;
+    var wrapper = function(payload) {
+      self.off(eventName, wrapper);
+      listener.call(self, payload);
+    };
+    wrapper.originalListener = listener;
+    this.on(eventName, wrapper);
+  };
+
+  /**
+   * Call every listener of an event
+   * A throwing listener is reported and does not stop the others.
+   * @param {string} eventName - Name of the event
+   * @param {Object} payload - Data passed to the listeners
+   */
+  PenTool.prototype.emit = function(eventName, payload) {
+    var listeners = this.eventListeners[eventName];
+    if (!listeners || listeners.length === 0) {
+      return;
     }
     
-    var toolbarRect = this.toolbar.getBoundingClientRect();
-    this.dragOffset.x = clientX - toolbarRect.left;
-    this.dragOffset.y = clientY - toolbarRect.top;
-    
-    // Add global event listeners for dragging
-    document.addEventListener('mousemove', this.boundHandleToolbarDragMove);
-    document.addEventListener('mouseup', this.boundHandleToolbarDragEnd);
-    document.addEventListener('touchmove', this.boundHandleToolbarDragMove, { passive: false });
-    document.addEventListener('touchend', this.boundHandleToolbarDragEnd);
-    document.addEventListener('touchcancel', this.boundHandleToolbarDragEnd);
+    // Copy so listeners can unsubscribe while we iterate
+    listeners = listeners.slice();
+    for (var i = 0; i < listeners.length; i++) {
+      try {
+        listeners[i].call(this, payload);
+      } catch (e) {
+        console.error('PenTool: error in "' + eventName + '" listener', e);
+      }
+    }
   };
 
   /**
-   * Handle toolbar dragging movement
+   * Record an undoable change in the history
+   * @param {Object} entry - { added: [strokes], removed: [strokes] }
    */
-  PenTool.prototype.handleToolbarDragMove = function(event) {
-    if (!this.isDraggingToolbar) return;
-    
-    event.preventDefault();
-    
-    var clientX, clientY;
-    if (event.type === 'touchmove') {
-      clientX = event.touches[0].clientX;
-      clientY = event.touches[0].clientY;
-    } else {
-      clientX = event.clientX;
-      clientY = event.clientY;
+  PenTool.prototype.recordHistory = function(entry) {
+    if (this.historyLimit <= 0) {
+      return;
     }
     
-    var targetRect = this.targetElement.getBoundingClientRect();
-    var toolbarRect = this.toolbar.getBoundingClientRect();
-    
-    // Calculate new position relative to the target element
-    var newX = clientX - targetRect.left - this.dragOffset.x;
-    var newY = clientY - targetRect.top - this.dragOffset.y;
-    
-    // Constrain to target element boundaries
-    var minX = 0;
-    var minY = 0;
-    var maxX = this.targetElement.offsetWidth - toolbarRect.width;
-    var maxY = this.targetElement.offsetHeight - toolbarRect.height;
-    
-    newX = Math.max(minX, Math.min(newX, maxX));
-    newY = Math.max(minY, Math.min(newY, maxY));
+    this.undoStack.push(entry);
     
-    // Reset all positioning styles and apply new position
-    this.toolbar.style.top = '';
-    this.toolbar.style.right = '';
-    this.toolbar.style.bottom = '';
-    this.toolbar.style.left = '';
-    this.toolbar.style.transform = '';
+    // Drop the oldest entries once the configured depth is exceeded
+    while (this.undoStack.length > this.historyLimit) {
+      this.undoStack.shift();
+    }
     
-    this.toolbar.style.left = newX + 'px';
-    this.toolbar.style.top = newY + 'px';
+    // A new change invalidates anything that was undone before it
+    this.redoStack = [];
+    this.updateHistoryButtons();
   };
 
   /**
-   * Handle end of toolbar dragging
+   * Remove and add strokes, then re-render the drawing
+   * @param {Array} strokesToRemove - Strokes to take out of the drawing
+   * @param {Array} strokesToAdd - Strokes to put back into the drawing
    */
-  PenTool.prototype.handleToolbarDragEnd = function(event) {
-    if (!this.isDraggingToolbar) return;
-    
-    this.isDraggingToolbar = false;
+  PenTool.prototype.applyStrokeChange = function(strokesToRemove, strokesToAdd) {
+    this.strokes = this.strokes.filter(function(stroke) {
+      return strokesToRemove.indexOf(stroke) === -1;
+    }).concat(strokesToAdd);
     
-    // Reset cursor
-    var dragHandle = this.toolbar.querySelector('.pen-tool-drag-handle');
-    if (dragHandle) {
-      dragHandle.style.cursor = 'grab';
+    if (this.drawingContainer) {
+      this.renderStrokes();
     }
-    
-    // Remove global event listeners
-    document.removeEventListener('mousemove', this.boundHandleToolbarDragMove);
-    document.removeEventListener('mouseup', this.boundHandleToolbarDragEnd);
-    document.removeEventListener('touchmove', this.boundHandleToolbarDragMove);
-    document.removeEventListener('touchend', this.boundHandleToolbarDragEnd);
-    document.removeEventListener('touchcancel', this.boundHandleToolbarDragEnd);
   };
 
   /**
-   * Add event listeners for mouse and touch events
+   * Undo the last stroke, eraser stroke or clear all
+   * @returns {boolean} True if something was undone
    */
-  PenTool.prototype.addEventListeners = function() {
-    var self = this;
+  PenTool.prototype.undo = function() {
+    // Text being typed is committed first, so it is what gets undone
+    this.commitTextEditor();
+    if (!this.canUndo() || this.isDrawing) {
+      return false;
+    }
     
-    // Create bound function references for proper cleanup
-    this.boundHandleDrawStart = function(e) { self.handleDrawStart(e); };
-    this.boundHandleDrawMove = function(e) { self.handleDrawMove(e); };
-    this.boundHandleMouseLeave = function(e) { self.handleMouseLeave(e); };
-    this.boundHandleDrawEnd = function(e) { self.handleDrawEnd(e); };
-    this.boundHandleTouchStart = function(e) { self.handleTouchStart(e); };
-    this.boundHandleTouchMove = function(e) { self.handleTouchMove(e); };
-    this.boundHandleTouchEnd = function(e) { self.handleTouchEnd(e); };
+    var entry = this.undoStack.pop();
+    this.applyStrokeChange(entry.added, entry.removed);
+    this.redoStack.push(entry);
+    this.updateHistoryButtons();
+    this.emit('change', { reason: 'undo' });
+    return true;
+  };
+
+  /**
+   * Redo the last undone change
+   * @returns {boolean} True if something was redone
+   */
+  PenTool.prototype.redo = function() {
+    this.commitTextEditor();
+    if (!this.canRedo() || this.isDrawing) {
+      return false;
+    }
     
-    // Mouse events
-    this.svg.addEventListener('mousedown', this.boundHandleDrawStart);
-    this.svg.addEventListener('mousemove', this.boundHandleDrawMove);
-    this.svg.addEventListener('mouseleave', this.boundHandleMouseLeave);
-    window.addEventListener('mouseup', this.boundHandleDrawEnd);
+    var entry = this.redoStack.pop();
+    this.applyStrokeChange(entry.removed, entry.added);
+    this.undoStack.push(entry);
+    this.updateHistoryButtons();
+    this.emit('change', { reason: 'redo' });
+    return true;
+  };
+
+  /**
+   * Check if there is anything to undo
+   * @returns {boolean} True if undo() would change the drawing
+   */
+  PenTool.prototype.canUndo = function() {
+    return this.undoStack.length > 0;
+  };
+
+  /**
+   * Check if there is anything to redo
+   * @returns {boolean} True if redo() would change the drawing
+   */
+  PenTool.prototype.canRedo = function() {
+    return this.redoStack.length > 0;
+  };
+
+  /**
+   * Forget all undo/redo history without touching the drawing
+   */
+  PenTool.prototype.clearHistory = function() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.updateHistoryButtons();
+  };
+
+  /**
+   * Enable or disable the undo/redo toolbar buttons based on the history
+   */
+  PenTool.prototype.updateHistoryButtons = function() {
+    if (!this.toolbar) {
+      return;
+    }
     
-    // Touch events for mobile support - try multiple approaches
-    this.svg.addEventListener('touchstart', this.boundHandleTouchStart, { passive: false });
-    this.svg.addEventListener('touchmove', this.boundHandleTouchMove, { passive: false });
+    var undoButton = this.toolbar.querySelector('[data-tool="undo"]');
+    var redoButton = this.toolbar.querySelector('[data-tool="redo"]');
+    if (undoButton) {
+      undoButton.disabled = !this.canUndo();
+    }
+    if (redoButton) {
+      redoButton.disabled = !this.canRedo();
+    }
     
-    // Add touch events to target element as fallback
-    this.targetElement.addEventListener('touchstart', this.boundHandleTouchStart, { passive: false });
-    this.targetElement.addEventListener('touchmove', this.boundHandleTouchMove, { passive: false });
+    // A disabled button can't be tabbed to
+    this.updateRovingTabIndex();
+  };
+
+  /**
+   * Serialize the drawing as a versioned JSON document
+   *
+   * Document format (version 1):
+   * {
+   *   "type": "pen-tool-drawing",
+   *   "version": 1,
+   *   "strokes": [
+   *     { "type": "pen", "timestamp": 1700000000000, "points": [[x, y], ...], "color": "#000000", "width": 3 },
+   *     { "type": "pen", "timestamp": 1700000000200, "points": [[x, y, pressure], ...], "color": "#000000", "width": 3,
+   *       "variableWidth": { "thinning": 0.5, "streamline": 0.5, "taperStart": 0, "taperEnd": 0, "simulatePressure": true } },
+   *     { "type": "eraser", "timestamp": 1700000000500, "points": [[x, y], ...], "eraserWidth": 15 }
+   *   ],
+   *   "viewBox": { "width": 1000, "height": 750 }
+   * }
+   *
+   * Strokes are ordered oldest first; an eraser stroke only erases pen strokes
+   * with an older timestamp. Points are in drawing coordinates: pixels relative to the drawing
+   * area when the view is at actual size and not panned (see getView()). Drawings made with the
+   * viewBox option list it and have their points, widths and font sizes in its units instead.
+   * Pen points drawn with a stylus carry its pressure (0-1) as a third entry: [x, y, pressure].
+   * Pen strokes with "variableWidth" are rendered as filled outlines whose width follows the pressure.
+   * Strokes with "smoothing" ("quadratic" or "catmull-rom") are drawn as curves through their points.
+   * Moved strokes keep their points and list the moves in "transforms": [{ "matrix": [a, b, c, d, e, f], "timestamp": ... }],
+   * oldest first; an eraser stroke erases a moved stroke where it was at the eraser's timestamp.
+   *
+   * @returns {Object} Plain object that can be passed to JSON.stringify() or loadJSON()
+   */
+  PenTool.prototype.toJSON = function() {
+    var strokes = this.strokes.filter(function(stroke) {
+      return !stroke.isTemporary;
+    });
     
-    // Also add touchmove to document and window as fallback
-    document.addEventListener('touchmove', this.boundHandleTouchMove, { passive: false });
-    window.addEventListener('touchmove', this.boundHandleTouchMove, { passive: false });
+    strokes.sort(function(a, b) {
+      return a.timestamp - b.timestamp;
+    });
     
-    window.addEventListener('touchend', this.boundHandleTouchEnd);
-    window.addEventListener('touchcancel', this.boundHandleTouchEnd);
+    var doc = {
+      type: PenTool.DOCUMENT_TYPE,
+      version: PenTool.DOCUMENT_VERSION,
+      strokes: strokes.map(function(stroke) {
+        return PenTool.serializeStroke(stroke);
+      })
+    };
+    if (this.viewBox && this.viewBox !== 'auto') {
+      doc.viewBox = { width: this.viewBox.width, height: this.viewBox.height };
+    }
+    return doc;
   };
 
   /**
-   * Handle start of drawing (mousedown)
+   * Replace the current drawing with a document created by toJSON()
+   * Older document versions are upgraded through the registered migrations.
+   * Loading a document resets the undo/redo history. A document with a viewBox replaces the
+   * viewBox option, since its points are only meaningful in it.
+   * @param {Object|string} data - Document object or its JSON string
+   * @throws {Error} If the input is not a valid drawing document
    */
-  PenTool.prototype.handleDrawStart = function(event) {
-    // Don't draw if hand tool is active
-    if (this.currentTool === 'hand') return;
+  PenTool.prototype.loadJSON = function(data) {
+    var doc = data;
     
-    event.preventDefault();
+    if (typeof doc === 'string') {
+      try {
+        doc = JSON.parse(doc);
+      } catch (e) {
+        throw new Error('PenTool.loadJSON: input is not valid JSON (' + e.message + ')');
+      }
+    }
     
-    var rect = this.svg.getBoundingClientRect();
-    var x = event.clientX - rect.left;
-    var y = event.clientY - rect.top;
+    doc = PenTool.migrateDocument(doc);
+    PenTool.validateDocument(doc);
     
-    this.isDrawing = true;
+    var self = this;
+    var strokes = doc.strokes.map(function(strokeData) {
+      return self.createStroke(strokeData);
+    });
     
-    if (this.currentTool === 'pen') {
-      this.startDrawing(x, y);
-    } else if (this.currentTool === 'eraser') {
-      this.startErasing(x, y);
+    this.cancelStroke();
+    this.cancelTextEditor();
+    this.strokes = strokes;
+    this.clearHistory();
+    
+    if (doc.viewBox) {
+      this.viewBox = { width: doc.viewBox.width, height: doc.viewBox.height };
+      this.updateContentScale();
+    }
+    
+    if (this.drawingContainer) {
+      this.renderStrokes();
     }
+    
+    this.emit('change', { reason: 'load' });
   };
 
   /**
-   * Handle movement during drawing (mousemove)
+   * Create a live stroke (with its SVG element) from serialized stroke data
+   * @param {Object} strokeData - A stroke entry of a drawing document
+   * @returns {Object} Stroke ready to be added to this.strokes
    */
-  PenTool.prototype.handleDrawMove = function(event) {
-    // Don't handle drawing for hand tool
-    if (this.currentTool === 'hand') return;
-    
-    var rect = this.svg.getBoundingClientRect();
-    var x = event.clientX - rect.left;
-    var y = event.clientY - rect.top;
+  PenTool.prototype.createStroke = function(strokeData) {
+    var stroke = {
+      id: nextStrokeId(),
+      type: strokeData.type,
+      timestamp: strokeData.timestamp,
+      points: strokeData.points.map(function(point) {
+        return point.slice();
+      })
+    };
+    if (strokeData.smoothing) {
+      stroke.smoothing = strokeData.smoothing;
+    }
+    if (strokeData.transforms && strokeData.transforms.length > 0) {
+      stroke.transforms = strokeData.transforms.map(function(transform) {
+        return { matrix: transform.matrix.slice(), timestamp: transform.timestamp };
+      });
+    }
     
-    // Show eraser indicator when eraser tool is active, even when not drawing
-    if (this.currentTool === 'eraser') {
-      this.showEraserIndicator(x, y);
+    var renderer = getStrokeRenderer(stroke.type);
+    if (renderer) {
+      ['color', 'width', 'opacity'].forEach(function(key) {
+        if (strokeData[key] !== undefined) {
+          stroke[key] = strokeData[key];
+        }
+      });
+      if (strokeData.data !== undefined) {
+        stroke.data = JSON.parse(JSON.stringify(strokeData.data));
+      }
+      stroke.element = renderer.render.call(this, stroke);
+      return stroke;
     }
     
-    if (!this.isDrawing) return;
+    if (stroke.type === 'highlighter') {
+      stroke.color = strokeData.color;
+      stroke.width = strokeData.width;
+      stroke.opacity = strokeData.opacity !== undefined ? strokeData.opacity : 1;
+      stroke.element = this.createHighlighterPath(stroke.color, stroke.width);
+    } else if (stroke.type === 'shape') {
+      stroke.shape = strokeData.shape;
+      if (strokeData.arrowHeads) {
+        stroke.arrowHeads = strokeData.arrowHeads;
+      }
+      if (strokeData.recognized) {
+        stroke.recognized = { shape: strokeData.recognized.shape, confidence: strokeData.recognized.confidence };
+      }
+      stroke.color = strokeData.color;
+      stroke.width = strokeData.width;
+      if (strokeData.opacity !== undefined) {
+        stroke.opacity = strokeData.opacity;
+      }
+      stroke.element = this.createPenPath(stroke.color, stroke.width, null, stroke.opacity);
+    } else if (stroke.type === 'text') {
+      stroke.text = strokeData.text;
+      stroke.fontSize = strokeData.fontSize;
+      if (strokeData.bold) {
+        stroke.bold = true;
+      }
+      stroke.color = strokeData.color;
+      if (strokeData.opacity !== undefined) {
+        stroke.opacity = strokeData.opacity;
+      }
+      stroke.element = this.createTextElement(stroke);
+      return stroke;
+    } else if (stroke.type === 'pen') {
+      stroke.color = strokeData.color;
+      stroke.width = strokeData.width;
+      if (strokeData.variableWidth) {
+        stroke.variableWidth = normalizeVariableWidth(strokeData.variableWidth);
+      }
+      if (strokeData.opacity !== undefined) {
+        stroke.opacity = strokeData.opacity;
+      }
+      stroke.element = this.createPenPath(stroke.color, stroke.width, stroke.variableWidth, stroke.opacity);
+    } else {
+      stroke.eraserWidth = strokeData.eraserWidth;
+      stroke.element = this.createEraserPath(stroke.eraserWidth);
+    }
     
-    if (this.currentTool === 'pen') {
-      this.continueDrawing(x, y);
-    } else if (this.currentTool === 'eraser') {
-      this.continueErasing(x, y);
+    if (stroke.type === 'shape') {
+      stroke.element.setAttribute('d', buildShapePathData(stroke));
+    } else if (stroke.variableWidth) {
+      stroke.element.setAttribute('d', buildOutlinePathData(stroke.points, stroke.width, stroke.variableWidth));
+    } else {
+      stroke.element.setAttribute('d', this.buildPathData(stroke.points, stroke.smoothing));
     }
+    return stroke;
   };
 
   /**
-   * Handle mouse leaving the SVG area
+   * Document type identifier written by toJSON()
    */
-  PenTool.prototype.handleMouseLeave = function() {
-    if (this.currentTool === 'eraser' && !this.isDrawing) {
-      this.hideEraserIndicator();
+  PenTool.DOCUMENT_TYPE = 'pen-tool-drawing';
+
+  /**
+   * Current document schema version written by toJSON()
+   */
+  PenTool.DOCUMENT_VERSION = 1;
+
+  /**
+   * Registered document migrations, keyed by the version they upgrade from
+   */
+  PenTool.migrations = {};
+
+  /**
+   * Register a migration that upgrades documents from one schema version to the next
+   * @param {number} fromVersion - The version the migration accepts
+   * @param {Function} migrate - Receives the document and returns it at version fromVersion + 1
+   */
+  PenTool.registerMigration = function(fromVersion, migrate) {
+    if (typeof migrate !== 'function') {
+      throw new Error('PenTool.registerMigration: migrate must be a function');
     }
+    PenTool.migrations[fromVersion] = migrate;
   };
 
   /**
-   * Handle end of drawing (mouseup)
+   * Upgrade a document to the current schema version
+   * @param {Object} doc - Drawing document of any known version
+   * @returns {Object} Document at PenTool.DOCUMENT_VERSION
+   * @throws {Error} If the version is unknown or a migration is missing
    */
-  PenTool.prototype.handleDrawEnd = function() {
-    if (!this.isDrawing) return;
+  PenTool.migrateDocument = function(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      throw new Error('PenTool.loadJSON: document must be an object');
+    }
+    if (doc.type !== PenTool.DOCUMENT_TYPE) {
+      throw new Error('PenTool.loadJSON: document type must be "' + PenTool.DOCUMENT_TYPE + '", got ' + JSON.stringify(doc.type));
+    }
+    if (typeof doc.version !== 'number' || Math.floor(doc.version) !== doc.version || doc.version < 1) {
+      throw new Error('PenTool.loadJSON: document version must be a positive integer, got ' + JSON.stringify(doc.version));
+    }
+    if (doc.version > PenTool.DOCUMENT_VERSION) {
+      throw new Error('PenTool.loadJSON: document version ' + doc.version + ' is newer than the supported version ' + PenTool.DOCUMENT_VERSION);
+    }
     
-    if (this.currentPath) {
-      // Remove any temporary stroke first
-      if (this.temporaryEraserStroke) {
-        this.strokes = this.strokes.filter(function(stroke) {
-          return !stroke.isTemporary;
-        });
-        this.temporaryEraserStroke = null;
+    while (doc.version < PenTool.DOCUMENT_VERSION) {
+      var migrate = PenTool.migrations[doc.version];
+      if (!migrate) {
+        throw new Error('PenTool.loadJSON: no migration registered for document version ' + doc.version);
       }
       
-      // Add the completed stroke to our strokes array with the current timestamp
-      var timestamp = Date.now();
-      this.strokes.push({
-        type: this.currentTool,
-        element: this.currentPath,
-        timestamp: timestamp
-      });
-      
-      // Apply the time-based masking
-      this.renderStrokes();
+      var fromVersion = doc.version;
+      doc = migrate(doc);
+      if (!doc || doc.version !== fromVersion + 1) {
+        throw new Error('PenTool.loadJSON: migration from version ' + fromVersion + ' must return a document with version ' + (fromVersion + 1));
+      }
     }
     
-    this.isDrawing = false;
-    this.currentPath = null;
-    this.hideEraserIndicator();
+    return doc;
+  };
+
+  /**
+   * Validate a document against the current schema
+   * @param {Object} doc - Drawing document at PenTool.DOCUMENT_VERSION
+   * @throws {Error} Describing the first problem found, e.g. "strokes[2].points[5]: ..."
+   */
+  PenTool.validateDocument = function(doc) {
+    var fail = function(path, message) {
+      throw new Error('PenTool.loadJSON: ' + path + ' ' + message);
+    };
+    var isNumber = function(value) {
+      return typeof value === 'number' && isFinite(value);
+    };
+    
+    if (!Array.isArray(doc.strokes)) {
+      fail('strokes', 'must be an array');
+    }
+    if (doc.viewBox !== undefined && !(doc.viewBox && isNumber(doc.viewBox.width) && isNumber(doc.viewBox.height) &&
+        doc.viewBox.width > 0 && doc.viewBox.height > 0)) {
+      fail('viewBox', 'must be { width, height } with positive numbers');
+    }
+    
+    for (var i = 0; i < doc.strokes.length; i++) {
+      var stroke = doc.strokes[i];
+      var path = 'strokes[' + i + ']';
+      
+      if (!stroke || typeof stroke !== 'object') {
+        fail(path, 'must be an object');
+      }
+      var custom = !!getStrokeRenderer(stroke.type);
+      if (STROKE_TYPES.indexOf(stroke.type) === -1 && !custom) {
+        fail(path + '.type', 'must be "pen", "highlighter", "shape", "text", "eraser" or the name of a tool that renders strokes, got ' + JSON.stringify(stroke.type));
+      }
+      if (!isNumber(stroke.timestamp)) {
+        fail(path + '.timestamp', 'must be a number');
+      }
+      if (!Array.isArray(stroke.points) || stroke.points.length === 0) {
+        fail(path + '.points', 'must be a non-empty array');
+      }
+      if (stroke.smoothing !== undefined && stroke.smoothing !== 'quadratic' && stroke.smoothing !== 'catmull-rom') {
+        fail(path + '.smoothing', 'must be "quadratic" or "catmull-rom", got ' + JSON.stringify(stroke.smoothing));
+      }
+      for (var j = 0; j < stroke.points.length; j++) {
+        var point = stroke.points[j];
+        if (!Array.isArray(point) || point.length < 2 || !isNumber(point[0]) || !isNumber(point[1])) {
+          fail(path + '.points[' + j + ']', 'must be an [x, y] pair of numbers');
+        }
+        if (point.length > 2 && (!isNumber(point[2]) || point[2] < 0 || point[2] > 1)) {
+          fail(path + '.points[' + j + '][2]', 'pressure must be a number between 0 and 1');
+        }
+      }
+      
+      if (stroke.type === 'shape') {
+        if (STROKE_SHAPES.indexOf(stroke.shape) === -1) {
+          fail(path + '.shape', 'must be one of ' + STROKE_SHAPES.join(', ') + ', got ' + JSON.stringify(stroke.shape));
+        }
+        if (stroke.shape === 'polygon' ? stroke.points.length < 3 : stroke.points.length !== 2) {
+          fail(path + '.points', stroke.shape === 'polygon' ? 'must contain at least 3 points for a polygon' : 'must contain exactly 2 points for a shape');
+        }
+        if (stroke.recognized !== undefined) {
+          if (!stroke.recognized || RECOGNIZED_SHAPES.indexOf(stroke.recognized.shape) === -1) {
+            fail(path + '.recognized.shape', 'must be one of ' + RECOGNIZED_SHAPES.join(', '));
+          }
+          if (!isNumber(stroke.recognized.confidence) || stroke.recognized.confidence < 0 || stroke.recognized.confidence > 1) {
+            fail(path + '.recognized.confidence', 'must be a number between 0 and 1');
+          }
+        }
+        if (stroke.arrowHeads !== undefined && ARROW_HEADS.indexOf(stroke.arrowHeads) === -1) {
+          fail(path + '.arrowHeads', 'must be one of ' + ARROW_HEADS.join(', ') + ', got ' + JSON.stringify(stroke.arrowHeads));
+        }
+      }
+      
+      if (stroke.transforms !== undefined) {
+        if (!Array.isArray(stroke.transforms) || stroke.type === 'eraser') {
+          fail(path + '.transforms', 'must be an array, and only ink strokes can be moved');
+        }
+        for (var t = 0; t < stroke.transforms.length; t++) {
+          var transform = stroke.transforms[t];
+          var transformPath = path + '.transforms[' + t + ']';
+          if (!transform || !Array.isArray(transform.matrix) || transform.matrix.length !== 6 || !transform.matrix.every(isNumber)) {
+            fail(transformPath + '.matrix', 'must be an array of 6 numbers');
+          }
+          if (transform.matrix[0] * transform.matrix[3] - transform.matrix[1] * transform.matrix[2] === 0) {
+            fail(transformPath + '.matrix', 'must be invertible');
+          }
+          if (!isNumber(transform.timestamp)) {
+            fail(transformPath + '.timestamp', 'must be a number');
+          }
+        }
+      }
+      
+      if (stroke.type === 'text') {
+        if (stroke.points.length !== 1) {
+          fail(path + '.points', 'must contain exactly 1 point for text');
+        }
+        if (typeof stroke.text !== 'string' || stroke.text === '') {
+          fail(path + '.text', 'must be a non-empty string');
+        }
+        if (!isNumber(stroke.fontSize) || stroke.fontSize <= 0) {
+          fail(path + '.fontSize', 'must be a positive number');
+        }
+        if (stroke.bold !== undefined && typeof stroke.bold !== 'boolean') {
+          fail(path + '.bold', 'must be a boolean');
+        }
+      }
+      
+      if (custom && stroke.data !== undefined && (!stroke.data || typeof stroke.data !== 'object')) {
+        fail(path + '.data', 'must be an object');
+      }
+      
+      if (stroke.type !== 'eraser') {
+        // Custom strokes may leave out color and width
+        if ((!custom || stroke.color !== undefined) && (typeof stroke.color !== 'string' || stroke.color === '')) {
+          fail(path + '.color', 'must be a non-empty string');
+        }
+        if (stroke.type !== 'text' && (!custom || stroke.width !== undefined) && (!isNumber(stroke.width) || stroke.width <= 0)) {
+          fail(path + '.width', 'must be a positive number');
+        }
+        if (stroke.opacity !== undefined && (!isNumber(stroke.opacity) || stroke.opacity <= 0 || stroke.opacity > 1)) {
+          fail(path + '.opacity', 'must be a number greater than 0 and at most 1');
+        }
+        if (stroke.variableWidth !== undefined) {
+          if (!stroke.variableWidth || typeof stroke.variableWidth !== 'object') {
+            fail(path + '.variableWidth', 'must be an object');
+          }
+          for (var setting in VARIABLE_WIDTH_DEFAULTS) {
+            var value = stroke.variableWidth[setting];
+            var expected = typeof VARIABLE_WIDTH_DEFAULTS[setting];
+            if (value !== undefined && (expected === 'number' ? !isNumber(value) : typeof value !== expected)) {
+              fail(path + '.variableWidth.' + setting, 'must be a ' + expected);
+            }
+          }
+        }
+      } else if (!isNumber(stroke.eraserWidth) || stroke.eraserWidth <= 0) {
+        fail(path + '.eraserWidth', 'must be a positive number');
+      }
+    }
   };
 
   /**
-   * Handle touch start event
+   * Convert a live stroke into its serializable document entry
+   * @param {Object} stroke - A stroke from this.strokes
+   * @returns {Object} Plain stroke data without DOM references
    */
-  PenTool.prototype.handleTouchStart = function(event) {
-    // Allow multi-touch for hand tool (pinch zoom)
-    if (this.currentTool === 'hand') return;
+  PenTool.serializeStroke = function(stroke) {
+    var data = {
+      type: stroke.type,
+      timestamp: stroke.timestamp,
+      points: stroke.points.map(function(point) {
+        return point.slice();
+      })
+    };
+    if (stroke.smoothing) {
+      data.smoothing = stroke.smoothing;
+    }
+    if (stroke.transforms) {
+      data.transforms = stroke.transforms.map(function(transform) {
+        return { matrix: transform.matrix.slice(), timestamp: transform.timestamp };
+      });
+    }
+    
+    if (stroke.type === 'shape') {
+      data.shape = stroke.shape;
+      if (stroke.arrowHeads) {
+        data.arrowHeads = stroke.arrowHeads;
+      }
+      if (stroke.recognized) {
+        data.recognized = { shape: stroke.recognized.shape, confidence: stroke.recognized.confidence };
+      }
+    }
     
-    // Allow multi-touch gestures (pinch zoom, pan) even with pen/eraser tools
-    if (event.touches.length !== 1) return;
+    if (stroke.type === 'text') {
+      data.text = stroke.text;
+      data.fontSize = stroke.fontSize;
+      if (stroke.bold) {
+        data.bold = true;
+      }
+    }
     
-    var touch = event.touches[0];
-    var rect = this.svg.getBoundingClientRect();
-    var x = touch.clientX - rect.left;
-    var y = touch.clientY - rect.top;
+    if (stroke.data !== undefined) {
+      data.data = JSON.parse(JSON.stringify(stroke.data));
+    }
     
-    // Only prevent default if touch is within the SVG bounds
-    if (x >= 0 && y >= 0 && x <= rect.width && y <= rect.height) {
-      event.preventDefault();
-      event.stopPropagation();
-      
-      this.isDrawing = true;
-      
-      if (this.currentTool === 'pen') {
-        this.startDrawing(x, y);
-      } else if (this.currentTool === 'eraser') {
-        this.startErasing(x, y);
+    if (isInkStroke(stroke)) {
+      if (stroke.color !== undefined) {
+        data.color = stroke.color;
       }
+      if (stroke.type !== 'text' && stroke.width !== undefined) {
+        data.width = stroke.width;
+      }
+      if (stroke.opacity !== undefined) {
+        data.opacity = stroke.opacity;
+      }
+      if (stroke.variableWidth) {
+        data.variableWidth = normalizeVariableWidth(stroke.variableWidth);
+      }
+    } else {
+      data.eraserWidth = stroke.eraserWidth;
     }
+    
+    return data;
   };
 
   /**
-   * Handle touch move event
+   * Export the drawing as a self-contained SVG string
+   * Eraser masks are inlined with ids that are unique to the export, so the
+   * result can be embedded next to other exports or the live drawing.
+   * @param {Object} [options]
+   * @param {string} [options.background] - Background color, or 'target' to use the target element's background
+   * @param {boolean} [options.crop=false] - Crop to the bounding box of the visible ink instead of the whole drawing area
+   * @param {number} [options.padding=0] - Extra space around the cropped bounding box
+   * @returns {string} SVG markup with width, height and viewBox set
    */
-  PenTool.prototype.handleTouchMove = function(event) {
-    // Allow default touch behaviors for hand tool
-    if (this.currentTool === 'hand') return;
-    
-    // Allow multi-touch gestures (pinch zoom, pan) even with pen/eraser tools
-    if (event.touches.length !== 1) return;
+  PenTool.prototype.exportSVG = function(options) {
+    options = options || {};
     
-    var touch = event.touches[0];
-    var rect = this.svg.getBoundingClientRect();
-    var x = touch.clientX - rect.left;
-    var y = touch.clientY - rect.top;
+    var bounds = this.getExportBounds(options);
+    var svgNS = 'http://www.w3.org/2000/svg';
     
-    // Only prevent default if touch is within the SVG bounds and we're drawing
-    var isWithinBounds = x >= 0 && y >= 0 && x <= rect.width && y <= rect.height;
+    var svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('width', bounds.width.toString());
+    svg.setAttribute('height', bounds.height.toString());
+    svg.setAttribute('viewBox', bounds.x + ' ' + bounds.y + ' ' + bounds.width + ' ' + bounds.height);
     
-    // Show eraser indicator when eraser tool is active, even when not drawing
-    if (this.currentTool === 'eraser' && isWithinBounds) {
-      this.showEraserIndicator(x, y);
+    var background = options.background === 'target' ? this.getTargetBackgroundColor() : options.background;
+    if (background) {
+      var backgroundRect = document.createElementNS(svgNS, 'rect');
+      backgroundRect.setAttribute('x', bounds.x.toString());
+      backgroundRect.setAttribute('y', bounds.y.toString());
+      backgroundRect.setAttribute('width', bounds.width.toString());
+      backgroundRect.setAttribute('height', bounds.height.toString());
+      backgroundRect.setAttribute('fill', background);
+      svg.appendChild(backgroundRect);
     }
     
-    if (!this.isDrawing) return;
+    var defs = document.createElementNS(svgNS, 'defs');
+    var container = document.createElementNS(svgNS, 'g');
+    svg.appendChild(defs);
+    svg.appendChild(container);
     
-    // Only prevent default for drawing operations within bounds
-    if (isWithinBounds) {
-      event.preventDefault();
-      event.stopPropagation();
-      
-      if (this.currentTool === 'pen') {
-        this.continueDrawing(x, y);
-      } else if (this.currentTool === 'eraser') {
-        this.continueErasing(x, y);
-      }
+    // Temporary eraser strokes only exist while erasing and are not part of the drawing
+    var strokes = this.strokes.filter(function(stroke) {
+      return !stroke.isTemporary;
+    });
+    strokes.sort(function(a, b) {
+      return a.timestamp - b.timestamp;
+    });
+    this.buildStrokeElements(strokes, container, defs, 'pen-tool-export-' + (++exportCounter) + '-mask-');
+    
+    return new XMLSerializer().serializeToString(svg);
+  };
+
+  /**
+   * Rasterize the drawing into a PNG blob
+   * Accepts the exportSVG() options plus:
+   * @param {Object} [options]
+   * @param {number} [options.scale=1] - Pixel density multiplier (e.g. 2 for retina output)
+   * @returns {Promise<Blob>} Resolves with the PNG image
+   */
+  PenTool.prototype.exportPNG = function(options) {
+    var pngOptions = {};
+    for (var key in options) {
+      pngOptions[key] = options[key];
     }
+    pngOptions.type = 'image/png';
+    return this.toBlob(pngOptions);
   };
 
   /**
-   * Handle touch end event
+   * Rasterize the drawing into an image data URL
+   * Accepts the exportSVG() options plus scale, type ('image/png' by default) and quality.
+   * @param {Object} [options]
+   * @returns {Promise<string>} Resolves with the data URL
    */
-  PenTool.prototype.handleTouchEnd = function() {
-    // Don't handle draw end for hand tool
-    if (this.currentTool === 'hand') return;
+  PenTool.prototype.toDataURL = function(options) {
+    options = options || {};
     
-    this.handleDrawEnd();
+    return this.rasterize(options).then(function(canvas) {
+      return canvas.toDataURL(options.type || 'image/png', options.quality);
+    });
   };
 
   /**
-   * Start drawing at the specified coordinates
+   * Rasterize the drawing into an image blob
+   * Accepts the exportSVG() options plus scale, type ('image/png' by default) and quality.
+   * @param {Object} [options]
+   * @returns {Promise<Blob>} Resolves with the image blob
    */
-  PenTool.prototype.startDrawing = function(x, y) {
-    this.currentPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    this.currentPath.setAttribute('stroke', this.lineColor);
-    this.currentPath.setAttribute('stroke-width', this.lineWidth.toString());
-    this.currentPath.setAttribute('fill', 'none');
-    this.currentPath.setAttribute('stroke-linecap', 'round');
-    this.currentPath.setAttribute('stroke-linejoin', 'round');
-    this.currentPath.style.pointerEvents = 'none'; // Prevent paths from blocking touch events
-    this.currentPath.setAttribute('pointer-events', 'none');
-    
-    this.currentPathData = 'M ' + x + ' ' + y;
-    this.currentPath.setAttribute('d', this.currentPathData);
+  PenTool.prototype.toBlob = function(options) {
+    options = options || {};
     
-    // Add to our drawing container
-    this.drawingContainer.appendChild(this.currentPath);
+    return this.rasterize(options).then(function(canvas) {
+      return new Promise(function(resolve, reject) {
+        canvas.toBlob(function(blob) {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('PenTool: the browser could not encode the image'));
+          }
+        }, options.type || 'image/png', options.quality);
+      });
+    });
   };
 
   /**
-   * Continue drawing to the specified coordinates
+   * Draw the exported SVG onto a canvas
+   * @param {Object} options - exportSVG() options plus scale
+   * @returns {Promise<HTMLCanvasElement>} Resolves with the rendered canvas
    */
-  PenTool.prototype.continueDrawing = function(x, y) {
-    if (!this.currentPath) return;
+  PenTool.prototype.rasterize = function(options) {
+    var bounds = this.getExportBounds(options);
+    var scale = options.scale || 1;
+    var svgString = this.exportSVG(options);
     
-    this.currentPathData += ' L ' + x + ' ' + y;
-    this.currentPath.setAttribute('d', this.currentPathData);
+    return new Promise(function(resolve, reject) {
+      var image = new Image();
+      image.onload = function() {
+        var canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bounds.width * scale));
+        canvas.height = Math.max(1, Math.round(bounds.height * scale));
+        
+        var context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        resolve(canvas);
+      };
+      image.onerror = function() {
+        reject(new Error('PenTool: the exported SVG could not be rasterized'));
+      };
+      image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgString);
+    });
   };
 
   /**
-   * Start erasing at the specified coordinates
+   * Get the area covered by an export
+   * @param {Object} options - exportSVG() options
+   * @returns {Object} { x, y, width, height } in drawing coordinates
    */
-  PenTool.prototype.startErasing = function(x, y) {
-    this.showEraserIndicator(x, y);
-    
-    // Create a new eraser path (invisible, just for tracking)
-    this.currentPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    this.currentPath.setAttribute('class', 'eraser-path');
-    this.currentPath.setAttribute('stroke-width', this.eraserWidth.toString());
-    this.currentPath.setAttribute('fill', 'none');
-    this.currentPath.setAttribute('stroke-linecap', 'round');
-    this.currentPath.setAttribute('stroke-linejoin', 'round');
-    this.currentPath.style.pointerEvents = 'none'; // Prevent eraser paths from blocking touch events
-    this.currentPath.setAttribute('pointer-events', 'none');
-    
-    this.currentPathData = 'M ' + x + ' ' + y;
-    this.currentPath.setAttribute('d', this.currentPathData);
+  PenTool.prototype.getExportBounds = function(options) {
+    if (options.crop) {
+      var inkBounds = this.getDrawingBounds();
+      if (inkBounds) {
+        var padding = options.padding || 0;
+        return {
+          x: inkBounds.x - padding,
+          y: inkBounds.y - padding,
+          width: inkBounds.width + padding * 2,
+          height: inkBounds.height + padding * 2
+        };
+      }
+    }
     
-    // Create a temporary eraser stroke for live erasing
-    this.temporaryEraserStroke = {
-      type: 'eraser',
-      element: this.currentPath,
-      timestamp: Date.now(),
-      isTemporary: true
+    // Otherwise the part of the drawing the view shows
+    var size = this.getViewportSize();
+    var view = this.view;
+    var scale = this.getViewScale();
+    return {
+      x: formatCoordinate(-view.x / scale),
+      y: formatCoordinate(-view.y / scale),
+      width: formatCoordinate((Math.round(size.width) || 1) / scale),
+      height: formatCoordinate((Math.round(size.height) || 1) / scale)
     };
-    
-    // Add to strokes for real-time erasing effect
-    this.strokes.push(this.temporaryEraserStroke);
-    
-    // Render the strokes to show immediate erasing effect
-    this.renderStrokes();
   };
 
   /**
-   * Continue erasing to the specified coordinates
+   * Get the bounding box of all pen strokes, including their line width
+   * @returns {Object|null} { x, y, width, height }, or null if there is no ink
    */
-  PenTool.prototype.continueErasing = function(x, y) {
-    if (!this.currentPath) {
-      return;
+  PenTool.prototype.getDrawingBounds = function() {
+    var minX = Infinity;
+    var minY = Infinity;
+    var maxX = -Infinity;
+    var maxY = -Infinity;
+    
+    for (var i = 0; i < this.strokes.length; i++) {
+      var stroke = this.strokes[i];
+      if (!isInkStroke(stroke)) {
+        continue;
+      }
+      
+      // Includes the stroke width, arrow heads etc.
+      var bounds = getStrokeBounds(stroke);
+      minX = Math.min(minX, bounds.minX);
+      minY = Math.min(minY, bounds.minY);
+      maxX = Math.max(maxX, bounds.maxX);
+      maxY = Math.max(maxY, bounds.maxY);
     }
     
-    this.showEraserIndicator(x, y);
+    if (minX === Infinity) {
+      return null;
+    }
     
-    this.currentPathData += ' L ' + x + ' ' + y;
-    this.currentPath.setAttribute('d', this.currentPathData);
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  };
+
+  /**
+   * Find the background color the user sees behind the drawing
+   * Walks up from the target element until a non-transparent background is found.
+   * @returns {string} CSS color, white if every ancestor is transparent
+   */
+  PenTool.prototype.getTargetBackgroundColor = function() {
+    var element = this.targetElement;
     
-    // Update the temporary eraser stroke in real-time
-    if (this.temporaryEraserStroke) {
-      this.temporaryEraserStroke.element.setAttribute('d', this.currentPathData);
-      this.renderStrokes();
+    while (element && element.nodeType === 1) {
+      var color = window.getComputedStyle(element).backgroundColor;
+      if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') {
+        return color;
+      }
+      element = element.parentElement;
     }
+    
+    return '#ffffff';
   };
 
   /**
-   * Render all strokes with proper masking
+   * Update pen tool options
    */
-  PenTool.prototype.renderStrokes = function() {
-    var self = this;
+  PenTool.prototype.updateOptions = function(options) {
+    if (options.lineWidth !== undefined) {
+      this.lineWidth = options.lineWidth;
+    }
     
-    // Clear the container
-    while (this.drawingContainer.firstChild) {
-      this.drawingContainer.removeChild(this.drawingContainer.firstChild);
+    if (options.lineColor !== undefined) {
+      this.lineColor = options.lineColor;
     }
     
-    // Clear any previous defs
-    var defs = this.svg.querySelector('defs');
-    if (!defs) {
-      defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-      this.svg.appendChild(defs);
-    } else {
-      while (defs.firstChild) {
-        defs.removeChild(defs.firstChild);
-      }
+    if (options.lineOpacity !== undefined) {
+      this.lineOpacity = options.lineOpacity;
     }
     
-    // Sort strokes by timestamp (oldest first)
-    this.strokes.sort(function(a, b) {
-      return a.timestamp - b.timestamp;
-    });
+    if (options.highlighterColor !== undefined) {
+      this.highlighterColor = options.highlighterColor;
+    }
     
-    // First, separate pen strokes and eraser strokes
-    var penStrokes = [];
-    var eraserStrokes = [];
+    if (options.highlighterWidth !== undefined) {
+      this.highlighterWidth = options.highlighterWidth;
+    }
     
-    for (var i = 0; i < this.strokes.length; i++) {
-      var stroke = this.strokes[i];
-      if (stroke.type === 'pen') {
-        penStrokes.push(stroke);
+    if (options.highlighterOpacity !== undefined) {
+      this.highlighterOpacity = options.highlighterOpacity;
+    }
+    
+    if (options.shapeType !== undefined) {
+      if (SHAPE_TYPES.indexOf(options.shapeType) === -1) {
+        console.error('Invalid shape type: ' + options.shapeType + '. Valid shape types are: ' + SHAPE_TYPES.join(', '));
       } else {
-        eraserStrokes.push(stroke);
+        this.shapeType = options.shapeType;
       }
     }
     
-    // For each pen stroke, create a mask that includes all eraser strokes
-    // that came AFTER this pen stroke (newer erasers affect older pen strokes)
-    for (var penIndex = 0; penIndex < penStrokes.length; penIndex++) {
-      var penStroke = penStrokes[penIndex];
-      
-      // Clone the pen stroke
-      var penElement = penStroke.element.cloneNode(true);
-      // Ensure cloned elements don't block touch events
-      penElement.style.pointerEvents = 'none';
-      penElement.setAttribute('pointer-events', 'none');
-      
-      // Get all eraser strokes that came after this pen stroke
-      var applicableErasers = eraserStrokes.filter(function(eraser) {
-        return eraser.timestamp > penStroke.timestamp;
-      });
-      
-      if (applicableErasers.length > 0) {
-        // This pen stroke needs masking
-        var maskId = 'pen-mask-' + penIndex;
-        var mask = document.createElementNS('http://www.w3.org/2000/svg', 'mask');
-        mask.id = maskId;
-        
-        // Add white background to mask (fully visible)
-        var background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        background.setAttribute('x', '0');
-        background.setAttribute('y', '0');
-        background.setAttribute('width', '100%');
-        background.setAttribute('height', '100%');
-        background.setAttribute('fill', 'white');
-        mask.appendChild(background);
-        
-        // Add each applicable eraser to the mask as black (transparent) areas
-        for (var j = 0; j < applicableErasers.length; j++) {
-          var eraser = applicableErasers[j];
-          var eraserPath = eraser.element.cloneNode(true);
-          eraserPath.setAttribute('stroke', 'black'); // In masks, black means transparent
-          eraserPath.setAttribute('stroke-width', self.eraserWidth.toString());
-          eraserPath.style.pointerEvents = 'none';
-          eraserPath.setAttribute('pointer-events', 'none');
-          mask.appendChild(eraserPath);
-        }
-        
-        // Add mask to defs
-        defs.appendChild(mask);
-        
-        // Create a group with the mask and add the pen stroke to it
-        var maskedGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        maskedGroup.setAttribute('mask', 'url(#' + maskId + ')');
-        maskedGroup.style.pointerEvents = 'none';
-        maskedGroup.appendChild(penElement);
-        
-        // Add the masked group to the drawing container
-        this.drawingContainer.appendChild(maskedGroup);
+    if (options.arrowHeads !== undefined) {
+      if (ARROW_HEADS.indexOf(options.arrowHeads) === -1) {
+        console.error('Invalid arrow heads: ' + options.arrowHeads + '. Valid values are: ' + ARROW_HEADS.join(', '));
       } else {
-        // No applicable erasers, just add the pen stroke directly
-        this.drawingContainer.appendChild(penElement);
+        this.arrowHeads = options.arrowHeads;
       }
     }
-  };
-
-  /**
-   * Hide eraser indicator
-   */
-  PenTool.prototype.hideEraserIndicator = function() {
-    if (this.eraserIndicator && this.eraserIndicator.parentNode) {
-      this.eraserIndicator.parentNode.removeChild(this.eraserIndicator);
-      this.eraserIndicator = null;
+    
+    if (options.fontSize !== undefined) {
+      if (typeof options.fontSize !== 'number' || !(options.fontSize > 0)) {
+        console.error('Invalid font size: ' + options.fontSize + '. It must be a positive number.');
+      } else {
+        this.fontSize = options.fontSize;
+      }
     }
-  };
-
-  /**
-   * Show a visual indicator for the eraser cursor
-   */
-  PenTool.prototype.showEraserIndicator = function(x, y) {
-    var eraserRadius = this.eraserWidth / 2;
     
-    if (!this.eraserIndicator) {
-      this.eraserIndicator = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      this.eraserIndicator.setAttribute('fill', 'rgba(255, 0, 0, 0.1)');
-      this.eraserIndicator.setAttribute('stroke', 'rgba(255, 0, 0, 0.5)');
-      this.eraserIndicator.setAttribute('stroke-width', '1');
-      this.eraserIndicator.style.pointerEvents = 'none';
-      this.eraserIndicator.setAttribute('pointer-events', 'none');
-      this.svg.appendChild(this.eraserIndicator);
+    if (options.fontBold !== undefined) {
+      this.fontBold = !!options.fontBold;
     }
     
-    this.eraserIndicator.setAttribute('cx', x.toString());
-    this.eraserIndicator.setAttribute('cy', y.toString());
-    this.eraserIndicator.setAttribute('r', eraserRadius.toString());
-  };
-
-  /**
-   * Clear all drawings
-   */
-  PenTool.prototype.clearAll = function() {
-    // Clear drawing container
-    while (this.drawingContainer.firstChild) {
-      this.drawingContainer.removeChild(this.drawingContainer.firstChild);
+    if (options.viewGestures !== undefined) {
+      this.viewGestures = options.viewGestures;
     }
     
-    // Clear strokes array
-    this.strokes = [];
+    if (options.minZoom !== undefined || options.maxZoom !== undefined) {
+      var minZoom = options.minZoom !== undefined ? options.minZoom : this.minZoom;
+      var maxZoom = options.maxZoom !== undefined ? options.maxZoom : this.maxZoom;
+      if (typeof minZoom !== 'number' || typeof maxZoom !== 'number' || !(minZoom > 0) || !(maxZoom >= minZoom)) {
+        console.error('Invalid zoom limits: ' + minZoom + ' - ' + maxZoom + '. They must be positive, with minZoom <= maxZoom.');
+      } else {
+        this.minZoom = minZoom;
+        this.maxZoom = maxZoom;
+        // Bring the current zoom back within the new limits
+        this.zoomTo(this.view.zoom);
+      }
+    }
+    
+    if (options.keymap !== undefined) {
+      this.keymap = resolveKeymap(options.keymap);
+      this.updateButtonLabels();
+    }
     
-    // Clear any defs/masks
-    var defs = this.svg.querySelector('defs');
-    if (defs) {
-      while (defs.firstChild) {
-        defs.removeChild(defs.firstChild);
+    if (options.toolbar !== undefined) {
+      var toolbarOptions = options.toolbar || {};
+      if (toolbarOptions.items !== undefined) {
+        this.toolbarItems = resolveToolbarItems(toolbarOptions.items);
+      }
+      if (toolbarOptions.hide !== undefined) {
+        this.hiddenToolbarItems = toolbarOptions.hide || [];
       }
+      this.rebuildToolbarItems();
     }
     
-    this.hideEraserIndicator();
-  };
-
-  /**
-   * Update pen tool options
-   */
-  PenTool.prototype.updateOptions = function(options) {
-    if (options.lineWidth !== undefined) {
-      this.lineWidth = options.lineWidth;
+    if (options.locale !== undefined || options.messages !== undefined) {
+      this.setLocale(options.locale !== undefined ? options.locale : this.locale, options.messages);
     }
     
-    if (options.lineColor !== undefined) {
-      this.lineColor = options.lineColor;
+    if (options.scrollContent !== undefined) {
+      this.scrollContent = !!options.scrollContent;
+      this.updateToolbarScroll();
+      this.handleResize();
+    }
+    
+    if (options.viewBox !== undefined) {
+      var viewBox = options.viewBox;
+      if (viewBox !== null && viewBox !== 'auto' && !(viewBox && typeof viewBox.width === 'number' && typeof viewBox.height === 'number' &&
+          viewBox.width > 0 && viewBox.height > 0)) {
+        console.error('Invalid viewBox: ' + JSON.stringify(viewBox) + '. It must be null, \'auto\' or { width, height } with positive numbers.');
+      } else if (JSON.stringify(viewBox) === JSON.stringify(this.viewBox)) {
+        // Nothing changes
+      } else if (this.strokes.length > 0) {
+        // Existing points are in the current units and would be misplaced in new ones
+        console.error('Cannot change the viewBox of a drawing that has strokes. Clear it or load a document with loadJSON() instead.');
+      } else {
+        this.viewBox = viewBox && viewBox !== 'auto' ? { width: viewBox.width, height: viewBox.height } : viewBox;
+        this.updateContentScale();
+        // Strokes that undo or redo would bring back are in the old units, so the history is dropped
+        this.clearHistory();
+      }
+    }
+    
+    if (options.selectionMode !== undefined) {
+      if (SELECTION_MODES.indexOf(options.selectionMode) === -1) {
+        console.error('Invalid selection mode: ' + options.selectionMode + '. Valid modes are: ' + SELECTION_MODES.join(', '));
+      } else {
+        this.selectionMode = options.selectionMode;
+      }
+    }
+    
+    // The text being typed follows the text style
+    if (this.textEditor) {
+      var editorStyle = this.textEditor.style;
+      if (options.lineColor !== undefined) {
+        editorStyle.color = this.lineColor;
+      }
+      if (options.lineOpacity !== undefined) {
+        editorStyle.opacity = this.lineOpacity;
+      }
+      if (options.fontSize !== undefined) {
+        editorStyle.fontSize = this.fontSize;
+      }
+      if (options.fontBold !== undefined) {
+        editorStyle.bold = this.fontBold;
+      }
+      this.updateTextEditor();
+    }
+    
+    if (options.palette !== undefined) {
+      this.palette = options.palette;
+      // Rebuilt with the new swatches on next open
+      this.closePopover();
+      if (this.popovers.color && this.popovers.color.parentNode) {
+        this.popovers.color.parentNode.removeChild(this.popovers.color);
+      }
+      delete this.popovers.color;
     }
     
     if (options.toolPosition !== undefined) {
+      // Docks the toolbar again if it was moved
       this.toolPosition = options.toolPosition;
+      this.toolbarOffset = null;
       this.setToolbarPosition();
     }
     
@@ -994,6 +8106,55 @@
     if (options.eraserWidth !== undefined) {
       this.eraserWidth = options.eraserWidth;
     }
+    
+    if (options.eraserMode !== undefined) {
+      this.setEraserMode(options.eraserMode);
+    }
+    
+    if (options.splitOnErase !== undefined) {
+      this.splitOnErase = options.splitOnErase;
+    }
+    
+    if (options.smartInk !== undefined) {
+      this.smartInk = options.smartInk;
+    }
+    
+    if (options.smartInkHoldTime !== undefined) {
+      this.smartInkHoldTime = options.smartInkHoldTime;
+    }
+    
+    if (options.variableWidth !== undefined) {
+      this.variableWidth = normalizeVariableWidth(options.variableWidth);
+    }
+    
+    if (options.smoothing !== undefined) {
+      this.smoothing = options.smoothing || 'none';
+    }
+    
+    if (options.simplifyTolerance !== undefined) {
+      this.simplifyTolerance = options.simplifyTolerance;
+    }
+    
+    if (options.historyLimit !== undefined) {
+      this.historyLimit = options.historyLimit;
+      while (this.undoStack.length > Math.max(this.historyLimit, 0)) {
+        this.undoStack.shift();
+      }
+      this.updateHistoryButtons();
+    }
+    
+    if (options.lineColor !== undefined || options.lineOpacity !== undefined ||
+        options.lineWidth !== undefined || options.eraserWidth !== undefined ||
+        options.highlighterColor !== undefined || options.highlighterOpacity !== undefined ||
+        options.highlighterWidth !== undefined || options.shapeType !== undefined ||
+        options.arrowHeads !== undefined || options.fontSize !== undefined ||
+        options.fontBold !== undefined || options.selectionMode !== undefined) {
+      this.updateStyleControls();
+    }
+    
+    if (options.lineColor !== undefined || options.lineWidth !== undefined || options.toolPosition !== undefined) {
+      this.savePreferences();
+    }
   };
 
   /**
@@ -1015,6 +8176,66 @@
         transform: scale(0.95);
       }
       
+      .pen-tool-button:disabled {
+        opacity: 0.4;
+        cursor: default !important;
+      }
+      
+      /* Separators between toolbar groups */
+      .pen-tool-separator {
+        align-self: stretch;
+        width: 1px;
+        margin: 6px 3px;
+        background-color: rgba(0, 0, 0, 0.2);
+      }
+      
+      .pen-tool-toolbar[aria-orientation="vertical"] .pen-tool-separator {
+        width: auto;
+        height: 1px;
+        margin: 3px 6px;
+      }
+      
+      .pen-tool-dark-mode .pen-tool-separator {
+        background-color: rgba(255, 255, 255, 0.3);
+      }
+      
+      /* Keyboard focus */
+      .pen-tool-button:focus-visible,
+      .pen-tool-drag-handle:focus-visible,
+      .pen-tool-popover button:focus-visible,
+      .pen-tool-popover input:focus-visible,
+      .pen-tool-popover select:focus-visible {
+        outline: 2px solid #646cff;
+        outline-offset: 1px;
+      }
+      
+      .pen-tool-dark-mode .pen-tool-button:focus-visible,
+      .pen-tool-dark-mode .pen-tool-drag-handle:focus-visible,
+      .pen-tool-dark-mode .pen-tool-popover button:focus-visible,
+      .pen-tool-dark-mode .pen-tool-popover input:focus-visible,
+      .pen-tool-dark-mode .pen-tool-popover select:focus-visible {
+        outline-color: #a5a9ff;
+      }
+      
+      .pen-tool-drag-handle[aria-pressed="true"] {
+        opacity: 1;
+        cursor: move !important;
+        background-color: rgba(0, 0, 0, 0.1) !important;
+      }
+      
+      /* Announcements for screen readers only */
+      .pen-tool-live-region {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        border: 0;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+      }
+      
       .pen-tool-dark-mode .pen-tool-toolbar {
         background-color: rgba(50, 50, 50, 0.85) !important;
       }
@@ -1031,7 +8252,6 @@
       /* Hand tool specific styles */
       .pen-tool-hand-mode {
         cursor: grab !important;
-        touch-action: auto !important;
         user-select: auto !important;
       }
 
@@ -1048,6 +8268,38 @@
         cursor: grabbing !important;
       }
 
+      /* Space-drag and two-finger panning of the view */
+      .pen-tool-pan-mode svg {
+        cursor: grab;
+      }
+
+      .pen-tool-panning svg {
+        cursor: grabbing;
+      }
+
+      /* Text tool specific styles */
+      .pen-tool-text-mode svg {
+        cursor: text;
+      }
+
+      .pen-tool-text-editor {
+        position: absolute;
+        margin: 0;
+        padding: 0;
+        border: none;
+        outline: 1px dashed rgba(0, 0, 0, 0.5);
+        background: rgba(255, 255, 255, 0.6);
+        resize: none;
+        overflow: hidden;
+        white-space: pre;
+        box-sizing: content-box;
+      }
+
+      .pen-tool-dark-mode .pen-tool-text-editor {
+        outline-color: rgba(255, 255, 255, 0.5);
+        background: rgba(0, 0, 0, 0.4);
+      }
+
       /* Drag handle specific styles */
       .pen-tool-drag-handle {
         opacity: 0.7;
@@ -1062,6 +8314,115 @@
       .pen-tool-dark-mode .pen-tool-drag-handle:hover {
         background-color: rgba(255, 255, 255, 0.1) !important;
       }
+
+      /* Color and width popovers */
+      .pen-tool-popover {
+        position: absolute;
+        width: 200px;
+        padding: 8px;
+        border-radius: 5px;
+        background-color: rgba(255, 255, 255, 0.95);
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25);
+        font: 12px system-ui, sans-serif;
+        color: #213547;
+      }
+
+      .pen-tool-dark-mode .pen-tool-popover {
+        background-color: rgba(50, 50, 50, 0.95);
+        color: white;
+      }
+
+      .pen-tool-swatches {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-bottom: 6px;
+      }
+
+      .pen-tool-swatch {
+        width: 22px;
+        height: 22px;
+        padding: 0;
+        border: 1px solid rgba(0, 0, 0, 0.3);
+        border-radius: 50%;
+        cursor: pointer;
+      }
+
+      .pen-tool-swatch.selected {
+        box-shadow: 0 0 0 2px #646cff;
+      }
+
+      .pen-tool-shape-option {
+        width: 34px;
+        height: 34px;
+        padding: 4px;
+        border: none;
+        border-radius: 3px;
+        background: none;
+        color: inherit;
+        cursor: pointer;
+      }
+
+      .pen-tool-shape-option.selected {
+        background-color: rgba(0, 0, 0, 0.2);
+      }
+
+      .pen-tool-dark-mode .pen-tool-shape-option.selected {
+        background-color: rgba(255, 255, 255, 0.2);
+      }
+
+      .pen-tool-popover-label {
+        margin-bottom: 4px;
+        opacity: 0.7;
+      }
+
+      .pen-tool-popover-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-bottom: 6px;
+      }
+
+      .pen-tool-popover-action {
+        padding: 4px 8px;
+        border: 1px solid rgba(0, 0, 0, 0.3);
+        border-radius: 3px;
+        background: none;
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+      }
+
+      .pen-tool-popover-action:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .pen-tool-dark-mode .pen-tool-popover-action {
+        border-color: rgba(255, 255, 255, 0.3);
+      }
+
+      .pen-tool-popover-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 6px;
+      }
+
+      .pen-tool-popover-row input[type="range"] {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .pen-tool-popover-value {
+        min-width: 34px;
+        text-align: right;
+      }
+
+      .pen-tool-width-preview {
+        display: block;
+        margin: 0 auto;
+      }
     `;
     
     document.head.appendChild(style);
@@ -1093,6 +8454,131 @@
     `;
   };
 
+  /**
+   * Get SVG icon for zoom
+   */
+  PenTool.prototype.getZoomIcon = function() {
+    return `
+      <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">
+        <circle cx="11" cy="11" r="7"></circle>
+        <path d="M21 21l-5-5"></path>
+        <path d="M8 11h6"></path>
+        <path d="M11 8v6"></path>
+      </svg>
+    `;
+  };
+
+  /**
+   * Get SVG icon for a selection mode
+   * @param {string} mode - 'rectangle' or 'lasso'
+   */
+  PenTool.prototype.getSelectIcon = function(mode) {
+    var paths = {
+      rectangle: '<rect x="3" y="3" width="18" height="18" stroke-dasharray="4 3"></rect>',
+      lasso: '<ellipse cx="12" cy="10" rx="9" ry="6" stroke-dasharray="4 3"></ellipse><path d="M8 15.5c-1.5 1.5-1.5 4 1 5.5"></path>'
+    };
+    return `
+      <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">
+        ${paths[mode]}
+      </svg>
+    `;
+  };
+
+  /**
+   * Get SVG icon for a shape type
+   * @param {string} shape - 'line', 'arrow', 'rectangle' or 'ellipse'
+   */
+  PenTool.prototype.getShapeIcon = function(shape) {
+    var paths = {
+      line: '<path d="M4 20L20 4"></path>',
+      arrow: '<path d="M4 20L20 4"></path><path d="M11 4h9v9"></path>',
+      rectangle: '<rect x="3" y="6" width="18" height="12" rx="1"></rect>',
+      ellipse: '<ellipse cx="12" cy="12" rx="9" ry="6"></ellipse>'
+    };
+    return `
+      <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">
+        ${paths[shape] || paths.rectangle}
+      </svg>
+    `;
+  };
+
+  /**
+   * Get SVG icon for text tool
+   */
+  PenTool.prototype.getTextIcon = function() {
+    return `
+      <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M4 7V4h16v3"></path>
+        <path d="M12 4v16"></path>
+        <path d="M9 20h6"></path>
+      </svg>
+    `;
+  };
+
+  /**
+   * Get SVG icon for the color popover; updateColorIcon() fills it with the current color
+   */
+  PenTool.prototype.getColorIcon = function() {
+    return `
+      <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">
+        <circle cx="12" cy="12" r="9"></circle>
+      </svg>
+    `;
+  };
+
+  /**
+   * Fill the color button's icon with the current color
+   * The color is set as an attribute rather than written into markup, since it can come from options or loaded documents.
+   * @param {HTMLElement} button - The color button
+   */
+  PenTool.prototype.updateColorIcon = function(button) {
+    var circle = button.querySelector('circle');
+    if (!circle) {
+      return;
+    }
+    var style = this.getInkStyle();
+    circle.setAttribute('fill', style.color);
+    circle.setAttribute('fill-opacity', style.opacity);
+  };
+
+  /**
+   * Get SVG icon for the width popover
+   */
+  PenTool.prototype.getWidthIcon = function() {
+    return `
+      <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" fill="none" stroke-linecap="round">
+        <path d="M4 6h16" stroke-width="1"></path>
+        <path d="M4 12h16" stroke-width="2.5"></path>
+        <path d="M4 18h16" stroke-width="4"></path>
+      </svg>
+    `;
+  };
+
+  /**
+   * Get SVG icon for highlighter tool
+   */
+  PenTool.prototype.getHighlighterIcon = function() {
+    return `
+      <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M9 11l-6 6v3h9l3-3"></path>
+        <path d="M22 12l-4.6 4.6a2 2 0 0 1-2.8 0l-5.2-5.2a2 2 0 0 1 0-2.8L14 4"></path>
+      </svg>
+    `;
+  };
+
+  /**
+   * Get SVG icon for stroke eraser mode
+   */
+  PenTool.prototype.getStrokeEraserIcon = function() {
+    return `
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M3 17c3-6 6-8 9-5s6 1 9-5"/>
+        <path d="M15 15l6 6"/>
+        <path d="M21 15l-6 6"/>
+      </svg>
+    `;
+  };
+
   /**
    * Get SVG icon for hand tool
    */
@@ -1107,6 +8593,30 @@
     `;
   };
 
+  /**
+   * Get SVG icon for undo
+   */
+  PenTool.prototype.getUndoIcon = function() {
+    return `
+      <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="1 4 1 10 7 10"></polyline>
+        <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+      </svg>
+    `;
+  };
+
+  /**
+   * Get SVG icon for redo
+   */
+  PenTool.prototype.getRedoIcon = function() {
+    return `
+      <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="23 4 23 10 17 10"></polyline>
+        <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+      </svg>
+    `;
+  };
+
   /**
    * Get SVG icon for clear tool
    */
@@ -1208,6 +8718,11 @@
       return;
     }
     
+    // The listeners are already in place
+    if (this.isEnabled) {
+      return;
+    }
+    
     this.isEnabled = true;
     
     // Make SVG element active again
@@ -1229,6 +8744,8 @@
     if (dragHandle) {
       this.addDragHandleListeners(dragHandle);
     }
+    
+    this.emit('enable', {});
   };
 
   /**
@@ -1255,13 +8772,16 @@
       this.toolbar.style.display = 'none';
     }
     
-    // End any ongoing drawing operation
-    this.isDrawing = false;
-    this.currentPath = null;
+    // End any ongoing drawing operation; typed text is kept
+    this.cancelStroke();
+    this.commitTextEditor();
+    this.activeTouchPointers = [];
     this.hideEraserIndicator();
     
     // Remove event listeners to prevent any drawing
     this.removeEventListeners();
+    
+    this.emit('disable', {});
   };
 
   /**
@@ -1269,29 +8789,42 @@
    * Used when disabling the pen tool
    */
   PenTool.prototype.removeEventListeners = function() {
-    // Remove SVG and window event listeners using bound references
-    if (this.svg && this.boundHandleDrawStart) {
-      this.svg.removeEventListener('mousedown', this.boundHandleDrawStart);
-      this.svg.removeEventListener('mousemove', this.boundHandleDrawMove);
-      this.svg.removeEventListener('mouseleave', this.boundHandleMouseLeave);
-      this.svg.removeEventListener('touchstart', this.boundHandleTouchStart);
-      this.svg.removeEventListener('touchmove', this.boundHandleTouchMove);
+    // Remove SVG pointer event listeners using bound references
+    if (this.svg && this.boundHandlePointerDown) {
+      this.svg.removeEventListener('pointerdown', this.boundHandlePointerDown);
+      this.svg.removeEventListener('pointermove', this.boundHandlePointerMove);
+      this.svg.removeEventListener('pointerup', this.boundHandlePointerUp);
+      this.svg.removeEventListener('pointercancel', this.boundHandlePointerUp);
+      this.svg.removeEventListener('lostpointercapture', this.boundHandlePointerUp);
+      this.svg.removeEventListener('pointerleave', this.boundHandlePointerLeave);
+      this.svg.removeEventListener('wheel', this.boundHandleWheel);
     }
-    
-    if (this.targetElement && this.boundHandleTouchStart) {
-      this.targetElement.removeEventListener('touchstart', this.boundHandleTouchStart);
-      this.targetElement.removeEventListener('touchmove', this.boundHandleTouchMove);
+    if (this.boundHandleKeyDown) {
+      document.removeEventListener('keydown', this.boundHandleKeyDown);
+      document.removeEventListener('keyup', this.boundHandleKeyUp);
     }
-    
-    if (this.boundHandleDrawEnd) {
-      window.removeEventListener('mouseup', this.boundHandleDrawEnd);
-      window.removeEventListener('touchend', this.boundHandleTouchEnd);
-      window.removeEventListener('touchcancel', this.boundHandleTouchEnd);
-      window.removeEventListener('touchmove', this.boundHandleTouchMove);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    } else if (this.boundHandleResize) {
+      window.removeEventListener('resize', this.boundHandleResize);
+    }
+    if (this.targetElement && this.boundHandleScroll) {
+      this.targetElement.removeEventListener('scroll', this.boundHandleScroll);
+      this.targetElement.removeEventListener('pointerdown', this.boundActivateShortcuts, true);
+    }
+    if (shortcutInstance === this) {
+      shortcutInstance = null;
     }
     
-    if (this.boundHandleTouchMove) {
-      document.removeEventListener('touchmove', this.boundHandleTouchMove);
+    // Drop a view gesture and space panning in progress
+    if (this.viewGesture) {
+      this.endViewGesture();
+    }
+    this.isSpacePanning = false;
+    this.touchPositions = {};
+    if (this.targetElement) {
+      this.targetElement.classList.remove('pen-tool-pan-mode');
     }
     
     // Remove system theme change listener
@@ -1304,8 +8837,16 @@
     if (dragHandle && this.boundHandleToolbarDragStart) {
       dragHandle.removeEventListener('mousedown', this.boundHandleToolbarDragStart);
       dragHandle.removeEventListener('touchstart', this.boundHandleToolbarDragStart);
+      dragHandle.removeEventListener('keydown', this.boundHandleDragHandleKeyDown);
+      dragHandle.removeEventListener('blur', this.boundHandleDragHandleBlur);
     }
     
+    // Close the open popover and its outside-click listener
+    this.closePopover();
+    
+    // Drop the open text box and its outside-click listener
+    this.cancelTextEditor();
+    
     // Remove global drag event listeners if still active
     if (this.boundHandleToolbarDragMove) {
       document.removeEventListener('mousemove', this.boundHandleToolbarDragMove);
@@ -1318,13 +8859,16 @@
     }
     
     // Clear bound function references
-    this.boundHandleDrawStart = null;
-    this.boundHandleDrawMove = null;
-    this.boundHandleMouseLeave = null;
-    this.boundHandleDrawEnd = null;
-    this.boundHandleTouchStart = null;
-    this.boundHandleTouchMove = null;
-    this.boundHandleTouchEnd = null;
+    this.boundHandlePointerDown = null;
+    this.boundHandlePointerMove = null;
+    this.boundHandlePointerUp = null;
+    this.boundHandlePointerLeave = null;
+    this.boundHandleWheel = null;
+    this.boundHandleKeyDown = null;
+    this.boundHandleKeyUp = null;
+    this.boundHandleResize = null;
+    this.boundHandleScroll = null;
+    this.boundActivateShortcuts = null;
     this.boundSystemThemeChange = null;
     this.systemThemeMediaQuery = null;
     
@@ -1332,6 +8876,8 @@
     this.boundHandleToolbarDragStart = null;
     this.boundHandleToolbarDragMove = null;
     this.boundHandleToolbarDragEnd = null;
+    this.boundHandleDragHandleKeyDown = null;
+    this.boundHandleDragHandleBlur = null;
   };
 
   /**
@@ -1354,13 +8900,89 @@
     this.setActiveTool('pen');
   };
 
+  /**
+   * Programmatically switch to highlighter tool
+   */
+  PenTool.prototype.switchToHighlighterTool = function() {
+    this.setActiveTool('highlighter');
+  };
+
+  /**
+   * Programmatically switch to shape tool
+   * @param {string} [shape] - 'line', 'arrow', 'rectangle' or 'ellipse'; keeps the current shape when omitted
+   */
+  PenTool.prototype.switchToShapeTool = function(shape) {
+    if (shape !== undefined) {
+      if (SHAPE_TYPES.indexOf(shape) === -1) {
+        console.error('Invalid shape type: ' + shape + '. Valid shape types are: ' + SHAPE_TYPES.join(', '));
+        return;
+      }
+      this.shapeType = shape;
+    }
+    this.setActiveTool('shape');
+  };
+
+  /**
+   * Programmatically switch to text tool
+   * Clicking the drawing then places a text box, or edits the text under the pointer.
+   */
+  PenTool.prototype.switchToTextTool = function() {
+    this.setActiveTool('text');
+  };
+
+  /**
+   * Programmatically switch to selection tool
+   * @param {string} [mode] - 'rectangle' or 'lasso'; keeps the current mode when omitted
+   */
+  PenTool.prototype.switchToSelectTool = function(mode) {
+    if (mode !== undefined) {
+      if (SELECTION_MODES.indexOf(mode) === -1) {
+        console.error('Invalid selection mode: ' + mode + '. Valid modes are: ' + SELECTION_MODES.join(', '));
+        return;
+      }
+      this.selectionMode = mode;
+    }
+    this.setActiveTool('select');
+  };
+
   /**
    * Programmatically switch to eraser tool
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'pixel' or 'stroke'; keeps the current mode when omitted
    */
-  PenTool.prototype.switchToEraserTool = function() {
+  PenTool.prototype.switchToEraserTool = function(options) {
+    if (options && options.mode !== undefined && !this.setEraserMode(options.mode)) {
+      return;
+    }
     this.setActiveTool('eraser');
   };
 
+  /**
+   * Set how the eraser works
+   * @param {string} mode - 'pixel' hides ink under the eraser, 'stroke' removes whole strokes
+   * @returns {boolean} True if the mode is valid
+   */
+  PenTool.prototype.setEraserMode = function(mode) {
+    if (mode !== 'pixel' && mode !== 'stroke') {
+      console.error('Invalid eraser mode: ' + mode + '. Valid modes are: pixel, stroke');
+      return false;
+    }
+    
+    var previousMode = this.eraserMode;
+    this.eraserMode = mode;
+    
+    // Keep the highlighted eraser button in sync when the eraser is active
+    if (this.currentTool === 'eraser') {
+      if (this.toolbar) {
+        this.updateToolButtons();
+      }
+      if (previousMode !== mode) {
+        this.announceTool();
+      }
+    }
+    return true;
+  };
+
   /**
    * Programmatically switch to hand tool
    */
@@ -1379,7 +9001,8 @@
 
   /**
    * Helper method to set the active tool and update UI
-   * @param {string} toolName - The name of the tool ('pen', 'eraser', 'hand')
+   * @param {string} toolName - The name of the tool ('pen', 'highlighter', 'select', 'shape', 'text', 'eraser', 'hand'
+   *   or a tool added with PenTool.registerTool())
    */
   PenTool.prototype.setActiveTool = function(toolName) {
     if (!this.isEnabled) {
@@ -1387,62 +9010,137 @@
       return;
     }
 
-    var validTools = ['pen', 'eraser'];
-    
-    // Add hand tool to valid tools only if it's available
-    var isHandToolAvailable = this.isHandToolAvailable();
-    if (isHandToolAvailable) {
-      validTools.push('hand');
-    }
-    
-    if (validTools.indexOf(toolName) === -1) {
-      console.error('Invalid tool name: ' + toolName + '. Valid tools are: ' + validTools.join(', '));
+    if (!PenTool.tools.hasOwnProperty(toolName)) {
+      console.error('Invalid tool name: ' + toolName + '. Valid tools are: ' + Object.keys(PenTool.tools).join(', '));
       return;
     }
     
-    // If trying to switch to hand tool but it's not available, warn and return
-    if (toolName === 'hand' && !isHandToolAvailable) {
-      console.warn('Hand tool is not available with current settings.');
+    if (!this.isToolAvailable(toolName)) {
+      console.warn('Tool ' + toolName + ' is not available with current settings.');
       return;
     }
+    var tool = PenTool.tools[toolName];
 
+    // Leaving the text tool finishes the text being typed
+    if (toolName !== 'text') {
+      this.commitTextEditor();
+    }
+    
+    // The selection only lives in the selection tool
+    if (toolName !== 'select') {
+      if (this.selectionDrag) {
+        this.cancelStroke();
+      }
+      this.clearSelection();
+    }
+    
+    // Leaving a tool undoes its setup
+    var previousTool = this.currentTool;
+    if (previousTool !== toolName && PenTool.tools[previousTool] && PenTool.tools[previousTool].onDeactivate) {
+      PenTool.tools[previousTool].onDeactivate.call(this);
+    }
+    
     // Update current tool
     this.currentTool = toolName;
 
     // Only update toolbar buttons if toolbar exists
     if (this.toolbar) {
-      // Remove active class from all tool buttons
-      var buttons = this.toolbar.querySelectorAll('.pen-tool-button');
-      for (var i = 0; i < buttons.length; i++) {
-        buttons[i].classList.remove('active');
-      }
+      this.updateToolButtons();
+      // The style popovers edit the highlighter while it is active
+      this.updateStyleControls();
+    }
 
-      // Add active class to the selected tool button
-      var targetButton = this.toolbar.querySelector('[data-tool="' + toolName + '"]');
-      if (targetButton) {
-        targetButton.classList.add('active');
-      }
+    // Drawing tools capture events and handle multi-touch gestures themselves; the tool's onActivate can change that
+    this.svg.style.pointerEvents = 'auto';
+    this.svg.style.cursor = tool.cursor || '';
+    this.svg.style.touchAction = 'none';
+    if (tool.onActivate) {
+      tool.onActivate.call(this);
     }
+    
+    if (previousTool !== toolName) {
+      this.announceTool();
+      this.emit('toolchange', { tool: toolName, previousTool: previousTool });
+      this.savePreferences();
+    }
+  };
 
-    // Configure SVG pointer events based on tool
-    if (toolName === 'hand') {
-      // For hand tool, allow normal touch events to pass through for pan/zoom
-      this.svg.style.pointerEvents = 'none';
-      // Enable default touch behaviors for the target element
-      this.targetElement.style.touchAction = 'auto';
-      // Add hand tool CSS class for visual feedback
-      this.targetElement.classList.add('pen-tool-hand-mode');
-    } else {
-      // For drawing tools, capture events but allow multi-touch gestures
-      this.svg.style.pointerEvents = 'auto';
-      this.targetElement.style.touchAction = 'pan-x pan-y pinch-zoom';
-      // Remove hand tool CSS class
-      this.targetElement.classList.remove('pen-tool-hand-mode');
+  /**
+   * Announce the active tool to screen readers
+   */
+  PenTool.prototype.announceTool = function() {
+    var message = this.currentTool === 'eraser' && this.eraserMode === 'stroke' ? 'strokeEraser' : this.currentTool;
+    this.announce(this.t('toolActive', { tool: this.getToolTitle(this.currentTool) || this.t(message) }));
+  };
+
+  /**
+   * Create the visually hidden live region that screen readers announce changes from
+   */
+  PenTool.prototype.createLiveRegion = function() {
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'pen-tool-live-region';
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.targetElement.appendChild(this.liveRegion);
+  };
+
+  /**
+   * Have screen readers announce a message, such as a tool change
+   * @param {string} message
+   */
+  PenTool.prototype.announce = function(message) {
+    if (!this.liveRegion) {
+      return;
     }
+    
+    // Emptying the region first makes screen readers repeat a message announced before
+    var liveRegion = this.liveRegion;
+    liveRegion.textContent = '';
+    clearTimeout(this.announceTimer);
+    this.announceTimer = setTimeout(function() {
+      liveRegion.textContent = message;
+    }, 100);
+  };
 
-    // Hide eraser indicator when switching away from eraser
-    if (toolName !== 'eraser') {
-      this.hideEraserIndicator();
+  /**
+   * Highlight the toolbar button of the current tool
+   */
+  PenTool.prototype.updateToolButtons = function() {
+    if (!this.toolbar) {
+      return;
+    }
+    
+    // Remove active class from all tool buttons
+    var buttons = this.toolbar.querySelectorAll('.pen-tool-button');
+    for (var i = 0; i < buttons.length; i++) {
+      buttons[i].classList.remove('active');
+      if (buttons[i].hasAttribute('aria-pressed')) {
+        buttons[i].setAttribute('aria-pressed', 'false');
+      }
+    }
+    
+    // The stroke eraser has its own button
+    var buttonName = this.currentTool;
+    if (buttonName === 'eraser' && this.eraserMode === 'stroke') {
+      buttonName = 'stroke-eraser';
+    }
+    
+    // Add active class to the selected tool button
+    var targetButton = this.getToolbarButton(buttonName);
+    if (targetButton) {
+      targetButton.classList.add('active');
+      targetButton.setAttribute('aria-pressed', 'true');
+    }
+    
+    // Custom buttons tell their own state
+    for (var j = 0; j < this.toolbarItems.length; j++) {
+      var item = this.toolbarItems[j];
+      var customButton = typeof item !== 'string' && item.isActive && this.getToolbarButton(item.name);
+      if (customButton) {
+        var isActive = !!item.isActive.call(this);
+        customButton.classList.toggle('active', isActive);
+        customButton.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+      }
     }
   };
 
@@ -1464,11 +9162,17 @@
       this.toolbar.parentNode.removeChild(this.toolbar);
     }
     
-    // Remove hand tool mode class from target element
+    // Remove the live region
+    clearTimeout(this.announceTimer);
+    if (this.liveRegion && this.liveRegion.parentNode) {
+      this.liveRegion.parentNode.removeChild(this.liveRegion);
+    }
+    
+    // Remove hand and text tool mode classes from target element
     if (this.targetElement) {
       this.targetElement.classList.remove('pen-tool-hand-mode');
+      this.targetElement.classList.remove('pen-tool-text-mode');
       // Reset target element styles
-      this.targetElement.style.touchAction = '';
       this.targetElement.style.userSelect = '';
       this.targetElement.style.webkitUserSelect = '';
     }
@@ -1479,23 +9183,39 @@
     }
     document.body.classList.remove('pen-tool-dark-mode');
     
+    this.cancelScheduledEraserUpdate();
+    this.cancelScheduledOutlineUpdate();
+    this.stopAutoScroll();
+    this.strokeIndex.clear();
+    
     // Clear all references
     this.svg = null;
+    this.defs = null;
+    this.highlighterContainer = null;
+    this.highlighterGroups = {};
     this.toolbar = null;
+    this.popovers = {};
+    this.liveRegion = null;
+    this.announceTimer = null;
+    this.viewport = null;
     this.drawingContainer = null;
     this.eraserIndicator = null;
     this.currentPath = null;
     this.strokes = [];
     this.temporaryEraserStroke = null;
+    this.strokeEraserRemoved = null;
+    this.selection = [];
+    this.selectionDrag = null;
+    this.selectionOverlay = null;
+    this.lastSelectionRestyle = null;
+    this.undoStack = [];
+    this.redoStack = [];
     
     // Clear bound function references
-    this.boundHandleDrawStart = null;
-    this.boundHandleDrawMove = null;
-    this.boundHandleMouseLeave = null;
-    this.boundHandleDrawEnd = null;
-    this.boundHandleTouchStart = null;
-    this.boundHandleTouchMove = null;
-    this.boundHandleTouchEnd = null;
+    this.boundHandlePointerDown = null;
+    this.boundHandlePointerMove = null;
+    this.boundHandlePointerUp = null;
+    this.boundHandlePointerLeave = null;
     this.boundSystemThemeChange = null;
     this.systemThemeMediaQuery = null;
     
@@ -1503,13 +9223,20 @@
     this.boundHandleToolbarDragStart = null;
     this.boundHandleToolbarDragMove = null;
     this.boundHandleToolbarDragEnd = null;
+    this.boundHandleDragHandleKeyDown = null;
+    this.boundHandleDragHandleBlur = null;
     
     // Reset drag state
     this.isDraggingToolbar = false;
     this.dragOffset = { x: 0, y: 0 };
+    this.isMovingToolbar = false;
     
     // Reset state
     this.isDrawing = false;
+    this.drawingTool = null;
+    this.activePointerId = null;
+    this.drawingPointerType = null;
+    this.activeTouchPointers = [];
     this.currentPathData = '';
     this.isEnabled = false;
     this.currentTool = 'pen';
@@ -1571,6 +9298,7 @@
    */
   PenTool.prototype.hideToolbarElement = function() {
     if (this.toolbar) {
+      this.closePopover();
       this.toolbar.style.display = 'none';
     }
   };